@@ -3,6 +3,14 @@ import cors from 'cors'
 import cookieParser from 'cookie-parser'
 const app = express() ; 
 
+// behind a load balancer or reverse proxy req.ip is the proxy's address unless it is trusted,
+// and every client would share one rate limit. TRUST_PROXY takes a hop count, "true" or
+// addresses/subnets, see https://expressjs.com/en/guide/behind-proxies.html
+const trustProxy = process.env.TRUST_PROXY
+if (trustProxy) {
+    app.set("trust proxy", trustProxy === "true" ? true : /^\d+$/.test(trustProxy) ? Number(trustProxy) : trustProxy)
+}
+
 app.use(cors({
     origin: ["https://yt-frontend-3wa2.onrender.com", "http://localhost:5173"],
     credentials: true
@@ -23,18 +31,30 @@ import commentRouter from './routes/comment.routes.js'
 import playlistRouter from './routes/playlist.routes.js'
 import dashboardRouter from './routes/dashboard.routes.js'
 import channelDeletionRouter from './routes/channelDeletion.routes.js'
+import uploadSessionRouter from './routes/uploadSession.routes.js'
+import searchRouter from './routes/search.routes.js'
+import feedRouter from './routes/feed.routes.js'
+import notificationRouter from './routes/notification.routes.js'
+import realtimeRouter from './routes/realtime.routes.js'
+import adminRouter from './routes/admin.routes.js'
 
 // routes declaration
 app.use("/api/v1/users",userRouter);
 app.use("/api/v1/subscriptions", subscriptionRouter); 
 app.use("/api/v1/healthcheck", healthcheckRouter);
 app.use("/api/v1/tweets", tweetRouter);
+app.use("/api/v1/videos/uploads", uploadSessionRouter);
 app.use("/api/v1/videos", videoRouter);
 app.use("/api/v1/comments", commentRouter);
 app.use("/api/v1/likes", likeRouter);
 app.use("/api/v1/playlist", playlistRouter);
 app.use("/api/v1/dashboard", dashboardRouter);
 app.use("/api/v1/channel-deletion", channelDeletionRouter);
+app.use("/api/v1/search", searchRouter);
+app.use("/api/v1/feed", feedRouter);
+app.use("/api/v1/notifications", notificationRouter);
+app.use("/api/v1/realtime", realtimeRouter);
+app.use("/api/v1/admin", adminRouter);
 
 
 export { app } ; 
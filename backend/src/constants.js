@@ -1,2 +1,50 @@
 export const DB_NAME = "videotube"
 
+// Video.quality values, the frame height they start at and the bitrate
+// ladder (kbps) used when transcoding renditions, highest first
+export const VIDEO_QUALITIES = [
+    { quality: "4K", height: 2160, width: 3840, videoBitrate: 16000, audioBitrate: 192 },
+    { quality: "1440p", height: 1440, width: 2560, videoBitrate: 9000, audioBitrate: 192 },
+    { quality: "1080p", height: 1080, width: 1920, videoBitrate: 5000, audioBitrate: 128 },
+    { quality: "720p", height: 720, width: 1280, videoBitrate: 2800, audioBitrate: 128 },
+    { quality: "480p", height: 480, width: 854, videoBitrate: 1400, audioBitrate: 96 },
+    { quality: "360p", height: 360, width: 640, videoBitrate: 800, audioBitrate: 96 },
+    { quality: "240p", height: 240, width: 426, videoBitrate: 400, audioBitrate: 64 },
+    { quality: "144p", height: 144, width: 256, videoBitrate: 200, audioBitrate: 64 }
+]
+
+// Renditions produced by the processing worker unless VIDEO_RENDITIONS overrides them
+export const DEFAULT_RENDITIONS = ["240p", "360p", "480p", "720p", "1080p"]
+
+// Second login step of a provider sign-in: the challenge token goes in this
+// cookie, only sent to the endpoint finishing the login, never in a URL where
+// logs, history and Referer headers would keep it
+export const TWO_FACTOR_CHALLENGE_COOKIE = "twoFactorChallenge"
+
+export const TWO_FACTOR_CHALLENGE_COOKIE_OPTIONS = {
+    httpOnly: true,
+    secure: true,
+    sameSite: "Strict",
+    path: "/api/v1/users/login/2fa"
+}
+
+// User.role values. Creator marks partner channels and has no extra
+// permissions yet.
+export const ROLES = ["user", "creator", "moderator", "admin"]
+
+export const PERMISSIONS = {
+    // remove videos, playlists, comments and tweets of other users
+    MODERATE_CONTENT: "content:moderate",
+    DELETE_CHANNELS: "channels:delete",
+    RECOVER_CHANNELS: "channels:recover",
+    VIEW_DELETED_CHANNELS: "channels:view-deleted",
+    MANAGE_ROLES: "roles:manage",
+    VIEW_ROLE_AUDIT: "roles:audit"
+}
+
+export const ROLE_PERMISSIONS = {
+    user: [],
+    creator: [],
+    moderator: [PERMISSIONS.MODERATE_CONTENT, PERMISSIONS.VIEW_DELETED_CHANNELS],
+    admin: Object.values(PERMISSIONS)
+}
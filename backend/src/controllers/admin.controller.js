@@ -0,0 +1,60 @@
+import { isValidObjectId } from "mongoose";
+import { ApiError } from "../utils/ApiError.js";
+import { ApiResponse } from "../utils/ApiResponse.js";
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { parsePagination } from "../utils/pagination.js";
+import RoleService from "../services/role.service.js";
+
+const toRoleResponse = (user) => ({
+  _id: user._id,
+  username: user.username,
+  role: user.role,
+  permissions: user.getPermissions(),
+});
+
+const updateUserRole = asyncHandler(async (req, res) => {
+  const { userId } = req.params;
+  const { role, reason } = req.body;
+
+  if (!isValidObjectId(userId)) {
+    throw new ApiError(400, "invalid user object Id");
+  }
+
+  const user = await RoleService.setRole(req.user, userId, { role, reason, ip: req.ip });
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, toRoleResponse(user), "user role updated successfully"));
+});
+
+const updateUserPermissions = asyncHandler(async (req, res) => {
+  const { userId } = req.params;
+  const { grant, revoke, reason } = req.body;
+
+  if (!isValidObjectId(userId)) {
+    throw new ApiError(400, "invalid user object Id");
+  }
+
+  const user = await RoleService.updatePermissions(req.user, userId, { grant, revoke, reason, ip: req.ip });
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, toRoleResponse(user), "user permissions updated successfully"));
+});
+
+const getRoleAuditLog = asyncHandler(async (req, res) => {
+  const { userId } = req.query;
+  const pagination = parsePagination(req.query, { defaultLimit: 20, maxLimit: 100 });
+
+  if (userId !== undefined && !isValidObjectId(userId)) {
+    throw new ApiError(400, "invalid user object Id");
+  }
+
+  const auditLog = await RoleService.getAuditLog({ ...pagination, userId });
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, auditLog, "role audit log fetched successfully"));
+});
+
+export { updateUserRole, updateUserPermissions, getRoleAuditLog };
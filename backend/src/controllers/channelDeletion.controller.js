@@ -2,7 +2,7 @@ import { asyncHandler } from "../utils/asyncHandler.js";
 import { ApiResponse } from "../utils/ApiResponse.js";
 import { ApiError } from "../utils/ApiError.js";
 import ChannelDeletionService from "../services/channelDeletion.service.js";
-import { verifyJwt } from "../middlewares/auth.middleware.js";
+import { DeletedChannel } from "../models/deletedChannel.model.js";
 
 /**
  * Delete user's own channel
@@ -41,11 +41,6 @@ const adminDeleteChannel = asyncHandler(async (req, res) => {
     const { reason, dataRetention } = req.body;
     const adminId = req.user._id;
     
-    // Check if user is admin (you can implement proper admin check)
-    if (!req.user.isAdmin) {
-        throw new ApiError(403, "Unauthorized: Admin access required");
-    }
-    
     const result = await ChannelDeletionService.deleteChannel(
         userId,
         reason || 'policy_violation',
@@ -91,17 +86,12 @@ const getDeletionStats = asyncHandler(async (req, res) => {
 });
 
 /**
- * Get deleted channels list (admin only)
+ * Get deleted channels list
  */
 const getDeletedChannels = asyncHandler(async (req, res) => {
     const { page = 1, limit = 20, recoverable } = req.query;
     const skip = (page - 1) * limit;
     
-    // Check if user is admin
-    if (!req.user.isAdmin) {
-        throw new ApiError(403, "Unauthorized: Admin access required");
-    }
-    
     const matchStage = {};
     if (recoverable !== undefined) {
         matchStage.isRecoverable = recoverable === 'true';
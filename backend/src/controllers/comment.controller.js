@@ -4,6 +4,9 @@ import {Comment} from "../models/comment.model.js"
 import {ApiError} from "../utils/ApiError.js"
 import {ApiResponse} from "../utils/ApiResponse.js"
 import {asyncHandler} from "../utils/asyncHandler.js"
+import {canViewVideo} from "../utils/videoVisibility.js"
+import NotificationService from "../services/notification.service.js"
+import RealtimeService from "../services/realtime.service.js"
 
 
 // error
@@ -16,6 +19,12 @@ const getVideoComments = asyncHandler(async (req, res) => {
     throw new ApiError(400, "Invalid video object Id");
   }
 
+  // comments of a private video are as hidden as the video itself
+  const video = await Video.findById(videoId).select("owner isPublished processingStatus privacy");
+  if (!canViewVideo(video, req.user)) {
+    throw new ApiError(404, "video was not found or doesnt exist");
+  }
+
   try {
     const aggregationQuery = Comment.aggregate([
       {
@@ -44,6 +53,7 @@ const getVideoComments = asyncHandler(async (req, res) => {
         $project: {
           content: 1,
           createdAt: 1,
+          parentComment: 1,
           // Include only necessary fields from user
           "ownerInfo.username": 1,
           "ownerInfo.avatar": 1,
@@ -90,7 +100,7 @@ const getVideoComments = asyncHandler(async (req, res) => {
 const addComment = asyncHandler(async (req, res) => {
 
     // TODO: add a comment to a video
-    const {commentContent} = req.body
+    const {commentContent, parentCommentId} = req.body
     const {videoId} = req.params ; 
     const userId = req.user?._id ;
 
@@ -106,16 +116,51 @@ const addComment = asyncHandler(async (req, res) => {
         throw new ApiError( 400 , "invalid video id or invalid user" )
     }
 
+    // a video the user cannot watch cannot be commented on either
+    const video = await Video.findById(videoId).select("owner isPublished processingStatus privacy")
+    if( !canViewVideo( video , req.user ) ){
+        throw new ApiError( 404 , "video was not found or doesnt exist" )
+    }
+
+    let parentComment = null ;
+
+    if( parentCommentId ){
+        if (!isValidObjectId(parentCommentId)) {
+            throw new ApiError( 400 , "invalid parent comment object Id" )
+        }
+
+        parentComment = await Comment.findOne({ _id : parentCommentId , video : videoId })
+
+        if( !parentComment ){
+            throw new ApiError( 404 , "comment to reply to was not found on this video" )
+        }
+    }
+
     const newComment = await Comment.create({
         content : commentContent , 
         video : videoId , 
-        owner : userId
+        owner : userId ,
+        parentComment : parentComment?._id
     })
 
     if( ! newComment ){
         throw new ApiError( 500 , "something went wrong while adding new comment" )
     }
 
+    await Video.recordEngagement( videoId , "comments" )
+
+    if( parentComment ){
+        await NotificationService.notifyCommentReply( newComment , parentComment , req.user )
+    }
+
+    // viewers of the video get the comment and the new count live
+    const commentCount = await Comment.countDocuments({ video: videoId })
+    await RealtimeService.publish( RealtimeService.videoChannel(videoId) , "comment" , {
+        ...newComment.toObject() ,
+        ownerInfo : { username : req.user.username , avatar : req.user.avatar , fullName : req.user.fullName }
+    } )
+    await RealtimeService.publish( RealtimeService.videoChannel(videoId) , "comment_count" , { videoId , commentCount } )
+
     return res.status(200).json(
         new ApiResponse(200 , newComment , "comment added successfully"   )
     )
@@ -173,6 +218,13 @@ const deleteComment = asyncHandler(async (req, res) => {
         new ApiError( 500 , "error while deleting comment" )
     }
 
+    if( result?.video ){
+        await Video.recordEngagement( result.video , "comments" , -1 )
+
+        const commentCount = await Comment.countDocuments({ video: result.video })
+        await RealtimeService.publish( RealtimeService.videoChannel(result.video) , "comment_count" , { videoId : result.video , commentCount } )
+    }
+
     return res.status(200).json(
         new ApiResponse(200 , {} , "comment deleted successfully"   )
     )
@@ -0,0 +1,30 @@
+import { ApiResponse } from "../utils/ApiResponse.js";
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { parsePagination } from "../utils/pagination.js";
+import RecommendationService from "../services/recommendation.service.js";
+import SubscriptionFeedService from "../services/subscriptionFeed.service.js";
+
+const getHomeFeed = asyncHandler(async (req, res) => {
+  const pagination = parsePagination(req.query, { defaultLimit: 20, maxLimit: 50 });
+
+  const feed = await RecommendationService.getHomeFeed(req.user._id, pagination);
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, feed, "home feed fetched successfully"));
+});
+
+const getSubscriptionsFeed = asyncHandler(async (req, res) => {
+  const { limit } = parsePagination(req.query, { defaultLimit: 20, maxLimit: 50 });
+
+  const feed = await SubscriptionFeedService.getFeed(req.user, {
+    cursor: req.query.cursor,
+    limit,
+  });
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, feed, "subscriptions feed fetched successfully"));
+});
+
+export { getHomeFeed, getSubscriptionsFeed };
@@ -5,6 +5,9 @@ import {ApiResponse} from "../utils/ApiResponse.js"
 import {asyncHandler} from "../utils/asyncHandler.js"
 import {Video} from "../models/video.model.js"
 import { User } from "../models/user.model.js"
+import { canViewVideo, viewableVideoMatch } from "../utils/videoVisibility.js"
+import NotificationService from "../services/notification.service.js"
+import RealtimeService from "../services/realtime.service.js"
 
 const toggleVideoLike = asyncHandler(async (req, res) => {
     const {videoId} = req.params
@@ -15,6 +18,12 @@ const toggleVideoLike = asyncHandler(async (req, res) => {
         throw new ApiError( 400 , "invalid tweet object Id" )
     }
 
+    // a video the user cannot watch cannot be liked either
+    const video = await Video.findById(videoId).select("owner isPublished processingStatus privacy")
+    if( !canViewVideo( video , req.user ) ){
+        throw new ApiError( 404 , "video was not found or doesnt exist" )
+    }
+
     const alreadyLiked = await Like.findOne({
         $and: [{ likedBy: currentUser }, { video: videoId }]
     })
@@ -25,6 +34,11 @@ const toggleVideoLike = asyncHandler(async (req, res) => {
         console.log( "video was liked already" )
 
         await Like.deleteOne( alreadyLiked );
+        await Video.recordEngagement( videoId , "likes" , -1 )
+
+        const likeCount = await Like.countDocuments({ video: videoId });
+        await RealtimeService.publish( RealtimeService.videoChannel(videoId) , "like_count" , { videoId , likeCount } )
+
         return res.status(201).json(
             new ApiResponse(200 ,{} , "user unLiked the video successfully")
         )
@@ -44,6 +58,12 @@ const toggleVideoLike = asyncHandler(async (req, res) => {
             throw new ApiError( 400 , "failed to like the video" )
         }
 
+        await Video.recordEngagement( videoId , "likes" )
+
+        const likeCount = await Like.countDocuments({ video: videoId });
+        await RealtimeService.publish( RealtimeService.videoChannel(videoId) , "like_count" , { videoId , likeCount } )
+        await NotificationService.notifyLikeMilestone( videoId , likeCount )
+
         return res.status(201).json(
             new ApiResponse(201 ,likedDocument , "user Liked the video successfully")
         )
@@ -215,7 +235,7 @@ const getLikedVideos = asyncHandler(async (req, res) => {
       })
       .populate({
         path: 'video',
-        match: { isPublished: true }, // Populate the `video` field with the video details
+        match: viewableVideoMatch(req.user), // Populate the `video` field with the video details
         select: '_id videoFile thumbnail title description duration views createdAt', // Select the video fields you want
         populate: {
           path: 'owner', // Assuming the video schema has an `uploadedBy` field for the user
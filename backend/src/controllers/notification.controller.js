@@ -0,0 +1,56 @@
+import { isValidObjectId } from "mongoose";
+import { ApiError } from "../utils/ApiError.js";
+import { ApiResponse } from "../utils/ApiResponse.js";
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { parsePagination } from "../utils/pagination.js";
+import NotificationService from "../services/notification.service.js";
+
+const getNotifications = asyncHandler(async (req, res) => {
+  const pagination = parsePagination(req.query, { defaultLimit: 20, maxLimit: 50 });
+
+  const notifications = await NotificationService.getNotifications(req.user._id, {
+    ...pagination,
+    unreadOnly: req.query.unread === "true",
+  });
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, notifications, "notifications fetched successfully"));
+});
+
+const getUnreadNotificationCount = asyncHandler(async (req, res) => {
+  const unreadCount = await NotificationService.getUnreadCount(req.user._id);
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, { unreadCount }, "unread notification count fetched successfully"));
+});
+
+const markNotificationRead = asyncHandler(async (req, res) => {
+  const { notificationId } = req.params;
+
+  if (!isValidObjectId(notificationId)) {
+    throw new ApiError(400, "invalid notification object Id");
+  }
+
+  const notification = await NotificationService.markRead(req.user._id, notificationId);
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, notification, "notification marked as read"));
+});
+
+const markAllNotificationsRead = asyncHandler(async (req, res) => {
+  const modifiedCount = await NotificationService.markAllRead(req.user._id);
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, { modifiedCount }, "all notifications marked as read"));
+});
+
+export {
+  getNotifications,
+  getUnreadNotificationCount,
+  markNotificationRead,
+  markAllNotificationsRead,
+};
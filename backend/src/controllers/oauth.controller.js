@@ -0,0 +1,84 @@
+import { ApiError } from "../utils/ApiError.js";
+import { ApiResponse } from "../utils/ApiResponse.js";
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { appUrl } from "../utils/email/templates.js";
+import { TWO_FACTOR_CHALLENGE_COOKIE, TWO_FACTOR_CHALLENGE_COOKIE_OPTIONS } from "../constants.js";
+import OAuthService from "../services/oauth.service.js";
+import SessionService from "../services/session.service.js";
+import TwoFactorService, { LOGIN_CHALLENGE_EXPIRY_MS } from "../services/twoFactor.service.js";
+
+const cookieOptions = {
+  httpOnly: true,
+  secure: true,
+  sameSite: "None",
+};
+
+// Ties the provider callback to the browser that started the sign-in, so a
+// callback link made by someone else cannot log the visitor into their account.
+// Lax, the callback is a top level navigation coming from the provider.
+const STATE_COOKIE = "oauthState";
+const stateCookieOptions = {
+  httpOnly: true,
+  secure: true,
+  sameSite: "Lax",
+  path: "/api/v1/users/oauth",
+};
+
+const loginErrorUrl = (message) => appUrl(`/login?oauthError=${encodeURIComponent(message)}`);
+
+const getOAuthProviders = asyncHandler(async (req, res) => {
+  return res
+    .status(200)
+    .json(new ApiResponse(200, { providers: OAuthService.getProviderNames() }, "sign-in providers fetched successfully"));
+});
+
+const startOAuthLogin = asyncHandler(async (req, res) => {
+  const { url, state } = await OAuthService.createAuthorizationUrl(req.params.provider, req.query.redirect);
+
+  return res
+    .cookie(STATE_COOKIE, state, { ...stateCookieOptions, maxAge: 10 * 60 * 1000 })
+    .redirect(302, url);
+});
+
+// The browser lands here from the provider, failures go back to the login page
+const handleOAuthCallback = asyncHandler(async (req, res) => {
+  const { code, state, error, error_description } = req.query;
+
+  res.clearCookie(STATE_COOKIE, stateCookieOptions);
+
+  try {
+    if (error) {
+      throw new ApiError(400, error_description || error);
+    }
+
+    if (!state || state !== req.cookies?.[STATE_COOKIE]) {
+      throw new ApiError(400, "sign-in was started in another browser, please try again");
+    }
+
+    const { user, redirectTo } = await OAuthService.handleCallback(req.params.provider, { code, state });
+
+    // the frontend finishes the login with a code, like after a password,
+    // the challenge stays in a cookie the code is posted along with
+    if (user.twoFactorEnabled) {
+      const challengeToken = TwoFactorService.createLoginChallenge(user);
+      return res
+        .cookie(TWO_FACTOR_CHALLENGE_COOKIE, challengeToken, {
+          ...TWO_FACTOR_CHALLENGE_COOKIE_OPTIONS,
+          maxAge: LOGIN_CHALLENGE_EXPIRY_MS,
+        })
+        .redirect(302, appUrl(`/login/2fa?redirect=${encodeURIComponent(redirectTo)}`));
+    }
+
+    const { accessToken, refreshToken } = await SessionService.createSession(user, req);
+
+    return res
+      .cookie("accessToken", accessToken, cookieOptions)
+      .cookie("refreshToken", refreshToken, cookieOptions)
+      .redirect(302, appUrl(redirectTo));
+  } catch (callbackError) {
+    console.error(`Sign-in with ${req.params.provider} failed:`, callbackError.message);
+    return res.redirect(302, loginErrorUrl(callbackError.message));
+  }
+});
+
+export { getOAuthProviders, startOAuthLogin, handleOAuthCallback };
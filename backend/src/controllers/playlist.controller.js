@@ -4,7 +4,8 @@ import {ApiError} from "../utils/ApiError.js"
 import {ApiResponse} from "../utils/ApiResponse.js"
 import {asyncHandler} from "../utils/asyncHandler.js"
 import {Video} from '../models/video.model.js'
-import {uploadOnCloudinary} from "../utils/cloudinary.js"
+import {uploadFile, deleteFile} from "../utils/storage/index.js"
+import {canViewVideo, viewableVideoMatch} from "../utils/videoVisibility.js"
 
 
 const createPlaylist = asyncHandler(async (req, res) => {
@@ -25,13 +26,14 @@ const createPlaylist = asyncHandler(async (req, res) => {
     }
 
     const thumbnailLocalPath = req.file?.path ; 
-    const thumbnail = await uploadOnCloudinary(thumbnailLocalPath);
+    const thumbnail = await uploadFile(thumbnailLocalPath, { folder: "playlists" });
 
     const newPlaylist = await Playlist.create( {
         name , 
         description : description || "", 
         owner , 
         thumbnail: thumbnail?.url || "", 
+        thumbnailPublicId: thumbnail?.publicId, 
     })
 
     if( !newPlaylist ){
@@ -105,8 +107,8 @@ const addVideoToPlaylist = asyncHandler(async (req, res) => {
 
     const video = await Video.findById(videoId);
 
-    if (!video) { 
-      throw new ApiError(400 , 'Video not found');
+    if (!canViewVideo(video, req.user)) { 
+      throw new ApiError(404 , 'Video not found');
     }
 
     const updatedPlaylist = await Playlist.findByIdAndUpdate(
@@ -178,6 +180,8 @@ const deletePlaylist = asyncHandler(async (req, res) => {
         throw new ApiError( 500 , "error while deleting playlistId" )
     }
 
+    await deleteFile(getPlayList.thumbnailPublicId);
+
     return res.status(201).json(
         new ApiResponse(200 ,{} , "playlist deleted successfully")
     )
@@ -207,14 +211,16 @@ const updatePlaylist = asyncHandler(async (req, res) => {
 
     const thumbnailLocalPath = req.file?.path;
     if (thumbnailLocalPath) {
-      const thumbnail = await uploadOnCloudinary(thumbnailLocalPath);
-      if (!thumbnail.url) {
+      const thumbnail = await uploadFile(thumbnailLocalPath, { folder: "playlists" });
+      if (!thumbnail?.url) {
         throw new ApiError(
           400,
-          "error while uploading thumbnail on cloudinary during updating thumbnail"
+          "error while uploading thumbnail to storage during updating thumbnail"
         );
       }
+      await deleteFile(searchedPlaylist.thumbnailPublicId);
       searchedPlaylist.thumbnail = thumbnail.url;
+      searchedPlaylist.thumbnailPublicId = thumbnail.publicId;
     }
 
     await searchedPlaylist.save({
@@ -238,6 +244,8 @@ const getAllvideoOfPlayList = asyncHandler(async (req, res) => {
     const playlist = await Playlist.findById(playlistId)
       .populate({
         path: 'videos',  
+        // unlisted videos can be shared through a playlist, private ones only show up for their owner
+        match: viewableVideoMatch(req.user),
         populate: {
           path: 'owner',  
           select: 'username avatar _id',  
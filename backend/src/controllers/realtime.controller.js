@@ -0,0 +1,93 @@
+import { isValidObjectId } from "mongoose";
+import { Video } from "../models/video.model.js";
+import { ApiError } from "../utils/ApiError.js";
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { canViewVideo } from "../utils/videoVisibility.js";
+import { authenticate, getAccessToken } from "../middlewares/auth.middleware.js";
+import NotificationService from "../services/notification.service.js";
+import RealtimeService from "../services/realtime.service.js";
+
+// comment lines keep proxies from closing idle streams
+const HEARTBEAT_INTERVAL_MS = 25 * 1000;
+
+const writeEvent = (res, event, data) => {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+};
+
+// Whether the stream may stay open: the token it was opened with is still
+// valid for an active session, and the video, if any, is still viewable
+const canKeepStreaming = async (token, videoId) => {
+  try {
+    const { user } = await authenticate(token);
+    if (videoId === undefined) return true;
+
+    const video = await Video.findById(videoId).select("owner isPublished processingStatus privacy");
+    return canViewVideo(video, user);
+  } catch (error) {
+    return false;
+  }
+};
+
+// Server-Sent Events stream of the user's notifications and, with ?videoId=,
+// the like/comment counts and new comments of the video being watched
+const streamEvents = asyncHandler(async (req, res) => {
+  const { videoId } = req.query;
+  const channels = [RealtimeService.userChannel(req.user._id)];
+
+  if (videoId !== undefined) {
+    if (!isValidObjectId(videoId)) {
+      throw new ApiError(400, "invalid video object Id");
+    }
+
+    const video = await Video.findById(videoId).select("owner isPublished processingStatus privacy");
+    if (!canViewVideo(video, req.user)) {
+      throw new ApiError(404, "video was not found or doesnt exist");
+    }
+
+    channels.push(RealtimeService.videoChannel(videoId));
+  }
+
+  const unreadCount = await NotificationService.getUnreadCount(req.user._id);
+
+  res.writeHead(200, {
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no",
+  });
+  res.write("retry: 5000\n\n");
+  writeEvent(res, "ready", { channels, unreadCount });
+
+  const unsubscribe = RealtimeService.subscribe(channels, ({ event, data }) => {
+    writeEvent(res, event, data);
+  });
+
+  const token = getAccessToken(req);
+  let closed = false;
+
+  const close = () => {
+    if (closed) return;
+    closed = true;
+    clearInterval(heartbeat);
+    unsubscribe();
+  };
+
+  // the stream outlives its request, logout, a revoked session, a password
+  // change, an expired token or a video turned private end it at the next beat
+  const heartbeat = setInterval(async () => {
+    const allowed = await canKeepStreaming(token, videoId);
+    if (closed) return;
+
+    if (!allowed) {
+      close();
+      res.end();
+      return;
+    }
+
+    res.write(": heartbeat\n\n");
+  }, HEARTBEAT_INTERVAL_MS);
+
+  req.on("close", close);
+});
+
+export { streamEvents };
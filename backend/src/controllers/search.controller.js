@@ -0,0 +1,49 @@
+import { ApiError } from "../utils/ApiError.js";
+import { ApiResponse } from "../utils/ApiResponse.js";
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { parsePagination } from "../utils/pagination.js";
+import { normalizeQuery } from "../utils/search.js";
+import SearchService from "../services/search.service.js";
+import SearchSuggestionService from "../services/searchSuggestion.service.js";
+
+const search = asyncHandler(async (req, res) => {
+  const query = normalizeQuery(req.query.q);
+
+  if (!query) {
+    throw new ApiError(400, "search query q is required");
+  }
+
+  const filters = SearchService.parseFilters(req.query);
+  const pagination = parsePagination(req.query, { defaultLimit: 10, maxLimit: 50 });
+  const locale = SearchSuggestionService.resolveLocale(req.query, req.user);
+
+  const results = await SearchService.search(query, filters, pagination);
+
+  // only the first page is a new search, later pages would inflate popularity
+  if (pagination.page === 1) {
+    await SearchSuggestionService.recordSearch(query, locale, results, req.user);
+  }
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, { query, ...results }, "search results fetched successfully"));
+});
+
+const getSearchSuggestions = asyncHandler(async (req, res) => {
+  const prefix = normalizeQuery(req.query.q);
+
+  if (!prefix) {
+    throw new ApiError(400, "search query q is required");
+  }
+
+  const locale = SearchSuggestionService.resolveLocale(req.query, req.user);
+  const { limit } = parsePagination(req.query, { defaultLimit: 5, maxLimit: 10 });
+
+  const suggestions = await SearchSuggestionService.getSuggestions(prefix, locale, limit);
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, { query: prefix, ...locale, ...suggestions }, "search suggestions fetched successfully"));
+});
+
+export { search, getSearchSuggestions };
@@ -4,6 +4,7 @@ import {Subscription} from "../models/subscription.model.js"
 import {ApiError} from "../utils/ApiError.js"
 import {ApiResponse} from "../utils/ApiResponse.js"
 import {asyncHandler} from "../utils/asyncHandler.js"
+import NotificationService from "../services/notification.service.js"
 
 
 const toggleSubscription = asyncHandler(async (req, res) => {
@@ -41,6 +42,8 @@ const toggleSubscription = asyncHandler(async (req, res) => {
             throw new ApiError( 400 , "failed to subscribe the channel" )
         }
 
+        await NotificationService.notifyNewSubscriber( channelId , req.user )
+
         return res.status(201).json(
             new ApiResponse(201 ,sunscribeDocument , "user subscribed the channel successfully")
         )
@@ -5,30 +5,35 @@ import {ApiError} from "../utils/ApiError.js"
 import {ApiResponse} from "../utils/ApiResponse.js"
 import {asyncHandler} from "../utils/asyncHandler.js"
 import {Like} from "../models/like.model.js"
+import NotificationService from "../services/notification.service.js"
+
+// Adds whether the viewer liked each tweet, anonymous visitors get the tweets without it
+const withLikeStatus = async (tweets, user) => {
+    if (!user) {
+      return tweets.map(tweet => tweet.toObject());
+    }
+
+    const likes = await Like.find({
+      tweet: { $in: tweets.map(tweet => tweet._id) },
+      likedBy: user._id
+    }).select('tweet');
+
+    const likedTweetIds = new Set(likes.map(like => like.tweet.toString()));
+
+    return tweets.map(tweet => ({
+      ...tweet.toObject(),
+      liked: likedTweetIds.has(tweet._id.toString())
+    }));
+};
 
 const getAllTweets = async (req, res) => {
     try {
-      const userId = req.user._id; // Assuming req.user is the authenticated user
-  
       // Fetch tweets and populate 'owner' fields with 'username' and 'avatar', sorted by createdAt in descending order
       const tweets = await Tweet.find()
         .populate('owner', 'username avatar')
         .sort({ createdAt: -1 });
   
-     
-      const tweetIds = tweets.map(tweet => tweet._id);
-  
-      const likes = await Like.find({
-        tweet: { $in: tweetIds },
-        likedBy: userId
-      }).select('tweet'); 
-     
-      const likedTweetIds = new Set(likes.map(like => like.tweet.toString()));
-  
-      const tweetsWithLikeStatus = tweets.map(tweet => ({
-        ...tweet.toObject(),
-        liked: likedTweetIds.has(tweet._id.toString())
-      }));
+      const tweetsWithLikeStatus = await withLikeStatus(tweets, req.user);
   
       return res.status(200).json(
         new ApiResponse(200, tweetsWithLikeStatus, "All tweets fetched successfully")
@@ -65,6 +70,8 @@ const createTweet = asyncHandler(async (req, res) => {
         throw new ApiError( 500 , "something went wrong while making new tweet " )
     }
 
+    await NotificationService.notifyNewTweet( newTweet )
+
     return res.status(201).json(
         new ApiResponse(200 ,newTweet , "tweet generated successfully"   )
     )
@@ -72,28 +79,17 @@ const createTweet = asyncHandler(async (req, res) => {
 })
 
 const getUserTweets = asyncHandler(async (req, res) => {
+    const { userId } = req.params
+
+    if (!isValidObjectId(userId)) {
+        throw new ApiError( 400 , "invalid user object Id" )
+    }
 
     try {
-      const userId = req.user._id; 
-  
       const tweets = await Tweet.find({ owner: userId }) 
         .sort({ createdAt: -1 });
   
-     
-      const tweetIds = tweets.map(tweet => tweet._id);
-  
-      const likes = await Like.find({
-        tweet: { $in: tweetIds },
-        likedBy: userId
-      })
-      .select('tweet')
-     
-      const likedTweetIds = new Set(likes.map(like => like.tweet.toString()));
-  
-      const tweetsWithLikeStatus = tweets.map(tweet => ({
-        ...tweet.toObject(),
-        liked: likedTweetIds.has(tweet._id.toString())
-      }));
+      const tweetsWithLikeStatus = await withLikeStatus(tweets, req.user);
   
       return res.status(200).json(
         new ApiResponse(200, tweetsWithLikeStatus, "All tweets fetched successfully")
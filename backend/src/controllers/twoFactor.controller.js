@@ -0,0 +1,62 @@
+import { ApiResponse } from "../utils/ApiResponse.js";
+import { asyncHandler } from "../utils/asyncHandler.js";
+import TwoFactorService from "../services/twoFactor.service.js";
+
+const getTwoFactorStatus = asyncHandler(async (req, res) => {
+  const recoveryCodesLeft = req.user.twoFactorEnabled
+    ? await TwoFactorService.getRecoveryCodesLeft(req.user._id)
+    : 0;
+
+  return res.status(200).json(
+    new ApiResponse(
+      200,
+      { enabled: req.user.twoFactorEnabled, enabledAt: req.user.twoFactorEnabledAt, recoveryCodesLeft },
+      "two-factor status fetched successfully"
+    )
+  );
+});
+
+// the secret and otpauth URI go into the authenticator app, usually as a QR code
+const setupTwoFactor = asyncHandler(async (req, res) => {
+  const setup = await TwoFactorService.beginSetup(req.user._id);
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, setup, "scan the code with your authenticator app, then confirm a code"));
+});
+
+const activateTwoFactor = asyncHandler(async (req, res) => {
+  const recoveryCodes = await TwoFactorService.activate(req.user._id, req.body.code);
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, { recoveryCodes }, "two-factor authentication turned on, store the recovery codes safely"));
+});
+
+const disableTwoFactor = asyncHandler(async (req, res) => {
+  const { code, recoveryCode } = req.body;
+
+  await TwoFactorService.disable(req.user._id, { code, recoveryCode });
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, {}, "two-factor authentication turned off"));
+});
+
+const regenerateRecoveryCodes = asyncHandler(async (req, res) => {
+  const { code, recoveryCode } = req.body;
+
+  const recoveryCodes = await TwoFactorService.regenerateRecoveryCodes(req.user._id, { code, recoveryCode });
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, { recoveryCodes }, "new recovery codes generated, the old ones no longer work"));
+});
+
+export {
+  getTwoFactorStatus,
+  setupTwoFactor,
+  activateTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
+};
@@ -0,0 +1,142 @@
+import fs from "fs";
+import { isValidObjectId } from "mongoose";
+import { ApiError } from "../utils/ApiError.js";
+import { ApiResponse } from "../utils/ApiResponse.js";
+import { asyncHandler } from "../utils/asyncHandler.js";
+import ChunkedUploadService from "../services/chunkedUpload.service.js";
+import VideoPublishingService from "../services/videoPublishing.service.js";
+import VideoSchedulingService from "../services/videoScheduling.service.js";
+
+const createUploadSession = asyncHandler(async (req, res) => {
+  const { fileName, mimeType, totalSize, chunkSize, checksum, title, description } = req.body;
+
+  if (!title?.trim() || !description?.trim()) {
+    throw new ApiError(400, "title and description are required");
+  }
+
+  if (!fileName?.trim()) {
+    throw new ApiError(400, "fileName is required");
+  }
+
+  const session = await ChunkedUploadService.createSession(req.user._id, {
+    fileName,
+    mimeType,
+    totalSize,
+    chunkSize,
+    checksum,
+    title,
+    description,
+  });
+
+  return res
+    .status(201)
+    .json(
+      new ApiResponse(201, ChunkedUploadService.getProgress(session), "upload session created successfully")
+    );
+});
+
+const uploadChunk = asyncHandler(async (req, res) => {
+  const { sessionId, chunkIndex } = req.params;
+
+  if (!isValidObjectId(sessionId)) {
+    throw new ApiError(400, "invalid upload session Id");
+  }
+
+  const session = await ChunkedUploadService.getSession(sessionId, req.user._id);
+  const updatedSession = await ChunkedUploadService.writeChunk(
+    session,
+    Number(chunkIndex),
+    req.body,
+    req.header("X-Chunk-Checksum")
+  );
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(200, ChunkedUploadService.getProgress(updatedSession), "chunk uploaded successfully")
+    );
+});
+
+const getUploadSession = asyncHandler(async (req, res) => {
+  const { sessionId } = req.params;
+
+  if (!isValidObjectId(sessionId)) {
+    throw new ApiError(400, "invalid upload session Id");
+  }
+
+  const session = await ChunkedUploadService.getSession(sessionId, req.user._id);
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(200, ChunkedUploadService.getProgress(session), "upload session fetched successfully")
+    );
+});
+
+const completeUploadSession = asyncHandler(async (req, res) => {
+  const { sessionId } = req.params;
+
+  if (!isValidObjectId(sessionId)) {
+    throw new ApiError(400, "invalid upload session Id");
+  }
+
+  // thumbnail is optional, processing generates one from the video
+  const thumbnailLocalPath = req.file?.path;
+
+  let session, videoLocalPath, publishAt;
+  try {
+    // optional, publishes the video later instead of as soon as it is processed
+    if (req.body?.publishAt) {
+      publishAt = VideoSchedulingService.parsePublishAt(req.body.publishAt);
+    }
+    session = await ChunkedUploadService.getSession(sessionId, req.user._id);
+    videoLocalPath = await ChunkedUploadService.assemble(session);
+  } catch (error) {
+    if (thumbnailLocalPath) fs.rmSync(thumbnailLocalPath, { force: true });
+    throw error;
+  }
+
+  let createdVideo;
+  try {
+    createdVideo = await VideoPublishingService.publishFromLocalFiles({
+      owner: req.user._id,
+      title: session.title,
+      description: session.description,
+      videoLocalPath,
+      thumbnailLocalPath,
+      publishAt,
+    });
+  } catch (error) {
+    await ChunkedUploadService.markFailed(session._id);
+    throw error;
+  }
+
+  await ChunkedUploadService.markCompleted(session._id, createdVideo._id);
+
+  return res
+    .status(202)
+    .json(new ApiResponse(202, createdVideo, "video uploaded successfully and queued for processing"));
+});
+
+const cancelUploadSession = asyncHandler(async (req, res) => {
+  const { sessionId } = req.params;
+
+  if (!isValidObjectId(sessionId)) {
+    throw new ApiError(400, "invalid upload session Id");
+  }
+
+  const session = await ChunkedUploadService.getSession(sessionId, req.user._id);
+  await ChunkedUploadService.cancel(session);
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, {}, "upload session cancelled successfully"));
+});
+
+export {
+  createUploadSession,
+  uploadChunk,
+  getUploadSession,
+  completeUploadSession,
+  cancelUploadSession,
+};
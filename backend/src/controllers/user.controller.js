@@ -1,31 +1,24 @@
 import { asyncHandler } from "../utils/asyncHandler.js";
-import jwt from "jsonwebtoken"
 import {ApiError} from "../utils/ApiError.js"
 import {User} from "../models/user.model.js"
-import {uploadOnCloudinary} from "../utils/cloudinary.js"
+import {uploadFile, deleteFile} from "../utils/storage/index.js"
 import { ApiResponse } from "../utils/ApiResponse.js";
 import mongoose , {isValidObjectId} from "mongoose";
 import { Video } from "../models/video.model.js";
-
-
-const generateAccessAndRefereshTokens = async(userId) =>{
-    try {
-        const user = await User.findById(userId)
-
-        if (!user) {
-            throw new ApiError(404, "User not found");
-          }
-
-        const accessToken = user.generateAccessToken()
-        const refreshToken = user.generateRefreshToken()
-
-        user.refreshToken = refreshToken
-        await user.save({ validateBeforeSave: false })
-
-        return {accessToken, refreshToken}
-    } catch (error) {
-        throw new ApiError(500, "Something went wrong while generating referesh and access token")
-    }
+import { WatchHistory } from "../models/watchHistory.model.js";
+import { canViewVideo, viewableVideoMatch } from "../utils/videoVisibility.js";
+import { parsePagination } from "../utils/pagination.js";
+import EmailVerificationService from "../services/emailVerification.service.js";
+import PasswordResetService from "../services/passwordReset.service.js";
+import SessionService from "../services/session.service.js";
+import TwoFactorService from "../services/twoFactor.service.js";
+import { TWO_FACTOR_CHALLENGE_COOKIE, TWO_FACTOR_CHALLENGE_COOKIE_OPTIONS } from "../constants.js";
+
+
+const cookieOptions = {
+    httpOnly: true,
+    secure: true,
+    sameSite: "None"
 }
 
 const registerUser = asyncHandler ( async (req , res)=>{
@@ -79,8 +72,8 @@ const registerUser = asyncHandler ( async (req , res)=>{
         throw new ApiError( 400 , "avatar is required" )
     }
 
-    const avatar = await uploadOnCloudinary(avatarLocal)
-    const coverImage = await uploadOnCloudinary(coverImageLocalPath)
+    const avatar = await uploadFile(avatarLocal, { folder: "avatars" })
+    const coverImage = await uploadFile(coverImageLocalPath, { folder: "cover-images" })
     
     if( ! avatar ){
         throw new ApiError( 400 , "avatar is required" )
@@ -89,7 +82,9 @@ const registerUser = asyncHandler ( async (req , res)=>{
     const newuser = await User.create({
         fullName , 
         avatar : avatar.url , 
+        avatarPublicId : avatar.publicId , 
         coverImage : coverImage?.url || "" ,
+        coverImagePublicId : coverImage?.publicId ,
         email : email.toLowerCase() , 
         password , 
         username : username.toLowerCase()
@@ -103,6 +98,11 @@ const registerUser = asyncHandler ( async (req , res)=>{
         throw new ApiError( 500 , "something went wrong while registering the user " )
     }
 
+    // the account exists either way, the user can ask for another email
+    await EmailVerificationService.sendVerificationEmail( newuser ).catch( (error) =>
+        console.error( `Failed to send verification email to user ${newuser._id}:` , error.message )
+    )
+
     return res.status(201).json(
         new ApiResponse(200 ,createdUser , "user registered successfully"   )
     )
@@ -148,20 +148,28 @@ const loginUser = asyncHandler( async (req , res) => {
     throw new ApiError(401, "Invalid user credentials")
     }  
 
-   const {accessToken, refreshToken} = await generateAccessAndRefereshTokens(user._id)
+   // no tokens yet, the client sends the challenge back with a code to /login/2fa
+   if (user.twoFactorEnabled) {
+    return res
+    .status(200)
+    .json(
+        new ApiResponse(
+            200,
+            { twoFactorRequired: true, challengeToken: TwoFactorService.createLoginChallenge(user) },
+            "enter the code from your authenticator app"
+        )
+    )
+   }
 
-    const loggedInUser = await User.findById(user._id).select("-password -refreshToken")
+   // every login is its own session, other devices stay logged in
+   const {accessToken, refreshToken} = await SessionService.createSession(user, req)
 
-    const options = {
-        httpOnly: true,
-        secure: true,
-        sameSite:"None"
-    }
+    const loggedInUser = await User.findById(user._id).select("-password -refreshToken")
 
     return res
     .status(200)
-    .cookie("accessToken", accessToken, options)
-    .cookie("refreshToken", refreshToken, options)
+    .cookie("accessToken", accessToken, cookieOptions)
+    .cookie("refreshToken", refreshToken, cookieOptions)
     .json(
         new ApiResponse(
             200, 
@@ -173,70 +181,114 @@ const loginUser = asyncHandler( async (req , res) => {
     )
 })
 
-const logoutUser = asyncHandler( async(req , res) => {
+// second login step of accounts with two-factor authentication
+const completeTwoFactorLogin = asyncHandler( async (req , res) => {
+    const { code , recoveryCode } = req.body
+    // provider sign-ins leave the challenge in a cookie, password logins return it in the body
+    const challengeToken = req.body.challengeToken || req.cookies?.[TWO_FACTOR_CHALLENGE_COOKIE]
 
-    await User.findByIdAndUpdate(
-        req.user._id  , 
-        {
-            $set : {
-                refreshToken : undefined
-            }   
-        } , 
-        {
-            new : true
-        }
+    if( !challengeToken ){
+        throw new ApiError( 400 , "challengeToken is required" )
+    }
+
+    const user = await TwoFactorService.completeLogin( challengeToken , { code , recoveryCode } )
+    const {accessToken, refreshToken} = await SessionService.createSession(user, req)
+
+    const loggedInUser = await User.findById(user._id).select("-password -refreshToken")
+
+    return res
+    .status(200)
+    .clearCookie(TWO_FACTOR_CHALLENGE_COOKIE, TWO_FACTOR_CHALLENGE_COOKIE_OPTIONS)
+    .cookie("accessToken", accessToken, cookieOptions)
+    .cookie("refreshToken", refreshToken, cookieOptions)
+    .json(
+        new ApiResponse(200 , { user: loggedInUser, accessToken, refreshToken } , "User logged In Successfully")
     )
- 
-    const options = {
-        httpOnly : true , 
-        secure : true 
-    } 
+} )
+
+// confirm the password (and code) again before sensitive actions, see requireRecentAuth
+const reauthenticate = asyncHandler( async (req , res) => {
+    const { password , code , recoveryCode } = req.body
+
+    await TwoFactorService.reauthenticate( req.user._id , req.sessionId , { password , code , recoveryCode } )
+
+    return res
+    .status(200)
+    .json( new ApiResponse(200 , {} , "identity confirmed") )
+} )
+
+const logoutUser = asyncHandler( async(req , res) => {
+
+    await SessionService.revokeSession( req.user._id , req.sessionId , "logout" )
 
     return res.status(200)
-    .clearCookie( "accessToken", options )
-    .clearCookie("refreshToken" , options)
+    .clearCookie( "accessToken", cookieOptions )
+    .clearCookie("refreshToken" , cookieOptions)
     .json(
         new ApiResponse( 200 , {} , "user logged out" )
     )
 
 } )
 
+const logoutAllSessions = asyncHandler( async(req , res) => {
+
+    const revokedCount = await SessionService.revokeAll( req.user._id , "logout_all" )
+
+    return res.status(200)
+    .clearCookie( "accessToken", cookieOptions )
+    .clearCookie("refreshToken" , cookieOptions)
+    .json(
+        new ApiResponse( 200 , { revokedCount } , "user logged out of every device" )
+    )
+
+} )
+
+const getSessions = asyncHandler( async(req , res) => {
+
+    const sessions = await SessionService.listSessions( req.user._id , req.sessionId )
+
+    return res.status(200)
+    .json(
+        new ApiResponse( 200 , sessions , "sessions fetched successfully" )
+    )
+
+} )
+
+const revokeSession = asyncHandler( async(req , res) => {
+    const { sessionId } = req.params
+
+    if( !isValidObjectId(sessionId) ){
+        throw new ApiError( 400 , "invalid session object Id" )
+    }
+
+    await SessionService.revokeSession( req.user._id , sessionId , "revoked" )
+
+    return res.status(200)
+    .json(
+        new ApiResponse( 200 , {} , "session revoked successfully" )
+    )
+
+} )
+
 const refreshAccessToken = asyncHandler( async (req , res) =>{
 
-    const {refreshToken} = req.body ; 
+    // browsers send the cookie set at login, other clients the body
+    const refreshToken = req.cookies?.refreshToken || req.body?.refreshToken ; 
 
     if(!refreshToken ){
         throw new ApiError( 401 , "unauthorized request")
     }
 
-    try {
-        const decodedToken = jwt.verify( refreshToken ,process.env.REFRESH_TOKEN_SECRET  )
-    
-        const user = await User.findById(decodedToken?._id)
-    
-        if( !user ){
-            throw new ApiError( 401 , "invalid refresh token")
-        }
-    
-        if( refreshToken !== user.refreshToken ){
-            throw new ApiError( 401 , "refresh token is expired or used")
-        }
-   
-        const options = {
-            httpOnly : true , 
-            secure : true 
-        } 
-         const { accessToken, refreshToken: newRefreshToken } = await generateAccessAndRefereshTokens(user._id);
-    
-        return res.status(200)
-        .cookie("accessToken" ,accessToken , options )
-        .cookie( "refreshToken" , newRefreshToken , options )
-        .json( 
-            new ApiResponse( 200 ,{user: user, accessToken, refreshToken: newRefreshToken} ,  "access token refreshed successfully" )
-         )
-    } catch (error) {
-        throw new ApiError( 401 , error?.message || "invalid refresh token")
-    }
+    const { user , accessToken , refreshToken: newRefreshToken } = await SessionService.rotate( refreshToken , req )
+
+    const loggedInUser = await User.findById(user._id).select("-password -refreshToken")
+
+    return res.status(200)
+    .cookie("accessToken" ,accessToken , cookieOptions )
+    .cookie( "refreshToken" , newRefreshToken , cookieOptions )
+    .json( 
+        new ApiResponse( 200 ,{user: loggedInUser, accessToken, refreshToken: newRefreshToken} ,  "access token refreshed successfully" )
+     )
 
 } )
 
@@ -251,18 +303,60 @@ const changeCurrentPassword =asyncHandler( async (req , res) =>{
     }
 
     user.password = newPassword 
+    // access tokens issued before the change stop working
+    user.passwordChangedAt = new Date()
      await user.save({
         validateBeforeSave : false  
     })
 
+    // a session stolen with the old password ends, this device gets a new access token
+    await SessionService.revokeAll( user._id , "password_change" , req.sessionId )
+    const accessToken = user.generateAccessToken( req.sessionId )
+
     return res.status(200)
+    .cookie("accessToken" ,accessToken , cookieOptions )
     .json( 
-        new ApiResponse(200 , {} , "password changes successfully"  )
+        new ApiResponse(200 , { accessToken } , "password changes successfully"  )
      )
 
 
 } )
 
+const forgotPassword = asyncHandler( async (req , res) =>{
+    const { email } = req.body
+
+    if( !email?.trim() ){
+        throw new ApiError( 400 , "email is required" )
+    }
+
+    await PasswordResetService.requestReset( email )
+
+    // same answer for unknown addresses
+    return res.status(200)
+    .json(
+        new ApiResponse(200 , {} , "if an account uses this email, a reset link has been sent to it" )
+    )
+
+} )
+
+const resetPassword = asyncHandler( async (req , res) =>{
+    const { token , newPassword } = req.body
+
+    if( !token ){
+        throw new ApiError( 400 , "reset token is required" )
+    }
+
+    await PasswordResetService.resetPassword( token , newPassword )
+
+    return res.status(200)
+    .clearCookie( "accessToken", cookieOptions )
+    .clearCookie("refreshToken" , cookieOptions)
+    .json(
+        new ApiResponse(200 , {} , "password reset successfully, log in with the new password" )
+    )
+
+} )
+
 const getCurrentUser = asyncHandler ( async (req , res) =>{
     const user = req.user
     console.log(user)
@@ -280,17 +374,28 @@ const updateAccountDetails = asyncHandler( async (req , res) =>{
         throw new ApiError( 400 , "all fields are required" )
     }
 
+    const emailChanged = email.toLowerCase() !== req.user?.email
+
     const user = await User.findByIdAndUpdate(
          req.user?._id , 
          {
             $set : {
                 fullName , 
-                email : email 
-            }
+                email : email.toLowerCase() ,
+                // a new address has to be verified again
+                ...( emailChanged && { isVerified : false } )
+            } ,
+            ...( emailChanged && { $unset : { emailVerifiedAt : 1 } } )
          } , 
          {new :true }
      ).select("-password")  
 
+    if( emailChanged ){
+        await EmailVerificationService.sendVerificationEmail( user ).catch( (error) =>
+            console.error( `Failed to send verification email to user ${user._id}:` , error.message )
+        )
+    }
+
      return res.status(200)
      .json( 
         new ApiResponse(200 ,user , "account details updated successfully"  )
@@ -298,27 +403,97 @@ const updateAccountDetails = asyncHandler( async (req , res) =>{
 
 } )
 
+const verifyEmail = asyncHandler( async (req , res) =>{
+    const { token } = req.body
+
+    if( !token ){
+        throw new ApiError( 400 , "verification token is required" )
+    }
+
+    const user = await EmailVerificationService.verify( token )
+
+    return res.status(200)
+    .json(
+        new ApiResponse(200 , user , "email verified successfully" )
+    )
+
+} )
+
+const resendVerificationEmail = asyncHandler( async (req , res) =>{
+    await EmailVerificationService.sendVerificationEmail( req.user )
+
+    return res.status(200)
+    .json(
+        new ApiResponse(200 , {} , "verification email sent" )
+    )
+
+} )
+
+// flags of preferences.notifications a user can change
+const NOTIFICATION_PREFERENCE_FLAGS = [ "email" , "push" , "comments" , "subscriptions" ]
+
+const updateNotificationPreferences = asyncHandler( async (req , res) =>{
+    const updates = {}
+
+    for( const flag of NOTIFICATION_PREFERENCE_FLAGS ){
+        if( req.body[flag] === undefined ) continue
+
+        if( typeof req.body[flag] !== "boolean" ){
+            throw new ApiError( 400 , `${flag} must be true or false` )
+        }
+        updates[`preferences.notifications.${flag}`] = req.body[flag]
+    }
+
+    if( req.body.emailFrequency !== undefined ){
+        const frequencies = User.schema.path("preferences.notifications.emailFrequency").enumValues
+
+        if( !frequencies.includes(req.body.emailFrequency) ){
+            throw new ApiError( 400 , `emailFrequency must be one of ${frequencies.join(", ")}` )
+        }
+        updates["preferences.notifications.emailFrequency"] = req.body.emailFrequency
+    }
+
+    if( !Object.keys(updates).length ){
+        throw new ApiError( 400 , "no notification preference to update" )
+    }
+
+    const user = await User.findByIdAndUpdate(
+        req.user?._id ,
+        { $set : updates } ,
+        { new : true }
+    ).select("preferences.notifications")
+
+    return res.status(200)
+    .json(
+        new ApiResponse(200 , user.preferences.notifications , "notification preferences updated successfully" )
+    )
+
+} )
+
 const updateUserAvatar = asyncHandler( async(  req , res) =>{
     const avatarLocalPath = req.file?.path
     if( ! avatarLocalPath ){
         throw new ApiError( 400 , "avater file is missing" )
     }
 
-    const avatar = await uploadOnCloudinary( avatarLocalPath )
+    const avatar = await uploadFile( avatarLocalPath , { folder: "avatars" } )
 
-    if( !avatar.url ){
-        throw new ApiError( 400 , "error while uploading avatar on cloudinary" )
+    if( !avatar?.url ){
+        throw new ApiError( 400 , "error while uploading avatar to storage" )
     }
 
     const user = await User.findByIdAndUpdate(
         req.user?._id , 
         {
            $set : {
-               avatar : avatar.url
+               avatar : avatar.url , 
+               avatarPublicId : avatar.publicId
            }
         } , 
         {new :true }
     ).select("-password")  
+
+    await deleteFile( req.user?.avatarPublicId )
     
     return res
     .json( 
@@ -333,22 +508,25 @@ const updateUserCoverImage = asyncHandler( async(  req , res) =>{
         throw new ApiError( 400 , "CoverImage file is missing" )
     }
 
-    const CoverImage = await uploadOnCloudinary( CoverImageLocalPath )
+    const CoverImage = await uploadFile( CoverImageLocalPath , { folder: "cover-images" } )
     console.log(CoverImage)
 
-    if( !CoverImage.url ){
-        throw new ApiError( 400 , "error while uploading coverImage on cloudinary" )
+    if( !CoverImage?.url ){
+        throw new ApiError( 400 , "error while uploading coverImage to storage" )
     }
 
     const user = await User.findByIdAndUpdate(
         req.user?._id , 
         {
            $set : {
-            coverImage : CoverImage.url
+            coverImage : CoverImage.url , 
+            coverImagePublicId : CoverImage.publicId
            }
         } , 
         {new :true }
     ).select("-password")  
+
+    await deleteFile( req.user?.coverImagePublicId )
     
     return res
     .json( 
@@ -405,17 +583,16 @@ const getUserChannelProfile = asyncHandler ( async( req , res )=>{
             }
         },
         {
+            // anonymous visitors get neither the email nor isSubscribed
             $project: {
                 fullName: 1,
                 username: 1,
                 subscribersCount: 1,
                 channelsSubscribedToCount: 1,
-                isSubscribed: 1,
                 avatar: 1,
                 coverImage: 1,
-                email: 1 , 
-                createdAt : 1
-
+                createdAt : 1,
+                ...( req.user ? { isSubscribed: 1, email: 1 } : {} )
             }
         }
     ])
@@ -434,31 +611,36 @@ const getUserChannelProfile = asyncHandler ( async( req , res )=>{
 
 
 
-const getWatchHistory = async (req, res, next) => {
-    try {
-        
-        const user = await User.findById(req.user._id)
-            .populate({
-                path: 'watchHistory', 
-                match: { isPublished: true },
-                select: 'title description thumbnail duration views createdAt owner', 
-                populate: {
-                    path: 'owner', 
-                    select: 'username avatar _id' 
-                }
-            })
-            .select('watchHistory'); 
+const getWatchHistory = asyncHandler(async (req, res) => {
+    const { page, limit } = parsePagination(req.query, { defaultLimit: 20, maxLimit: 100 });
 
-        if (!user) {
-            throw new ApiError(404, "User not found");
-        }
-
-        return res.status(200).json(new ApiResponse(200, user.watchHistory, "Watch history fetched successfully"));
-        
-    } catch (error) {
-        return new ApiError( 500 , error); 
-    }
-};
+    const history = await WatchHistory.find({ user: req.user._id, archived: { $ne: true } })
+        .sort({ updatedAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .populate({
+            path: 'video', 
+            match: viewableVideoMatch(req.user),
+            select: 'title description thumbnail duration views createdAt owner', 
+            populate: {
+                path: 'owner', 
+                select: 'username avatar _id' 
+            }
+        })
+        .lean();
+
+    // videos deleted or made private since they were watched are left out
+    const watchedVideos = history
+        .filter((entry) => entry.video)
+        .map((entry) => ({
+            ...entry.video,
+            watchProgress: entry.watchProgress,
+            isCompleted: entry.isCompleted,
+            watchedAt: entry.updatedAt
+        }));
+
+    return res.status(200).json(new ApiResponse(200, watchedVideos, "Watch history fetched successfully"));
+});
 
 const addVideoToWatchHistory = asyncHandler(async (req, res) => {
     const { videoId } = req.body;
@@ -467,39 +649,51 @@ const addVideoToWatchHistory = asyncHandler(async (req, res) => {
         throw new ApiError(400, "Invalid video object ID");
     }
 
-    const isVideoInWatchHistory = req.user?.watchHistory.some(
-        (id) => id.toString() === videoId
-    );
-
-    if (isVideoInWatchHistory) {
-        return res.json(
-            new ApiResponse(200, req.user, "Video is already in watch history")
-        );
+    const video = await Video.findById(videoId).select("owner isPublished processingStatus privacy");
+    if (!canViewVideo(video, req.user)) {
+        throw new ApiError(404, "video was not found or doesnt exist");
     }
 
-    const user = await User.findByIdAndUpdate(
-        req.user._id,
-        { $push: { watchHistory: videoId } },
-        { new: true }
-    ).select("-password");
-    
-    if (!user) {
-        throw new ApiError(400, "Can't find user");
+    // players call this again as playback goes on to report progress
+    const { watchProgress, watchDuration, device, referrer } = req.body;
+
+    for (const [field, value] of Object.entries({ device, referrer })) {
+        const allowed = WatchHistory.schema.path(field).enumValues;
+        if (value !== undefined && !allowed.includes(value)) {
+            throw new ApiError(400, `${field} must be one of ${allowed.join(", ")}`);
+        }
     }
 
+    const entry = await WatchHistory.recordWatch(req.user._id, videoId, {
+        watchProgress,
+        watchDuration,
+        device,
+        referrer
+    });
+
     return res.json(
-        new ApiResponse(200, user, "Video added to watch history successfully")
+        new ApiResponse(200, entry, "Video added to watch history successfully")
     );
 });
 
 export {
     registerUser , 
     loginUser , 
+    completeTwoFactorLogin ,
+    reauthenticate ,
     logoutUser , 
+    logoutAllSessions ,
+    getSessions ,
+    revokeSession ,
     refreshAccessToken , 
     changeCurrentPassword , 
+    forgotPassword ,
+    resetPassword ,
     getCurrentUser , 
     updateAccountDetails ,   
+    updateNotificationPreferences ,
+    verifyEmail ,
+    resendVerificationEmail ,
     updateUserAvatar , 
     updateUserCoverImage , 
     getUserChannelProfile , 
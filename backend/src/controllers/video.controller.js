@@ -1,31 +1,160 @@
+import fs from "fs";
+import path from "path";
 import mongoose, { isValidObjectId } from "mongoose";
 import { Video } from "../models/video.model.js";
 import { User } from "../models/user.model.js";
 import { ApiError } from "../utils/ApiError.js";
 import { ApiResponse } from "../utils/ApiResponse.js";
 import { asyncHandler } from "../utils/asyncHandler.js";
-import { uploadOnCloudinary } from "../utils/cloudinary.js";
+import { uploadFile, deleteFile, resolveLocalFile } from "../utils/storage/index.js";
+import { canViewVideo, listedVideoMatch } from "../utils/videoVisibility.js";
+import VideoPublishingService from "../services/videoPublishing.service.js";
+import VideoProcessingService from "../services/videoProcessing.service.js";
+import VideoSchedulingService from "../services/videoScheduling.service.js";
+import TrendingService, { TRENDING_SNAPSHOT_SIZE } from "../services/trending.service.js";
+import RecommendationService, { MAX_RELATED_VIDEOS } from "../services/recommendation.service.js";
+import NotificationService from "../services/notification.service.js";
+import { buildMasterPlaylist, buildMediaPlaylist } from "../utils/hls.js";
+import { parsePagination, encodeCursor, decodeCursor, keysetMatch } from "../utils/pagination.js";
+
+
+const VIDEO_SORT_FIELDS = ["views", "likeCount", "publishedAt", "duration"];
+
+// query string filters of the video listing -> match stage
+const buildVideoFilters = (query) => {
+  const filters = {};
+
+  if (query.category) {
+    const categories = Video.schema.path("category").enumValues;
+    if (!categories.includes(query.category)) {
+      throw new ApiError(400, `category must be one of ${categories.join(", ")}`);
+    }
+    filters.category = query.category;
+  }
+
+  if (query.tags) {
+    // tags are stored lowercase, every requested tag has to be present
+    const tags = String(query.tags).split(",").map((tag) => tag.trim().toLowerCase()).filter(Boolean);
+    if (tags.length > 0) filters.tags = { $all: tags };
+  }
+
+  if (query.language) filters.language = String(query.language);
+  if (query.region) filters.region = String(query.region);
+
+  if (query.owner) {
+    if (!isValidObjectId(query.owner)) {
+      throw new ApiError(400, "invalid owner object Id");
+    }
+    filters.owner = new mongoose.Types.ObjectId(query.owner);
+  }
+
+  if (query.minDuration !== undefined || query.maxDuration !== undefined) {
+    const minDuration = query.minDuration !== undefined ? Number(query.minDuration) : 0;
+    const maxDuration = query.maxDuration !== undefined ? Number(query.maxDuration) : Infinity;
+
+    if (Number.isNaN(minDuration) || Number.isNaN(maxDuration) || minDuration < 0 || minDuration > maxDuration) {
+      throw new ApiError(400, "minDuration and maxDuration must be a valid range of seconds");
+    }
+
+    filters.duration = { $gte: minDuration };
+    if (maxDuration !== Infinity) filters.duration.$lte = maxDuration;
+  }
 
+  return filters;
+};
 
 const getAllVideos = asyncHandler(async (req, res) => {
-  const sortBy = 'durationInSeconds', sortType = -1;
+  const { sortBy = "publishedAt", sortType = "desc", cursor } = req.query;
 
-  try {
-    const matchStage = {
-      duration: { $gt: 15 },
-      isPublished: true
-    };
+  if (!VIDEO_SORT_FIELDS.includes(sortBy)) {
+    throw new ApiError(400, `sortBy must be one of ${VIDEO_SORT_FIELDS.join(", ")}`);
+  }
+  if (!["asc", "desc"].includes(sortType)) {
+    throw new ApiError(400, "sortType must be asc or desc");
+  }
 
-    const sortOptions = { [sortBy]: parseInt(sortType), createdAt: -1, title: 1, views: -1 };
+  const direction = sortType === "asc" ? 1 : -1;
+  const { page, limit } = parsePagination(req.query);
 
-   
-    const result = await Video.find(matchStage)
-      .sort(sortOptions)
-      .populate('owner', 'username avatar') 
+  const matchStage = {
+    ...listedVideoMatch(),
+    ...buildVideoFilters(req.query)
+  };
+
+  // a cursor continues after the last video of the previous page, it only
+  // makes sense with the sort it was created for
+  if (cursor) {
+    const { sortBy: cursorSortBy, sortType: cursorSortType, value, id } = decodeCursor(cursor);
+
+    if (cursorSortBy !== sortBy || cursorSortType !== sortType || !isValidObjectId(id)) {
+      throw new ApiError(400, "cursor does not match the requested sort");
+    }
+
+    // the value goes straight into the match, an object or string would compare against anything
+    const sortValue = sortBy === "publishedAt" ? new Date(value) : value;
+    const validValue = sortBy === "publishedAt"
+      ? typeof value === "string" && !Number.isNaN(sortValue.getTime())
+      : typeof value === "number" && Number.isFinite(value);
+
+    if (!validValue) {
+      throw new ApiError(400, "invalid cursor");
+    }
+
+    Object.assign(
+      matchStage,
+      keysetMatch(
+        sortBy,
+        sortValue,
+        new mongoose.Types.ObjectId(id),
+        direction
+      )
+    );
+  }
+
+  try {
+    const aggregationQuery = Video.aggregate([
+      { $match: matchStage },
+      // _id breaks ties so pages never overlap
+      { $sort: { [sortBy]: direction, _id: direction } },
+      {
+        $project: {
+          hlsPlaylists: 0,
+          sourceFilePath: 0,
+          sourceThumbnailPath: 0
+        }
+      },
+      {
+        $lookup: {
+          from: "users",
+          localField: "owner",
+          foreignField: "_id",
+          as: "owner"
+        }
+      },
+      { $unwind: "$owner" },
+      {
+        $addFields: {
+          owner: {
+            _id: "$owner._id",
+            username: "$owner.username",
+            avatar: "$owner.avatar"
+          }
+        }
+      }
+    ]);
+
+    const result = await Video.aggregatePaginate(aggregationQuery, {
+      page: cursor ? 1 : page,
+      limit
+    });
+
+    const lastVideo = result.docs[result.docs.length - 1];
+    result.nextCursor = result.hasNextPage && lastVideo
+      ? encodeCursor({ sortBy, sortType, value: lastVideo[sortBy], id: lastVideo._id.toString() })
+      : null;
 
-    
     return res.status(200).json(
-      new ApiResponse(200, { docs: result }, "All videos are loaded successfully")
+      new ApiResponse(200, result, "All videos are loaded successfully")
     );
 
   } catch (error) {
@@ -34,6 +163,17 @@ const getAllVideos = asyncHandler(async (req, res) => {
   }
 });
 
+const getTrendingVideos = asyncHandler(async (req, res) => {
+  const { category, region } = TrendingService.parseFilters(req.query);
+  const { limit } = parsePagination(req.query, { defaultLimit: 20, maxLimit: TRENDING_SNAPSHOT_SIZE });
+
+  const trending = await TrendingService.getTrending({ category, region, limit });
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, trending, "trending videos fetched successfully"));
+});
+
 const getAllUserVideos = asyncHandler(async (req, res) => {
   const { userId } = req.params;
   const sortBy = 'durationInSeconds', sortType = -1;
@@ -45,10 +185,11 @@ const getAllUserVideos = asyncHandler(async (req, res) => {
 
     console.log(`Fetching videos for user: ${userId}`); 
 
-    const matchStage = {
-      owner: new mongoose.Types.ObjectId(userId),
-      isPublished: true
-    };
+    // owners see their unlisted, private and unpublished videos too
+    const isOwnChannel = req.user?._id.toString() === userId;
+    const matchStage = isOwnChannel
+      ? { owner: new mongoose.Types.ObjectId(userId), processingStatus: "completed" }
+      : { owner: new mongoose.Types.ObjectId(userId), ...listedVideoMatch() };
 
     console.log("Match stage:", matchStage); 
 
@@ -83,68 +224,86 @@ const publishAVideo = asyncHandler(async (req, res) => {
   const { title, description } = req.body;
   // TODO: get video, upload to cloudinary, create video
 
-  if (title?.trim() === "" || description?.trim() === "") {
-    throw new ApiError(400, "title and description are required");
-  }
-
   const videoLocalPath = req.files?.videoFile && req.files?.videoFile[0]?.path;
   const thumbnailLocalPath =
     req.files?.thumbnail && req.files?.thumbnail[0]?.path;
 
-  if (!videoLocalPath || !thumbnailLocalPath) {
-    throw new ApiError(400, "video or thumbnail are required");
-  }
+  let publishAt;
+  try {
+    if (title?.trim() === "" || description?.trim() === "") {
+      throw new ApiError(400, "title and description are required");
+    }
 
-  const video = await uploadOnCloudinary(videoLocalPath);
-  const thumbnail = await uploadOnCloudinary(thumbnailLocalPath);
+    // thumbnail is optional, processing generates one from the video
+    if (!videoLocalPath) {
+      throw new ApiError(400, "video file is required");
+    }
 
-  if (!video || !thumbnail) {
-    throw new ApiError(400, "video or thumbnail is not uploded on cloudinary");
+    // optional, publishes the video later instead of as soon as it is processed
+    publishAt = req.body.publishAt
+      ? VideoSchedulingService.parsePublishAt(req.body.publishAt)
+      : undefined;
+  } catch (error) {
+    // multer already wrote the uploads to public/temp
+    await VideoProcessingService.removeSourceFiles(videoLocalPath, thumbnailLocalPath);
+    throw error;
   }
 
-  const videoOwner = req.user?._id;
-
-  const durationInSeconds = video?.duration;
-
-  const newVideo = await Video.create({
-    videoFile: video?.url,
-    thumbnail: thumbnail?.url,
+  const createdVideo = await VideoPublishingService.publishFromLocalFiles({
+    owner: req.user?._id,
     title,
     description,
-    duration: durationInSeconds,
-    views: 0, 
-    isPublished: true,
-    owner: videoOwner,
+    videoLocalPath,
+    thumbnailLocalPath,
+    publishAt,
   });
 
-  if (!newVideo) {
-    throw new ApiError(500, "something went wrong while uploading video");
+  return res
+    .status(202)
+    .json(new ApiResponse(202, createdVideo, "video uploaded successfully and queued for processing"));
+});
+
+const getVideoById = asyncHandler(async (req, res) => {
+  const { videoId } = req.params;
+  //TODO: get video by id
+
+  if (!isValidObjectId(videoId)) {
+    throw new ApiError( 400 , "invalid video object Id" )
   }
 
-  const createdVideo = await User.findById(newVideo._id).select("-isPublished");
+  const searchedVideo = await Video.findById(videoId).populate('owner', 'username avatar');
+
+  // private, unpublished and unprocessed videos do not exist for anyone but the owner
+  if (!canViewVideo(searchedVideo, req.user)) {
+    throw new ApiError(404 , "video was not found or doesnt exist")
+  }
+
+  const { isPublished, ...video } = searchedVideo.toObject();
 
   return res
-    .status(201)
-    .json(new ApiResponse(200, createdVideo, "video uploaded successfully"));
+    .status(200)
+    .json(new ApiResponse(200, video, "video searched successfully"));
 });
 
-const getVideoById = asyncHandler(async (req, res) => {
+const getRelatedVideos = asyncHandler(async (req, res) => {
   const { videoId } = req.params;
-  //TODO: get video by id
 
   if (!isValidObjectId(videoId)) {
     throw new ApiError( 400 , "invalid video object Id" )
   }
 
-  const searchedVideo = await Video.findById(videoId).select("-isPublished").populate('owner', 'username avatar');
+  const { limit } = parsePagination(req.query, { defaultLimit: 20, maxLimit: MAX_RELATED_VIDEOS });
 
-  if( !searchedVideo ){
-    throw new ApiError(400 , "video was not found or doesnt exist")
+  const searchedVideo = await Video.findById(videoId).select("owner category tags isPublished processingStatus privacy");
+  if (!canViewVideo(searchedVideo, req.user)) {
+    throw new ApiError(404, "video was not found or doesnt exist");
   }
 
+  const relatedVideos = await RecommendationService.getRelatedVideos(searchedVideo, req.user?._id ?? null, limit);
+
   return res
     .status(200)
-    .json(new ApiResponse(200, searchedVideo, "video searched successfully"));
+    .json(new ApiResponse(200, relatedVideos, "related videos fetched successfully"));
 });
 
 const updateVideo = asyncHandler(async (req, res) => {
@@ -171,14 +330,16 @@ const updateVideo = asyncHandler(async (req, res) => {
   // here can be error
   const thumbnailLocalPath = req.file?.path;
   if (thumbnailLocalPath) {
-    const thumbnail = await uploadOnCloudinary(thumbnailLocalPath);
-    if (!thumbnail.url) {
+    const thumbnail = await uploadFile(thumbnailLocalPath, { folder: "thumbnails" });
+    if (!thumbnail?.url) {
       throw new ApiError(
         400,
-        "error while uploading thumbnail on cloudinary during updating thumbnail"
+        "error while uploading thumbnail to storage during updating thumbnail"
       );
     }
+    await deleteFile(searchedVideo.thumbnailPublicId);
     searchedVideo.thumbnail = thumbnail.url;
+    searchedVideo.thumbnailPublicId = thumbnail.publicId;
   }
 
   await searchedVideo.save({
@@ -198,10 +359,16 @@ const deleteVideo = asyncHandler(async (req, res) => {
   }
 
   try {
-    const result = await Video.findByIdAndDelete(videoId);
+    const result = await Video.findByIdAndDelete(videoId).select("+sourceFilePath +sourceThumbnailPath");
 
     if (result) {
       console.log("Video deleted successfully");
+      await VideoProcessingService.removeUploads(
+        { publicId: result.videoFilePublicId },
+        { publicId: result.thumbnailPublicId },
+        result.renditions
+      );
+      await VideoProcessingService.removeSourceFiles(result.sourceFilePath, result.sourceThumbnailPath);
     } else {
       throw new ApiError(400, "this video doesn't exist" + err);
     }
@@ -228,31 +395,49 @@ const togglePublishStatus = asyncHandler(async (req, res) => {
   if (!searchedVideo) {
     throw new ApiError(400, "invalid video id");
   }
-  const videoOwner = searchedVideo?.owner;
-  const currentUser = req.user?._id;
-
-  console.log(videoOwner +  " " + currentUser ) ;; 
+  searchedVideo.isPublished = !searchedVideo.isPublished;
 
-  if (videoOwner.toString() !== currentUser.toString() ) {
-    throw new ApiError(
-      400,
-      "current user is not owner of this video , so user cannot change in publishification of the video"
-    );
+  // publishing or unpublishing by hand overrides a pending schedule
+  if (searchedVideo.scheduledPublishAt) {
+    await VideoSchedulingService.cancel(searchedVideo);
   }
 
-  searchedVideo.isPublished = !searchedVideo.isPublished;
-
   await searchedVideo.save({
     validateBeforeSave: false,
   });
 
+  if (searchedVideo.isPublished) {
+    await NotificationService.notifyVideoPublished(searchedVideo._id);
+  }
+
   return res
     .status(201)
     .json(new ApiResponse(200, searchedVideo, "isPublish toggled successfully"));
 });
 
-const addView = asyncHandler(async (req, res) => {
+const scheduleVideoPublish = asyncHandler(async (req, res) => {
+  const { videoId } = req.params;
 
+  if (!isValidObjectId(videoId)) {
+    throw new ApiError( 400 , "invalid video object Id" )
+  }
+
+  const publishAt = VideoSchedulingService.parsePublishAt(req.body.publishAt);
+
+  const searchedVideo = await Video.findById(videoId);
+  if (!searchedVideo) {
+    throw new ApiError(404, "video was not found or doesnt exist");
+  }
+
+  // scheduling again replaces the previous date
+  await VideoSchedulingService.schedule(searchedVideo, publishAt);
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, searchedVideo, "video scheduled for publishing successfully"));
+});
+
+const cancelScheduledPublish = asyncHandler(async (req, res) => {
   const { videoId } = req.params;
 
   if (!isValidObjectId(videoId)) {
@@ -261,28 +446,240 @@ const addView = asyncHandler(async (req, res) => {
 
   const searchedVideo = await Video.findById(videoId);
   if (!searchedVideo) {
-    throw new ApiError(400, "invalid video id");
+    throw new ApiError(404, "video was not found or doesnt exist");
+  }
+
+  if (!searchedVideo.scheduledPublishAt) {
+    throw new ApiError(400, "video is not scheduled for publishing");
+  }
+
+  await VideoSchedulingService.cancel(searchedVideo);
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, searchedVideo, "scheduled publishing cancelled, video stays unpublished"));
+});
+
+const updateVideoPrivacy = asyncHandler(async (req, res) => {
+  const { videoId } = req.params;
+  const { privacy } = req.body;
+
+  if (!isValidObjectId(videoId)) {
+    throw new ApiError( 400 , "invalid video object Id" )
   }
 
-  searchedVideo.views = searchedVideo.views + 1;
+  const allowedPrivacy = Video.schema.path("privacy").enumValues;
+  if (!allowedPrivacy.includes(privacy)) {
+    throw new ApiError(400, `privacy must be one of ${allowedPrivacy.join(", ")}`);
+  }
+
+  const searchedVideo = await Video.findById(videoId);
+  if (!searchedVideo) {
+    throw new ApiError(404, "video was not found or doesnt exist");
+  }
+
+  searchedVideo.privacy = privacy;
 
   await searchedVideo.save({
     validateBeforeSave: false,
   });
 
+  if (privacy === "public") {
+    await NotificationService.notifyVideoPublished(searchedVideo._id);
+  }
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, searchedVideo, "video privacy updated successfully"));
+});
+
+const getVideoProcessingStatus = asyncHandler(async (req, res) => {
+  const { videoId } = req.params;
+
+  if (!isValidObjectId(videoId)) {
+    throw new ApiError( 400 , "invalid video object Id" )
+  }
+
+  const searchedVideo = await Video.findById(videoId).select(
+    "owner processingStatus processingError processedAt duration fileSize quality thumbnail"
+  );
+
+  if (!searchedVideo || searchedVideo.owner.toString() !== req.user?._id.toString()) {
+    throw new ApiError(404, "video was not found or doesnt exist");
+  }
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, searchedVideo, "video processing status fetched successfully"));
+});
+
+const HLS_CONTENT_TYPE = "application/vnd.apple.mpegurl";
+
+// load a processed video for playback, hiding videos the viewer is not allowed to see
+const findPlayableVideo = async (videoId, user, select = "") => {
+  if (!isValidObjectId(videoId)) {
+    throw new ApiError( 400 , "invalid video object Id" )
+  }
+
+  const searchedVideo = await Video.findById(videoId).select(select);
+
+  if (!canViewVideo(searchedVideo, user) || searchedVideo.processingStatus !== "completed") {
+    throw new ApiError(404, "video was not found or doesnt exist");
+  }
+
+  return searchedVideo;
+};
+
+const getHlsMasterPlaylist = asyncHandler(async (req, res) => {
+  const searchedVideo = await findPlayableVideo(req.params.videoId, req.user);
+
+  if (!searchedVideo.renditions?.length) {
+    throw new ApiError(404, "video has no adaptive renditions");
+  }
+
+  return res
+    .status(200)
+    .type(HLS_CONTENT_TYPE)
+    .send(buildMasterPlaylist(searchedVideo.renditions));
+});
+
+const getHlsMediaPlaylist = asyncHandler(async (req, res) => {
+  const { videoId, quality } = req.params;
+  const searchedVideo = await findPlayableVideo(videoId, req.user, "+hlsPlaylists");
+
+  const rendition = searchedVideo.renditions?.find((item) => item.quality === quality);
+  const playlist = searchedVideo.hlsPlaylists?.[quality];
+
+  if (!rendition || !playlist) {
+    throw new ApiError(404, `video has no ${quality} rendition`);
+  }
+
+  return res
+    .status(200)
+    .type(HLS_CONTENT_TYPE)
+    .send(buildMediaPlaylist(rendition.url, playlist));
+});
+
+const addView = asyncHandler(async (req, res) => {
+
+  const { videoId } = req.params;
+
+  if (!isValidObjectId(videoId)) {
+    throw new ApiError( 400 , "invalid video object Id" )
+  }
+
+  const searchedVideo = await Video.recordView(videoId);
+  if (!searchedVideo) {
+    throw new ApiError(400, "invalid video id");
+  }
+
   return res
     .status(201)
     .json(new ApiResponse(200, searchedVideo, "view added successfully"));
 
 });
 
+const streamVideo = asyncHandler(async (req, res) => {
+  const { videoId } = req.params;
+  const { quality } = req.query;
+
+  if (!isValidObjectId(videoId)) {
+    throw new ApiError( 400 , "invalid video object Id" )
+  }
+
+  const searchedVideo = await Video.findById(videoId);
+
+  if (!canViewVideo(searchedVideo, req.user) || !searchedVideo.videoFile) {
+    throw new ApiError(404, "video was not found or doesnt exist");
+  }
+
+  // stream a single rendition when asked for, the original upload otherwise
+  const source = quality
+    ? searchedVideo.renditions?.find((item) => item.quality === quality)
+    : { url: searchedVideo.videoFile, publicId: searchedVideo.videoFilePublicId };
+
+  if (!source) {
+    throw new ApiError(404, `video has no ${quality} rendition`);
+  }
+
+  // players send many range requests per playback, only the first one is a view,
+  // and HEAD requests (players and crawlers probing the file) never are
+  const rangeHeader = req.headers.range;
+  const isNewPlayback = req.method !== "HEAD" && (!rangeHeader || /^bytes=0-/.test(rangeHeader));
+
+  const filePath = resolveLocalFile(source.publicId);
+
+  // remote storage handles range requests itself
+  if (!filePath) {
+    if (isNewPlayback) await Video.recordView(videoId);
+    return res.redirect(302, source.url);
+  }
+
+  let stats;
+  try {
+    stats = await fs.promises.stat(filePath);
+  } catch (error) {
+    throw new ApiError(404, "video file is missing from storage");
+  }
+
+  const fileSize = stats.size;
+  const ranges = rangeHeader ? req.range(fileSize, { combine: true }) : null;
+
+  if (ranges === -1) {
+    return res
+      .status(416)
+      .set("Content-Range", `bytes */${fileSize}`)
+      .end();
+  }
+
+  // a malformed or non-byte range header is ignored and the whole file is sent
+  const range = Array.isArray(ranges) && ranges.type === "bytes" ? ranges[0] : null;
+  const start = range ? range.start : 0;
+  const end = range ? range.end : fileSize - 1;
+
+  if (isNewPlayback) await Video.recordView(videoId);
+
+  res
+    .status(range ? 206 : 200)
+    .type(path.extname(filePath))
+    .set({
+      "Accept-Ranges": "bytes",
+      "Content-Length": end - start + 1,
+      "Cache-Control": "private, max-age=0",
+    });
+
+  if (range) {
+    res.set("Content-Range", `bytes ${start}-${end}/${fileSize}`);
+  }
+
+  if (req.method === "HEAD") {
+    return res.end();
+  }
+
+  const stream = fs.createReadStream(filePath, { start, end });
+  stream.on("error", (error) => {
+    console.error(`Error streaming video ${videoId}:`, error);
+    res.destroy(error);
+  });
+  stream.pipe(res);
+});
+
 export {
   getAllVideos,
+  getTrendingVideos,
   publishAVideo,
   getVideoById,
+  getRelatedVideos,
   updateVideo,
   deleteVideo,
   togglePublishStatus,
+  updateVideoPrivacy,
+  scheduleVideoPublish,
+  cancelScheduledPublish,
   addView , 
-  getAllUserVideos
+  getAllUserVideos,
+  getVideoProcessingStatus,
+  getHlsMasterPlaylist,
+  getHlsMediaPlaylist,
+  streamVideo
 };
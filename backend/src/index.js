@@ -3,6 +3,7 @@ import express from "express"
 import mongoose from "mongoose";
 import connectDB from "./db/index.js";
 import { app } from "./app.js";
+import RealtimeService from "./services/realtime.service.js";
 
 
 dotenv.config({
@@ -13,6 +14,9 @@ console.log(`port ${process.env.PORT}` )
 
 connectDB()
 .then( () => {
+    // relay realtime events published by this instance, the others and the worker
+    RealtimeService.start()
+
     app.listen( process.env.PORT || 8000 , () => {
         // app
         console.log(` server is running on : ${process.env.PORT}`) ; 
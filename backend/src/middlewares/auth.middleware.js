@@ -2,39 +2,116 @@ import { ApiError } from "../utils/ApiError.js";
 import { asyncHandler } from "../utils/asyncHandler.js";
 import jwt from "jsonwebtoken"
 import { User } from "../models/user.model.js";
+import SessionService from "../services/session.service.js";
 
-export const verifyJwt = asyncHandler( async (req , _ , next) => {
+export const getAccessToken = (req) =>
+   req.cookies?.accessToken || req.header( "Authorization")?.replace("Bearer " ,"" )
+
+// Resolve the user of an access token, throws a 401 ApiError when the token
+// is invalid, expired or belongs to a session that ended. Also used by
+// long-lived streams to check the token they were opened with again
+export const authenticate = async (token) => {
    try {
-     const token = req.cookies?.accessToken ||
-      req.header( "Authorization")?.replace("Bearer " ,"" )
- 
-      if( ! token ){
-         throw new ApiError( 401 , "unauthorized token" )
-      } 
- 
-     const decodedToken =  jwt.verify( token , process.env.ACCESS_TOKEN_SECRET )
-
-
-     console.log("this is decoded jwt from authMiddleware...") ; 
-     console.log(decodedToken ) ; 
- 
+      const decodedToken =  jwt.verify( token , process.env.ACCESS_TOKEN_SECRET )
+
       const user = await User.findById( decodedToken?._id ).select(
          "-password -refreshToken"
       )
- 
+
       if( ! user ){
          throw new ApiError(401 , "invalid access token")
       }
 
-      //  Attaches user details (after authentication) to the request object for easy access in 
-      //  subsequent middleware and route handlers.
-      req.user = user ;
-      // console.log("first") 
-      // console.log(user)
-      next()
+      // tokens issued before a password reset are revoked (iat is in seconds)
+      if( user.passwordChangedAt && decodedToken.iat < Math.floor( user.passwordChangedAt.getTime() / 1000 ) ){
+         throw new ApiError(401 , "session expired, please log in again")
+      }
+
+      // the session was logged out, revoked or its refresh token reused
+      if( ! await SessionService.isActive( decodedToken.sid , user._id ) ){
+         throw new ApiError(401 , "session expired, please log in again")
+      }
+
+      return { user , sessionId : decodedToken.sid }
    } catch (error) {
-        throw new ApiError( 401 , error?.message || "invalid access token" )
+      throw new ApiError( 401 , error?.message || "invalid access token" )
    }
+}
 
+export const verifyJwt = asyncHandler( async (req , _ , next) => {
+   const token = getAccessToken(req)
+
+   if( ! token ){
+      throw new ApiError( 401 , "unauthorized token" )
+   }
+
+   const { user , sessionId } = await authenticate(token)
+
+   //  Attaches user details (after authentication) to the request object for easy access in 
+   //  subsequent middleware and route handlers.
+   req.user = user ;
+   req.sessionId = sessionId ;
+   next()
 } )
 
+// For routes anonymous visitors can use too: attaches req.user when a valid
+// token is sent. Any token problem leaves the request anonymous instead of
+// failing it, a stale cookie must not lock someone out of public pages.
+export const optionalJwt = asyncHandler( async (req , _ , next) => {
+   const token = getAccessToken(req)
+
+   if( token ){
+      try {
+         const { user , sessionId } = await authenticate(token)
+         req.user = user ;
+         req.sessionId = sessionId ;
+      } catch (error) {
+         // the request stays anonymous
+      }
+   }
+
+   next()
+} )
+
+
+// Actions an account with an unverified email cannot take, comma separated
+// among publish, comment and tweet. An empty value lifts every restriction.
+const UNVERIFIED_RESTRICTIONS = ( process.env.UNVERIFIED_RESTRICTIONS ?? "publish,comment" )
+   .split(",")
+   .map( (action) => action.trim() )
+   .filter(Boolean)
+
+// use after verifyJwt
+export const requireVerified = (action) => (req , _ , next) => {
+   if( UNVERIFIED_RESTRICTIONS.includes(action) && !req.user?.isVerified ){
+      throw new ApiError( 403 , `verify your email address before you can ${action}` )
+   }
+
+   next()
+}
+
+// use after verifyJwt, the user needs every permission listed
+export const authorize = (...permissions) => (req , _ , next) => {
+   const missing = permissions.filter( (permission) => !req.user?.hasPermission(permission) )
+
+   if( missing.length ){
+      throw new ApiError( 403 , "you do not have permission to do this" )
+   }
+
+   next()
+}
+
+// How long after logging in or reauthenticating sensitive actions are allowed
+const REAUTH_WINDOW_MS = ( Number(process.env.REAUTH_WINDOW_MINUTES) || 10 ) * 60 * 1000
+
+// use after verifyJwt on sensitive actions, clients answer the 403 with
+// POST /users/reauthenticate and retry
+export const requireRecentAuth = asyncHandler( async (req , _ , next) => {
+   const authenticatedAt = await SessionService.getAuthenticatedAt( req.sessionId , req.user._id )
+
+   if( !authenticatedAt || Date.now() - authenticatedAt.getTime() > REAUTH_WINDOW_MS ){
+      throw new ApiError( 403 , "please confirm your password to continue" )
+   }
+
+   next()
+} )
@@ -0,0 +1,37 @@
+import { isValidObjectId } from "mongoose";
+import { ApiError } from "../utils/ApiError.js";
+import { asyncHandler } from "../utils/asyncHandler.js";
+
+/**
+ * Only let the owner of a resource through, use after verifyJwt.
+ * The resource is loaded by the id in req.params[param]; an invalid id is a 400,
+ * a missing resource a 404 and someone else's resource a 403.
+ * @param {Object} options - { model, param, ownerField, overridePermission }
+ * overridePermission lets users holding it act on resources they do not own,
+ * null when only the owner may
+ */
+export const requireOwnership = ({ model, param, ownerField = "owner", overridePermission = null }) => {
+   const name = model.modelName.toLowerCase()
+
+   return asyncHandler(async (req, _, next) => {
+      const resourceId = req.params[param]
+
+      if (!isValidObjectId(resourceId)) {
+         throw new ApiError(400, `invalid ${name} object Id`)
+      }
+
+      const resource = await model.findById(resourceId).select(ownerField).lean()
+
+      if (!resource) {
+         throw new ApiError(404, `${name} was not found or doesnt exist`)
+      }
+
+      const isOwner = resource[ownerField]?.toString() === req.user?._id.toString()
+
+      if (!isOwner && !(overridePermission && req.user?.hasPermission(overridePermission))) {
+         throw new ApiError(403, `you do not have permission to change this ${name}`)
+      }
+
+      next()
+   })
+}
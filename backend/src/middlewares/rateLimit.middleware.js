@@ -0,0 +1,41 @@
+import { ApiError } from "../utils/ApiError.js";
+
+// Fixed window counters kept in memory, so limits apply per server instance
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Limit how often a client can hit a route
+ * @param {Object} options - { windowMs, max, message, key }
+ * key builds the counter key from the request, the client IP by default
+ */
+export const rateLimit = ({ windowMs, max, message = "too many requests, try again later", key = (req) => req.ip }) => {
+   const hits = new Map()
+
+   // forget windows that ended, the timer must not keep the process alive
+   setInterval(() => {
+      const now = Date.now()
+      for (const [counterKey, counter] of hits) {
+         if (counter.resetAt <= now) hits.delete(counterKey)
+      }
+   }, SWEEP_INTERVAL_MS).unref()
+
+   return (req, res, next) => {
+      const now = Date.now()
+      const counterKey = key(req)
+      let counter = hits.get(counterKey)
+
+      if (!counter || counter.resetAt <= now) {
+         counter = { count: 0, resetAt: now + windowMs }
+         hits.set(counterKey, counter)
+      }
+
+      counter.count++
+
+      if (counter.count > max) {
+         res.set("Retry-After", String(Math.ceil((counter.resetAt - now) / 1000)))
+         throw new ApiError(429, message)
+      }
+
+      next()
+   }
+}
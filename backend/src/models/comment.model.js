@@ -14,6 +14,12 @@ const commentSchema = new Schema(
         owner: {
             type: Schema.Types.ObjectId,
             ref: "User"
+        },
+        // Comment this one replies to, on the same video
+        parentComment: {
+            type: Schema.Types.ObjectId,
+            ref: "Comment",
+            index: true
         }
     },
     {
@@ -0,0 +1,59 @@
+import mongoose, { Schema } from "mongoose";
+
+const jobSchema = new Schema({
+    // Handler name, e.g. "video.process"
+    type: {
+        type: String,
+        required: true,
+        index: true
+    },
+    payload: {
+        type: Schema.Types.Mixed,
+        default: {}
+    },
+    status: {
+        type: String,
+        enum: ['queued', 'running', 'completed', 'failed'],
+        default: 'queued',
+        index: true
+    },
+    // Earliest time the job may run, also used for retry backoff
+    runAt: {
+        type: Date,
+        default: Date.now,
+        index: true
+    },
+    attempts: {
+        type: Number,
+        default: 0
+    },
+    maxAttempts: {
+        type: Number,
+        default: 3
+    },
+    // Worker lock, a stale lock is taken over by another worker
+    lockedAt: {
+        type: Date
+    },
+    lockedBy: {
+        type: String
+    },
+    lastError: {
+        type: String
+    },
+    completedAt: {
+        type: Date
+    }
+}, {
+    timestamps: true
+});
+
+// Compound index used by workers when claiming the next due job
+jobSchema.index({ status: 1, type: 1, runAt: 1 });
+jobSchema.index({ status: 1, lockedAt: 1 });
+jobSchema.index({ type: 1, 'payload.videoId': 1 }); // Cancelling the jobs of a video
+
+// TTL index to drop finished jobs after 7 days
+jobSchema.index({ completedAt: 1 }, { expireAfterSeconds: 604800 });
+
+export const Job = mongoose.model("Job", jobSchema);
@@ -0,0 +1,66 @@
+import mongoose, { Schema } from "mongoose";
+
+const notificationSchema = new Schema({
+    recipient: {
+        type: Schema.Types.ObjectId,
+        ref: "User",
+        required: true
+    },
+    // User whose action triggered the notification
+    actor: {
+        type: Schema.Types.ObjectId,
+        ref: "User"
+    },
+    type: {
+        type: String,
+        enum: ['new_video', 'new_tweet', 'comment_reply', 'new_subscriber', 'like_milestone'],
+        required: true
+    },
+    // Content the notification points to, set depending on the type
+    video: {
+        type: Schema.Types.ObjectId,
+        ref: "Video"
+    },
+    tweet: {
+        type: Schema.Types.ObjectId,
+        ref: "Tweet"
+    },
+    comment: {
+        type: Schema.Types.ObjectId,
+        ref: "Comment"
+    },
+    // Like count reached, for like_milestone
+    milestone: {
+        type: Number
+    },
+    message: {
+        type: String,
+        required: true,
+        maxlength: 300
+    },
+    // Identifies the event, so a retried fan-out never notifies a user twice
+    dedupeKey: {
+        type: String
+    },
+    isRead: {
+        type: Boolean,
+        default: false
+    },
+    readAt: {
+        type: Date
+    }
+}, {
+    timestamps: true
+});
+
+notificationSchema.index({ recipient: 1, createdAt: -1 }); // User's notifications, newest first
+notificationSchema.index({ recipient: 1, isRead: 1, createdAt: -1 }); // Unread notifications and counts
+notificationSchema.index(
+    { recipient: 1, dedupeKey: 1 },
+    { unique: true, partialFilterExpression: { dedupeKey: { $exists: true } } }
+);
+
+// TTL index to delete notifications after 90 days
+notificationSchema.index({ createdAt: 1 }, { expireAfterSeconds: 7776000 });
+
+export const Notification = mongoose.model("Notification", notificationSchema);
@@ -0,0 +1,42 @@
+import mongoose, { Schema } from "mongoose";
+
+// A pending external sign-in, created when the user is sent to the identity
+// provider and consumed by the callback
+const oauthStateSchema = new Schema({
+    // Random value echoed back by the provider, also kept in a cookie of the browser that started the sign-in
+    state: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    provider: {
+        type: String,
+        required: true
+    },
+    // PKCE secret, only its S256 challenge was sent to the provider
+    codeVerifier: {
+        type: String,
+        required: true
+    },
+    // Must come back in the ID token
+    nonce: {
+        type: String,
+        required: true
+    },
+    // Frontend path to return to after signing in
+    redirectTo: {
+        type: String,
+        default: "/"
+    },
+    expiresAt: {
+        type: Date,
+        required: true
+    }
+}, {
+    timestamps: { createdAt: true, updatedAt: false }
+});
+
+// TTL index, abandoned sign-ins are deleted
+oauthStateSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export const OAuthState = mongoose.model("OAuthState", oauthStateSchema);
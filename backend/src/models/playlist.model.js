@@ -23,6 +23,9 @@ const playlistSchema = new Schema({
         type : String , 
         // required : true 
     } , 
+    thumbnailPublicId : {
+        type : String
+    } ,
 }, {timestamps: true})
 
 
@@ -0,0 +1,27 @@
+import mongoose, { Schema } from "mongoose";
+
+// Events relayed between server instances by the mongo realtime adapter.
+// A capped collection keeps insertion order and can be tailed, old events are overwritten.
+const realtimeEventSchema = new Schema({
+    // e.g. user:<id> or video:<id>
+    channel: {
+        type: String,
+        required: true
+    },
+    event: {
+        type: String,
+        required: true
+    },
+    data: {
+        type: Schema.Types.Mixed
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+}, {
+    capped: { size: 16 * 1024 * 1024, max: 10000 },
+    versionKey: false
+});
+
+export const RealtimeEvent = mongoose.model("RealtimeEvent", realtimeEventSchema);
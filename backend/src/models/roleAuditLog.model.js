@@ -0,0 +1,55 @@
+import mongoose, { Schema } from "mongoose";
+import { ROLES, PERMISSIONS } from "../constants.js";
+
+// One document per change of a user's role or extra permissions, never updated or deleted
+const roleAuditLogSchema = new Schema({
+    // Admin who made the change
+    actor: {
+        type: Schema.Types.ObjectId,
+        ref: "User",
+        required: true
+    },
+    target: {
+        type: Schema.Types.ObjectId,
+        ref: "User",
+        required: true
+    },
+    change: {
+        type: String,
+        enum: ['role', 'permissions'],
+        required: true
+    },
+    fromRole: {
+        type: String,
+        enum: ROLES
+    },
+    toRole: {
+        type: String,
+        enum: ROLES
+    },
+    // Extra permissions granted and revoked by a permissions change
+    grantedPermissions: [{
+        type: String,
+        enum: Object.values(PERMISSIONS)
+    }],
+    revokedPermissions: [{
+        type: String,
+        enum: Object.values(PERMISSIONS)
+    }],
+    reason: {
+        type: String,
+        trim: true,
+        maxlength: 500
+    },
+    ip: {
+        type: String
+    }
+}, {
+    timestamps: { createdAt: true, updatedAt: false }
+});
+
+roleAuditLogSchema.index({ createdAt: -1 });
+roleAuditLogSchema.index({ target: 1, createdAt: -1 }); // History of one user
+roleAuditLogSchema.index({ actor: 1, createdAt: -1 }); // Changes made by one admin
+
+export const RoleAuditLog = mongoose.model("RoleAuditLog", roleAuditLogSchema);
@@ -0,0 +1,64 @@
+import mongoose, { Schema } from "mongoose";
+
+// One document per distinct query, region and language, used for suggestions
+const searchQuerySchema = new Schema({
+    // Normalized lowercase query text
+    query: {
+        type: String,
+        required: true,
+        trim: true,
+        lowercase: true,
+        maxlength: 200
+    },
+    // Same values as Video.region and Video.language
+    region: {
+        type: String,
+        default: 'US'
+    },
+    language: {
+        type: String,
+        default: 'en'
+    },
+    // Number of searches that returned results
+    count: {
+        type: Number,
+        default: 0
+    },
+    // Total results of the latest search
+    resultCount: {
+        type: Number,
+        default: 0
+    },
+    lastSearchedAt: {
+        type: Date,
+        default: Date.now
+    }
+}, {
+    timestamps: true
+});
+
+searchQuerySchema.index({ query: 1, region: 1, language: 1 }, { unique: true });
+searchQuerySchema.index({ region: 1, language: 1, query: 1, count: -1 }); // Prefix lookups per locale
+
+// TTL index to forget queries nobody searched for in 90 days
+searchQuerySchema.index({ lastSearchedAt: 1 }, { expireAfterSeconds: 7776000 });
+
+// Static method to record a search, queries without results are dropped
+searchQuerySchema.statics.record = async function(query, { region, language, resultCount }) {
+    const filter = { query: query.toLowerCase(), region, language };
+
+    if (!resultCount) {
+        return await this.deleteOne(filter);
+    }
+
+    return await this.updateOne(
+        filter,
+        {
+            $inc: { count: 1 },
+            $set: { resultCount, lastSearchedAt: new Date() }
+        },
+        { upsert: true }
+    );
+};
+
+export const SearchQuery = mongoose.model("SearchQuery", searchQuerySchema);
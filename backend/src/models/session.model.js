@@ -0,0 +1,63 @@
+import mongoose, { Schema } from "mongoose";
+
+// One document per login, each device rotates its own refresh token
+const sessionSchema = new Schema({
+    user: {
+        type: Schema.Types.ObjectId,
+        ref: "User",
+        required: true
+    },
+    // sha256 of the only refresh token currently valid for this session
+    refreshTokenHash: {
+        type: String,
+        required: true
+    },
+    // Token replaced by the last rotation, a second use of it within the grace period is a race, not a theft
+    previousTokenHash: {
+        type: String
+    },
+    rotatedAt: {
+        type: Date
+    },
+    // Readable summary of the user agent, e.g. "Chrome on Windows"
+    device: {
+        type: String
+    },
+    userAgent: {
+        type: String,
+        maxlength: 512
+    },
+    ip: {
+        type: String
+    },
+    lastUsedAt: {
+        type: Date,
+        default: Date.now
+    },
+    // Last time the user proved who they are in this session: logging in or reauthenticating
+    authenticatedAt: {
+        type: Date,
+        default: Date.now
+    },
+    // Expiry of the current refresh token
+    expiresAt: {
+        type: Date,
+        required: true
+    },
+    revokedAt: {
+        type: Date
+    },
+    revokedReason: {
+        type: String,
+        enum: ['logout', 'logout_all', 'revoked', 'reuse_detected', 'password_reset', 'password_change']
+    }
+}, {
+    timestamps: true
+});
+
+sessionSchema.index({ user: 1, revokedAt: 1, lastUsedAt: -1 }); // Active sessions of a user
+
+// TTL index, sessions are deleted once their refresh token could no longer be used
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export const Session = mongoose.model("Session", sessionSchema);
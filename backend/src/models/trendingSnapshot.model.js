@@ -0,0 +1,41 @@
+import mongoose, { Schema } from "mongoose";
+
+// Precomputed trending list for one category and region, refreshed by the worker.
+// "all" stands for no category or region filter.
+const trendingSnapshotSchema = new Schema({
+    category: {
+        type: String,
+        default: 'all'
+    },
+    region: {
+        type: String,
+        default: 'all'
+    },
+    videos: [{
+        _id: false,
+        video: {
+            type: Schema.Types.ObjectId,
+            ref: "Video"
+        },
+        trendingScore: Number,
+        recentViews: Number
+    }],
+    generatedAt: {
+        type: Date,
+        default: Date.now
+    },
+    // Last time a client asked for this list, lists nobody reads stop being refreshed
+    lastRequestedAt: {
+        type: Date,
+        default: Date.now
+    }
+}, {
+    timestamps: true
+});
+
+trendingSnapshotSchema.index({ category: 1, region: 1 }, { unique: true });
+
+// TTL index to drop lists nobody asked for in 7 days
+trendingSnapshotSchema.index({ lastRequestedAt: 1 }, { expireAfterSeconds: 604800 });
+
+export const TrendingSnapshot = mongoose.model("TrendingSnapshot", trendingSnapshotSchema);
@@ -11,5 +11,8 @@ const tweetSchema = new Schema({
     }
 }, {timestamps: true})
 
+// Text search index
+tweetSchema.index({ content: "text" })
+
 
 export const Tweet = mongoose.model("Tweet", tweetSchema)
\ No newline at end of file
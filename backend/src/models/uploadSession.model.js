@@ -0,0 +1,100 @@
+import mongoose, { Schema } from "mongoose";
+
+const uploadSessionSchema = new Schema({
+    owner: {
+        type: Schema.Types.ObjectId,
+        ref: "User",
+        required: true,
+        index: true
+    },
+    // Original file information
+    fileName: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    mimeType: {
+        type: String
+    },
+    totalSize: {
+        type: Number, // Size in bytes
+        required: true,
+        min: 1
+    },
+    chunkSize: {
+        type: Number, // Size in bytes of every chunk except the last one
+        required: true,
+        min: 1
+    },
+    totalChunks: {
+        type: Number,
+        required: true,
+        min: 1
+    },
+    // SHA-256 hex digest of the whole file, verified on finalize
+    checksum: {
+        type: String,
+        required: true,
+        lowercase: true,
+        trim: true
+    },
+    // Indexes of the chunks already written to disk
+    receivedChunks: [{
+        type: Number
+    }],
+    // Video details used when the upload is handed off to publishing
+    title: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    description: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    status: {
+        type: String,
+        enum: ['uploading', 'finalizing', 'completed', 'failed'],
+        default: 'uploading',
+        index: true
+    },
+    video: {
+        type: Schema.Types.ObjectId,
+        ref: "Video"
+    },
+    expiresAt: {
+        type: Date,
+        default: () => new Date(Date.now() + 24 * 60 * 60 * 1000) // 24 hours
+    }
+}, {
+    timestamps: true
+});
+
+uploadSessionSchema.index({ owner: 1, status: 1, createdAt: -1 });
+
+// TTL index to drop abandoned sessions
+uploadSessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Byte offset at which a chunk starts
+uploadSessionSchema.methods.getChunkOffset = function(index) {
+    return index * this.chunkSize;
+};
+
+// Expected byte length of a chunk, the last one may be shorter
+uploadSessionSchema.methods.getChunkLength = function(index) {
+    return Math.min(this.chunkSize, this.totalSize - this.getChunkOffset(index));
+};
+
+uploadSessionSchema.methods.getMissingChunks = function() {
+    const received = new Set(this.receivedChunks);
+    const missing = [];
+
+    for (let index = 0; index < this.totalChunks; index++) {
+        if (!received.has(index)) missing.push(index);
+    }
+
+    return missing;
+};
+
+export const UploadSession = mongoose.model("UploadSession", uploadSessionSchema);
@@ -1,6 +1,8 @@
 import mongoose, { Schema } from "mongoose";
 import jwt from 'jsonwebtoken'
 import bcrypt from 'bcrypt' 
+import crypto from 'crypto'
+import { PERMISSIONS, ROLES, ROLE_PERMISSIONS } from "../constants.js"
 
 const userSchema = new Schema(
     {
@@ -33,6 +35,13 @@ const userSchema = new Schema(
         coverImage : {
             type : String
         } , 
+        // Storage ids used to delete the files when they are replaced
+        avatarPublicId : {
+            type : String
+        } ,
+        coverImagePublicId : {
+            type : String
+        } ,
         // Denormalized counters for performance
         subscriberCount: {
             type: Number,
@@ -53,6 +62,8 @@ const userSchema = new Schema(
         preferences: {
             notifications: {
                 email: { type: Boolean, default: true },
+                // instant: one email per notification, daily: a summary of subscribed uploads
+                emailFrequency: { type: String, enum: ['instant', 'daily'], default: 'daily' },
                 push: { type: Boolean, default: true },
                 comments: { type: Boolean, default: true },
                 subscriptions: { type: Boolean, default: true }
@@ -75,24 +86,118 @@ const userSchema = new Schema(
             default: false,
             index: true
         },
+        emailVerifiedAt: {
+            type: Date
+        },
+        // Verification emails sent in the last day, to throttle resends
+        verificationEmailsSentAt: {
+            type: [Date],
+            select: false
+        },
         isActive: {
             type: Boolean,
             default: true,
             index: true
         },
+        // Access control, changed through the admin endpoints only
+        role: {
+            type: String,
+            enum: ROLES,
+            default: 'user',
+            index: true
+        },
+        // Granted on top of the permissions of the role
+        permissions: {
+            type: [{ type: String, enum: Object.values(PERMISSIONS) }],
+            default: undefined
+        },
         lastActiveAt: {
             type: Date,
             default: Date.now,
             index: true
         },
+        // Newest item of the subscriptions feed the user has seen, later items are marked unseen
+        subscriptionsFeedSeenAt: {
+            type: Date
+        },
+        // Last daily digest email, its uploads are not sent again
+        emailDigestSentAt: {
+            type: Date
+        },
+        // Accounts of external identity providers (OpenID Connect), one per provider account
+        identities: [{
+            _id: false,
+            provider: { type: String, required: true },
+            // "sub" claim, the id of the account at the provider
+            subject: { type: String, required: true },
+            email: String,
+            linkedAt: { type: Date, default: Date.now }
+        }],
         // Remove watchHistory from user - will be separate collection
+        // Accounts created through an identity provider have no password until they set one
         password : {
             type : String , 
-            required : [true , "password is required"]
+            required : [function () { return !this.identities?.length } , "password is required"]
         } ,
-        refreshToken : {
-            type : String
-        } 
+        // Access tokens issued before this date are rejected
+        passwordChangedAt: {
+            type: Date
+        },
+        // sha256 of the single-use reset token, the token itself is only in the email
+        passwordResetTokenHash: {
+            type: String,
+            select: false,
+            index: { sparse: true }
+        },
+        passwordResetExpiresAt: {
+            type: Date,
+            select: false
+        },
+        passwordResetRequestedAt: {
+            type: Date,
+            select: false
+        },
+        // Two-factor authentication with an authenticator app (TOTP)
+        twoFactorEnabled: {
+            type: Boolean,
+            default: false
+        },
+        twoFactorEnabledAt: {
+            type: Date
+        },
+        // AES-GCM encrypted base32 secrets, the pending one until the first code confirms it
+        twoFactorSecret: {
+            type: String,
+            select: false
+        },
+        twoFactorPendingSecret: {
+            type: String,
+            select: false
+        },
+        // Time step of the last accepted code, older or equal steps are replays
+        twoFactorLastStep: {
+            type: Number,
+            select: false
+        },
+        // sha256 of the unused recovery codes
+        twoFactorRecoveryCodes: {
+            type: [String],
+            select: false
+        },
+        // Wrong codes in a row, too many lock the second step for a while
+        twoFactorFailedAttempts: {
+            type: Number,
+            select: false
+        },
+        twoFactorLockedUntil: {
+            type: Date,
+            select: false
+        },
+        // jti of the last completed login challenges, a challenge logs in once
+        twoFactorUsedChallenges: {
+            type: [String],
+            select: false
+        }
     } , 
     {
         timestamps : true 
@@ -106,6 +211,18 @@ userSchema.index({ subscriberCount: -1, isActive: 1 }); // For trending creators
 userSchema.index({ totalViews: -1, isActive: 1 }); // For most viewed creators
 userSchema.index({ createdAt: -1, isActive: 1 }); // For new creators
 
+// One user per provider account
+userSchema.index(
+    { 'identities.provider': 1, 'identities.subject': 1 },
+    { unique: true, partialFilterExpression: { 'identities.subject': { $exists: true } } }
+);
+
+// Text search index for channel search
+userSchema.index(
+    { username: 'text', fullName: 'text' },
+    { name: 'user_text_search', weights: { username: 5, fullName: 3 } }
+);
+
 userSchema.pre( "save" , async function (next) {
     if( ! this.isModified("password") ) return next()
     this.password = await bcrypt.hash(this.password , 10)
@@ -113,13 +230,16 @@ userSchema.pre( "save" , async function (next) {
 } ) 
 
 userSchema.methods.isPasswordCorrect = async function(password){
+    if (!this.password || typeof password !== 'string') return false
     return await bcrypt.compare(password, this.password)
 }
 
-userSchema.methods.generateAccessToken = function(){
+// sid ties the token to a Session, revoking the session rejects the token
+userSchema.methods.generateAccessToken = function(sessionId){
     return jwt.sign(
         {
             _id: this._id,
+            sid: sessionId,
             email: this.email,
             username: this.username,
             fullName: this.fullName
@@ -131,10 +251,13 @@ userSchema.methods.generateAccessToken = function(){
     )
 }
 
-userSchema.methods.generateRefreshToken = function(){
+// jti makes every rotated token unique, even within the same second
+userSchema.methods.generateRefreshToken = function(sessionId){
     return jwt.sign(
         {
             _id: this._id,
+            sid: sessionId,
+            jti: crypto.randomUUID()
         },
         process.env.REFRESH_TOKEN_SECRET,
         {
@@ -143,6 +266,40 @@ userSchema.methods.generateRefreshToken = function(){
     )
 }
 
+// Signed link token confirming the current email address, a changed email invalidates it
+userSchema.methods.generateEmailVerificationToken = function(expiresInHours){
+    return jwt.sign(
+        {
+            _id: this._id,
+            email: this.email,
+            purpose: 'email_verification'
+        },
+        process.env.EMAIL_VERIFICATION_SECRET,
+        {
+            expiresIn: `${expiresInHours}h`
+        }
+    )
+}
+
+// Random reset token, only its hash is stored. The caller saves the user.
+userSchema.methods.createPasswordResetToken = function(expiresInMinutes){
+    const token = crypto.randomBytes(32).toString('hex')
+
+    this.passwordResetTokenHash = crypto.createHash('sha256').update(token).digest('hex')
+    this.passwordResetExpiresAt = new Date(Date.now() + expiresInMinutes * 60 * 1000)
+    this.passwordResetRequestedAt = new Date()
+
+    return token
+}
+
+userSchema.methods.getPermissions = function(){
+    return [...new Set([...(ROLE_PERMISSIONS[this.role] || []), ...(this.permissions || [])])]
+}
+
+userSchema.methods.hasPermission = function(permission){
+    return this.getPermissions().includes(permission)
+}
+
 // Method to update subscriber count
 userSchema.methods.updateSubscriberCount = async function() {
     const count = await mongoose.model('Subscription').countDocuments({ channel: this._id });
@@ -1,31 +1,42 @@
 import mongoose, { Schema } from "mongoose";
 import mongooseAggregateePaginate from 'mongoose-aggregate-paginate-v2'
+import { DailyAnalytics } from './analytics.model.js'
+
+// Files and duration are only known once background processing has finished
+const isProcessed = function () {
+    return this.processingStatus === 'completed'
+}
 
 const videoSchema = new Schema(
     {
         videoFile : {
             type : String , 
-            required : true 
+            required : isProcessed 
         } , 
         thumbnail : {
             type : String , 
-            required : true 
+            required : isProcessed 
         } , 
+        // Storage ids used to delete the files when they are replaced or removed
+        videoFilePublicId : {
+            type : String
+        } ,
+        thumbnailPublicId : {
+            type : String
+        } ,
         title : {
             type : String , 
             required : true,
-            trim: true,
-            index: 'text' // Text index for search
+            trim: true
         } ,
         description : {
             type : String , 
             required : true,
-            trim: true,
-            index: 'text' // Text index for search
+            trim: true
         } ,
         duration : {
             type : Number , 
-            required : true,
+            required : isProcessed,
             index: true
         } ,
         views : {
@@ -75,6 +86,25 @@ const videoSchema = new Schema(
             type: Number, // Size in bytes
             index: true
         },
+        // Adaptive bitrate renditions, each one a single HLS media file in storage
+        renditions: [{
+            _id: false,
+            quality: {
+                type: String,
+                enum: ['144p', '240p', '360p', '480p', '720p', '1080p', '1440p', '4K']
+            },
+            width: Number,
+            height: Number,
+            bandwidth: Number, // Peak bits per second, advertised in the master playlist
+            url: String,
+            publicId: String,
+            bytes: Number
+        }],
+        // Segment byte ranges per rendition quality, see utils/hls.js
+        hlsPlaylists: {
+            type: Schema.Types.Mixed,
+            select: false
+        },
         // Video status and publishing
         isPublished : {
             type : Boolean , 
@@ -86,6 +116,15 @@ const videoSchema = new Schema(
             default: Date.now,
             index: true
         },
+        // Set while the video waits to be published by the worker, isPublished stays false until then
+        scheduledPublishAt: {
+            type: Date,
+            index: true
+        },
+        // Set once subscribers were notified, so republishing does not notify again
+        subscribersNotifiedAt: {
+            type: Date
+        },
         // Video analytics
         analytics: {
             watchTime: {
@@ -134,6 +173,21 @@ const videoSchema = new Schema(
             default: 'completed',
             index: true
         },
+        processingError: {
+            type: String
+        },
+        processedAt: {
+            type: Date
+        },
+        // Uploaded files in public/temp waiting for the processing worker
+        sourceFilePath: {
+            type: String,
+            select: false
+        },
+        sourceThumbnailPath: {
+            type: String,
+            select: false
+        },
         // Video privacy settings
         privacy: {
             type: String,
@@ -181,48 +235,144 @@ videoSchema.index({ tags: 1, isPublished: 1 }); // Videos by tags
 videoSchema.index({ language: 1, isPublished: 1, views: -1 }); // Language-specific trending
 videoSchema.index({ region: 1, isPublished: 1, views: -1 }); // Region-specific trending
 
-// Text search index
-videoSchema.index({ title: 'text', description: 'text', tags: 'text' });
+// Text search index, a collection can only have one so title and description
+// must not declare their own
+videoSchema.index(
+    { title: 'text', description: 'text', tags: 'text' },
+    { name: 'video_text_search', weights: { title: 10, tags: 5, description: 1 } }
+);
 
 videoSchema.plugin(mongooseAggregateePaginate)
 
-// Static method to get trending videos
-videoSchema.statics.getTrendingVideos = async function(limit = 20, category = null, region = 'US') {
+// Add to today's DailyAnalytics metrics of a video, never fails the caller
+const incrementDailyMetrics = async (video, metrics) => {
+    const today = new Date();
+    today.setUTCHours(0, 0, 0, 0);
+
+    try {
+        await DailyAnalytics.updateOne(
+            { date: today, content: video._id, contentType: 'video' },
+            { $inc: metrics, $setOnInsert: { user: video.owner } },
+            { upsert: true }
+        );
+    } catch (error) {
+        console.error(`Failed to record daily ${Object.keys(metrics).join(', ')} of video ${video._id}:`, error.message);
+    }
+};
+
+// Static method to count a view, shared by addView and the streaming endpoint.
+// Views are also counted per day in DailyAnalytics, which trending uses for view velocity.
+videoSchema.statics.recordView = async function(videoId) {
+    const video = await this.findByIdAndUpdate(
+        videoId,
+        { $inc: { views: 1 } },
+        { new: true }
+    );
+
+    if (video) {
+        await incrementDailyMetrics(video, { 'metrics.views': 1 });
+    }
+
+    return video;
+};
+
+// Static method to count a like or comment of the day for trending, -1 when it is
+// removed so toggling a like cannot inflate the score
+videoSchema.statics.recordEngagement = async function(videoId, metric, amount = 1) {
+    const video = await this.findById(videoId).select('owner').lean();
+
+    if (video) {
+        await incrementDailyMetrics(video, { [`metrics.${metric}`]: amount });
+    }
+};
+
+// Static method to get trending videos.
+// Score = engagement of the last `windowDays` days / (age in hours + 2) ^ gravity,
+// so a video only trends while it keeps gaining views and old viral videos fade out.
+videoSchema.statics.getTrendingVideos = async function(limit = 20, category = null, region = null, options = {}) {
+    const gravity = options.gravity ?? 1.8;
+    const windowDays = options.windowDays ?? 3;
+    const now = new Date();
+
+    const since = new Date(now.getTime() - windowDays * 86400000);
+    since.setUTCHours(0, 0, 0, 0);
+
     const matchStage = {
-        isPublished: true,
-        privacy: 'public'
+        'video.isPublished': true,
+        'video.processingStatus': 'completed',
+        'video.privacy': 'public'
     };
-    
-    if (category) matchStage.category = category;
-    if (region) matchStage.region = region;
-    
-    return await this.aggregate([
+
+    if (category) matchStage['video.category'] = category;
+    if (region) matchStage['video.region'] = region;
+
+    return await DailyAnalytics.aggregate([
+        { $match: { contentType: 'video', date: { $gte: since } } },
+        {
+            $group: {
+                _id: '$content',
+                recentViews: { $sum: '$metrics.views' },
+                recentLikes: { $sum: '$metrics.likes' },
+                recentComments: { $sum: '$metrics.comments' }
+            }
+        },
+        {
+            $lookup: {
+                from: 'videos',
+                localField: '_id',
+                foreignField: '_id',
+                as: 'video'
+            }
+        },
+        { $unwind: '$video' },
         { $match: matchStage },
         {
             $addFields: {
-                // Calculate trending score based on views, likes, and recency
                 trendingScore: {
-                    $add: [
-                        { $multiply: ['$views', 0.4] },
-                        { $multiply: ['$likeCount', 0.3] },
-                        { $multiply: ['$commentCount', 0.1] },
+                    $divide: [
                         {
-                            $multiply: [
+                            $add: [
+                                '$recentViews',
+                                // below zero when likes from before the window were removed
+                                { $multiply: [{ $max: ['$recentLikes', 0] }, 2] },
+                                { $multiply: [{ $max: ['$recentComments', 0] }, 3] }
+                            ]
+                        },
+                        {
+                            $pow: [
                                 {
-                                    $divide: [
-                                        { $subtract: [new Date(), '$publishedAt'] },
-                                        86400000 // 24 hours in milliseconds
+                                    $add: [
+                                        {
+                                            $max: [
+                                                0,
+                                                {
+                                                    $divide: [
+                                                        { $subtract: [now, '$video.publishedAt'] },
+                                                        3600000 // 1 hour in milliseconds
+                                                    ]
+                                                }
+                                            ]
+                                        },
+                                        2
                                     ]
                                 },
-                                -0.2 // Penalty for older videos
+                                gravity
                             ]
                         }
                     ]
                 }
             }
         },
-        { $sort: { trendingScore: -1 } },
+        { $sort: { trendingScore: -1, recentViews: -1 } },
         { $limit: limit },
+        {
+            $replaceRoot: {
+                newRoot: {
+                    $mergeObjects: ['$video', { trendingScore: '$trendingScore', recentViews: '$recentViews' }]
+                }
+            }
+        },
+        { $project: { hlsPlaylists: 0, sourceFilePath: 0, sourceThumbnailPath: 0 } },
         {
             $lookup: {
                 from: 'users',
@@ -235,16 +385,20 @@ videoSchema.statics.getTrendingVideos = async function(limit = 20, category = nu
             $addFields: {
                 owner: { $arrayElemAt: ['$owner', 0] }
             }
+        },
+        {
+            $addFields: {
+                owner: { _id: '$owner._id', username: '$owner.username', avatar: '$owner.avatar' }
+            }
         }
     ]);
 };
 
-// Static method to get recommended videos for a user
+// Static method to get popular videos a user has not watched yet.
+// The home feed ranks with services/recommendation.service.js instead.
 videoSchema.statics.getRecommendedVideos = async function(userId, limit = 20) {
-    // This is a simplified recommendation algorithm
-    // In production, you'd use more sophisticated ML algorithms
     return await this.aggregate([
-        { $match: { isPublished: true, privacy: 'public' } },
+        { $match: { isPublished: true, processingStatus: 'completed', privacy: 'public' } },
         {
             $lookup: {
                 from: 'watchhistories',
@@ -261,7 +415,7 @@ videoSchema.statics.getRecommendedVideos = async function(userId, limit = 20) {
                             $size: {
                                 $filter: {
                                     input: '$watchData',
-                                    cond: { $eq: ['$$this.user', mongoose.Types.ObjectId(userId)] }
+                                    cond: { $eq: ['$$this.user', new mongoose.Types.ObjectId(userId)] }
                                 }
                             }
                         },
@@ -92,10 +92,34 @@ watchHistorySchema.index({ video: 1, createdAt: -1 }); // Video's watch history
 watchHistorySchema.index({ user: 1, isCompleted: 1, createdAt: -1 }); // Completed videos
 watchHistorySchema.index({ createdAt: -1 }); // Recent activity
 watchHistorySchema.index({ user: 1, device: 1, createdAt: -1 }); // Device-specific history
+watchHistorySchema.index({ user: 1, updatedAt: -1 }); // Most recently watched first
 
 // TTL index to automatically delete old watch history (optional - keep for 1 year)
 watchHistorySchema.index({ createdAt: 1 }, { expireAfterSeconds: 31536000 });
 
+// Progress at which a video counts as completed
+const COMPLETED_PROGRESS = 90;
+
+// Static method to record a watch, progress and duration only ever grow
+watchHistorySchema.statics.recordWatch = async function(userId, videoId, details = {}) {
+    const watchProgress = Math.min(100, Math.max(0, Number(details.watchProgress) || 0));
+    const watchDuration = Math.max(0, Number(details.watchDuration) || 0);
+
+    const update = {
+        $max: { watchProgress, watchDuration },
+        $set: { archived: false }
+    };
+    if (watchProgress >= COMPLETED_PROGRESS) update.$set.isCompleted = true;
+    if (details.device) update.$set.device = details.device;
+    if (details.referrer) update.$setOnInsert = { referrer: details.referrer };
+
+    return await this.findOneAndUpdate(
+        { user: userId, video: videoId },
+        update,
+        { upsert: true, new: true, runValidators: true, setDefaultsOnInsert: true }
+    );
+};
+
 // Static method to get user's watch history with pagination
 watchHistorySchema.statics.getUserWatchHistory = async function(userId, page = 1, limit = 20) {
     const skip = (page - 1) * limit;
@@ -0,0 +1,17 @@
+import { Router } from "express";
+import {
+  updateUserRole,
+  updateUserPermissions,
+  getRoleAuditLog,
+} from "../controllers/admin.controller.js";
+import { authorize, verifyJwt } from "../middlewares/auth.middleware.js";
+import { PERMISSIONS } from "../constants.js";
+
+const router = Router();
+router.use(verifyJwt);
+
+router.route("/users/:userId/role").patch(authorize(PERMISSIONS.MANAGE_ROLES), updateUserRole);
+router.route("/users/:userId/permissions").patch(authorize(PERMISSIONS.MANAGE_ROLES), updateUserPermissions);
+router.route("/role-audit").get(authorize(PERMISSIONS.VIEW_ROLE_AUDIT), getRoleAuditLog);
+
+export default router;
@@ -1,5 +1,6 @@
 import { Router } from 'express';
-import { verifyJwt } from '../middlewares/auth.middleware.js';
+import { authorize, requireRecentAuth, verifyJwt } from '../middlewares/auth.middleware.js';
+import { PERMISSIONS } from '../constants.js';
 import {
     deleteMyChannel,
     adminDeleteChannel,
@@ -11,12 +12,12 @@ import {
 const router = Router();
 
 // User routes (require authentication)
-router.route('/my-channel').delete(verifyJwt, deleteMyChannel);
+router.route('/my-channel').delete(verifyJwt, requireRecentAuth, deleteMyChannel);
 
-// Admin routes (require admin authentication)
-router.route('/admin/:userId').delete(verifyJwt, adminDeleteChannel);
-router.route('/recover/:deletedChannelId').post(verifyJwt, recoverChannel);
-router.route('/stats').get(verifyJwt, getDeletionStats);
-router.route('/deleted-channels').get(verifyJwt, getDeletedChannels);
+// Admin and moderator routes
+router.route('/admin/:userId').delete(verifyJwt, authorize(PERMISSIONS.DELETE_CHANNELS), adminDeleteChannel);
+router.route('/recover/:deletedChannelId').post(verifyJwt, authorize(PERMISSIONS.RECOVER_CHANNELS), recoverChannel);
+router.route('/stats').get(verifyJwt, authorize(PERMISSIONS.VIEW_DELETED_CHANNELS), getDeletionStats);
+router.route('/deleted-channels').get(verifyJwt, authorize(PERMISSIONS.VIEW_DELETED_CHANNELS), getDeletedChannels);
 
 export default router;
@@ -5,13 +5,17 @@ import {
     getVideoComments,
     updateComment,
 } from "../controllers/comment.controller.js"
-import {verifyJwt} from "../middlewares/auth.middleware.js"
+import {verifyJwt, optionalJwt, requireVerified} from "../middlewares/auth.middleware.js"
+import {requireOwnership} from "../middlewares/ownership.middleware.js"
+import {Comment} from "../models/comment.model.js"
+import {PERMISSIONS} from "../constants.js"
 
 const router = Router();
 
-router.use(verifyJwt); // Apply verifyJWT middleware to all routes in this file
-
-router.route("/:videoId").get(getVideoComments).post(addComment);
-router.route("/c/:commentId").delete(deleteComment).patch(updateComment);
+router.route("/:videoId").get(optionalJwt, getVideoComments).post(verifyJwt, requireVerified("comment"), addComment);
+router
+    .route("/c/:commentId")
+    .delete(verifyJwt, requireOwnership({ model: Comment, param: "commentId", overridePermission: PERMISSIONS.MODERATE_CONTENT }), deleteComment)
+    .patch(verifyJwt, requireOwnership({ model: Comment, param: "commentId" }), updateComment);
 
 export default router
\ No newline at end of file
@@ -0,0 +1,11 @@
+import { Router } from "express";
+import { getHomeFeed, getSubscriptionsFeed } from "../controllers/feed.controller.js";
+import { verifyJwt } from "../middlewares/auth.middleware.js";
+
+const router = Router();
+router.use(verifyJwt);
+
+router.route("/home").get(getHomeFeed);
+router.route("/subscriptions").get(getSubscriptionsFeed);
+
+export default router;
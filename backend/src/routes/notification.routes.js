@@ -0,0 +1,18 @@
+import { Router } from "express";
+import {
+  getNotifications,
+  getUnreadNotificationCount,
+  markNotificationRead,
+  markAllNotificationsRead,
+} from "../controllers/notification.controller.js";
+import { verifyJwt } from "../middlewares/auth.middleware.js";
+
+const router = Router();
+router.use(verifyJwt);
+
+router.route("/").get(getNotifications);
+router.route("/unread-count").get(getUnreadNotificationCount);
+router.route("/read-all").patch(markAllNotificationsRead);
+router.route("/:notificationId/read").patch(markNotificationRead);
+
+export default router;
@@ -11,24 +11,32 @@ import {
     getAllvideoOfPlayList 
     
 } from "../controllers/playlist.controller.js"
-import {verifyJwt} from "../middlewares/auth.middleware.js"
+import {verifyJwt, optionalJwt} from "../middlewares/auth.middleware.js"
+import {requireOwnership} from "../middlewares/ownership.middleware.js"
+import {Playlist} from "../models/playlist.model.js"
+import {PERMISSIONS} from "../constants.js"
 
 const router = Router();
 
-router.use(verifyJwt); // Apply verifyJWT middleware to all routes in this file
+const playlistOwnerOnly = requireOwnership({ model: Playlist, param: "playlistId" });
+const playlistOwnerOrModerator = requireOwnership({
+    model: Playlist,
+    param: "playlistId",
+    overridePermission: PERMISSIONS.MODERATE_CONTENT
+});
 
 // router.route("/").post(createPlaylist)
-router.route("/").post(upload.single("thumbnail"), createPlaylist)
+router.route("/").post(verifyJwt, upload.single("thumbnail"), createPlaylist)
 
 router
     .route("/:playlistId")
-    .get(getPlaylistById)
-    .patch(upload.single("thumbnail") , updatePlaylist)
-    .delete(deletePlaylist);
+    .get(optionalJwt, getPlaylistById)
+    .patch(verifyJwt, playlistOwnerOnly, upload.single("thumbnail") , updatePlaylist)
+    .delete(verifyJwt, playlistOwnerOrModerator, deletePlaylist);
 
-router.route("/add/:videoId/:playlistId").patch(addVideoToPlaylist);
-router.route("/remove/:videoId/:playlistId").patch(removeVideoFromPlaylist);
+router.route("/add/:videoId/:playlistId").patch(verifyJwt, playlistOwnerOnly, addVideoToPlaylist);
+router.route("/remove/:videoId/:playlistId").patch(verifyJwt, playlistOwnerOnly, removeVideoFromPlaylist);
 
-router.route("/user/:userId").get(getUserPlaylists);
-router.route("/user/allvideos/:playlistId").get(getAllvideoOfPlayList);
+router.route("/user/:userId").get(optionalJwt, getUserPlaylists);
+router.route("/user/allvideos/:playlistId").get(optionalJwt, getAllvideoOfPlayList);
 export default router
\ No newline at end of file
@@ -0,0 +1,10 @@
+import { Router } from "express";
+import { streamEvents } from "../controllers/realtime.controller.js";
+import { verifyJwt } from "../middlewares/auth.middleware.js";
+
+const router = Router();
+router.use(verifyJwt);
+
+router.route("/stream").get(streamEvents);
+
+export default router;
@@ -0,0 +1,11 @@
+import { Router } from "express";
+import { search, getSearchSuggestions } from "../controllers/search.controller.js";
+import { optionalJwt } from "../middlewares/auth.middleware.js";
+
+const router = Router();
+router.use(optionalJwt);
+
+router.route("/").get(search);
+router.route("/suggestions").get(getSearchSuggestions);
+
+export default router;
@@ -6,14 +6,18 @@ import {
     updateTweet,
     getAllTweets
 } from "../controllers/tweet.controller.js"
-import {verifyJwt} from "../middlewares/auth.middleware.js"
+import {verifyJwt, optionalJwt, requireVerified} from "../middlewares/auth.middleware.js"
+import {requireOwnership} from "../middlewares/ownership.middleware.js"
+import {Tweet} from "../models/tweet.model.js"
+import {PERMISSIONS} from "../constants.js"
 
 const router = Router();
-router.use(verifyJwt); // Apply verifyJWT middleware to all routes in this file
-
-router.route("/").post(createTweet);
-router.route("/getAllTweets").get(getAllTweets);
-router.route("/user/:userId").get(getUserTweets);
-router.route("/:tweetId").patch(updateTweet).delete(deleteTweet);
+router.route("/").post(verifyJwt, requireVerified("tweet"), createTweet);
+router.route("/getAllTweets").get(optionalJwt, getAllTweets);
+router.route("/user/:userId").get(optionalJwt, getUserTweets);
+router
+    .route("/:tweetId")
+    .patch(verifyJwt, requireOwnership({ model: Tweet, param: "tweetId" }), updateTweet)
+    .delete(verifyJwt, requireOwnership({ model: Tweet, param: "tweetId", overridePermission: PERMISSIONS.MODERATE_CONTENT }), deleteTweet);
 
 export default router
\ No newline at end of file
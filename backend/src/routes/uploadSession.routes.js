@@ -0,0 +1,31 @@
+import express, { Router } from "express";
+import {
+    createUploadSession,
+    uploadChunk,
+    getUploadSession,
+    completeUploadSession,
+    cancelUploadSession
+} from "../controllers/uploadSession.controller.js"
+import {verifyJwt, requireVerified} from "../middlewares/auth.middleware.js"
+import {upload} from "../middlewares/multer.middleware.js"
+
+const router = Router();
+router.use(verifyJwt); // Apply verifyJWT middleware to all routes in this file
+
+// chunks are sent as the raw request body
+const rawChunk = express.raw({
+    type: "application/octet-stream",
+    limit: process.env.UPLOAD_CHUNK_LIMIT || "50mb"
+});
+
+router.route("/").post(requireVerified("publish"), createUploadSession);
+
+router
+    .route("/:sessionId")
+    .get(getUploadSession)
+    .delete(cancelUploadSession);
+
+router.route("/:sessionId/chunks/:chunkIndex").put(rawChunk, uploadChunk);
+router.route("/:sessionId/complete").post(requireVerified("publish"), upload.single("thumbnail"), completeUploadSession);
+
+export default router
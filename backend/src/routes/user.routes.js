@@ -1,7 +1,31 @@
 import { Router } from "express";
 import {upload} from '../middlewares/multer.middleware.js'
-import {addVideoToWatchHistory , getWatchHistory , getUserChannelProfile , updateUserCoverImage , updateUserAvatar , loginUser, logoutUser, refreshAccessToken, registerUser , changeCurrentPassword , updateAccountDetails,getCurrentUser  } from "../controllers/user.controller.js";
-import { verifyJwt } from "../middlewares/auth.middleware.js";
+import {addVideoToWatchHistory , getWatchHistory , getUserChannelProfile , updateUserCoverImage , updateUserAvatar , loginUser, logoutUser, refreshAccessToken, registerUser , changeCurrentPassword , updateAccountDetails,getCurrentUser , updateNotificationPreferences , verifyEmail , resendVerificationEmail , forgotPassword , resetPassword , logoutAllSessions , getSessions , revokeSession , completeTwoFactorLogin , reauthenticate } from "../controllers/user.controller.js";
+import { verifyJwt, optionalJwt, requireRecentAuth } from "../middlewares/auth.middleware.js";
+import { rateLimit } from "../middlewares/rateLimit.middleware.js";
+import { getOAuthProviders, startOAuthLogin, handleOAuthCallback } from "../controllers/oauth.controller.js";
+import { getTwoFactorStatus, setupTwoFactor, activateTwoFactor, disableTwoFactor, regenerateRecoveryCodes } from "../controllers/twoFactor.controller.js";
+
+// password reset is limited per IP against email enumeration and brute forcing tokens,
+// with separate counters so asking for links does not use up the attempts to use one
+const forgotPasswordLimit = rateLimit({
+    windowMs: 15 * 60 * 1000,
+    max: Number(process.env.PASSWORD_RESET_RATE_LIMIT) || 5,
+    message: "too many password reset requests, try again later"
+})
+
+const resetPasswordLimit = rateLimit({
+    windowMs: 15 * 60 * 1000,
+    max: Number(process.env.PASSWORD_RESET_RATE_LIMIT) || 5,
+    message: "too many password reset attempts, try again later"
+})
+
+// guessing authentication codes or passwords, accounts also lock after 5 wrong codes
+const twoFactorLimit = rateLimit({
+    windowMs: 15 * 60 * 1000,
+    max: 20,
+    message: "too many attempts, try again later"
+})
 
 const userRouter = Router()
 userRouter.route("/register").post(
@@ -18,18 +42,40 @@ userRouter.route("/register").post(
 );
 
 userRouter.route( "/login" ).post(loginUser);
+userRouter.route("/login/2fa").post(twoFactorLimit, completeTwoFactorLogin);
+userRouter.route("/reauthenticate").post(verifyJwt, twoFactorLimit, reauthenticate);
+
+// two-factor authentication with an authenticator app
+userRouter.route("/2fa").get(verifyJwt, getTwoFactorStatus);
+userRouter.route("/2fa/setup").post(verifyJwt, requireRecentAuth, setupTwoFactor);
+userRouter.route("/2fa/activate").post(verifyJwt, twoFactorLimit, activateTwoFactor);
+userRouter.route("/2fa/disable").post(verifyJwt, requireRecentAuth, twoFactorLimit, disableTwoFactor);
+userRouter.route("/2fa/recovery-codes").post(verifyJwt, requireRecentAuth, twoFactorLimit, regenerateRecoveryCodes);
+
+// sign in with an external identity provider (OpenID Connect)
+userRouter.route("/oauth/providers").get(getOAuthProviders);
+userRouter.route("/oauth/:provider").get(startOAuthLogin);
+userRouter.route("/oauth/:provider/callback").get(handleOAuthCallback);
 
 userRouter.route( "/logout" ).post( verifyJwt ,  logoutUser);
+userRouter.route("/logout-all").post(verifyJwt, logoutAllSessions);
+userRouter.route("/sessions").get(verifyJwt, getSessions);
+userRouter.route("/sessions/:sessionId").delete(verifyJwt, revokeSession);
 
 userRouter.route("/refresh-token").post(refreshAccessToken);
-userRouter.route("/change-password").post(verifyJwt, changeCurrentPassword);
+userRouter.route("/verify-email").post(verifyEmail);
+userRouter.route("/resend-verification").post(verifyJwt, resendVerificationEmail);
+userRouter.route("/change-password").post(verifyJwt, requireRecentAuth, changeCurrentPassword);
+userRouter.route("/forgot-password").post(forgotPasswordLimit, forgotPassword);
+userRouter.route("/reset-password").post(resetPasswordLimit, resetPassword);
 userRouter.route("/current-user").get(verifyJwt, getCurrentUser);
 userRouter.route("/update-account").patch(verifyJwt, updateAccountDetails);
+userRouter.route("/notification-preferences").patch(verifyJwt, updateNotificationPreferences);
 
 userRouter.route("/avatar").patch(verifyJwt, upload.single("avatar"), updateUserAvatar);
 userRouter.route("/cover-image").patch(verifyJwt, upload.single("coverImage"), updateUserCoverImage);
 
-userRouter.route("/c/:username").get(verifyJwt, getUserChannelProfile);
+userRouter.route("/c/:username").get(optionalJwt, getUserChannelProfile);
 userRouter.route("/history").get(verifyJwt, getWatchHistory);
 userRouter.route("/addVideoToWatchHistory").post(verifyJwt, addVideoToWatchHistory);
 
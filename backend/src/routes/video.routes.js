@@ -2,26 +2,46 @@ import { Router } from "express";
 import {
     deleteVideo,
     getAllVideos,
+    getRelatedVideos,
+    getTrendingVideos,
     getVideoById,
     publishAVideo,
     togglePublishStatus,
+    updateVideoPrivacy,
+    scheduleVideoPublish,
+    cancelScheduledPublish,
     updateVideo,
     addView , 
-    getAllUserVideos
+    getAllUserVideos,
+    getVideoProcessingStatus,
+    getHlsMasterPlaylist,
+    getHlsMediaPlaylist,
+    streamVideo
 } from "../controllers/video.controller.js"
-import {verifyJwt} from "../middlewares/auth.middleware.js"
+import {verifyJwt, optionalJwt, requireVerified} from "../middlewares/auth.middleware.js"
 import {upload} from "../middlewares/multer.middleware.js"
+import {requireOwnership} from "../middlewares/ownership.middleware.js"
+import {Video} from "../models/video.model.js"
+import {PERMISSIONS} from "../constants.js"
 
 const router = Router();
-router.use(verifyJwt); 
+
+const videoOwnerOnly = requireOwnership({ model: Video, param: "videoId" });
+const videoOwnerOrModerator = requireOwnership({
+    model: Video,
+    param: "videoId",
+    overridePermission: PERMISSIONS.MODERATE_CONTENT
+});
 
 router
     .route("/")
-    .get((req, res, next) => {
+    .get(optionalJwt, (req, res, next) => {
         console.log("get all videos fun has been called...");
         next();  
     }, getAllVideos)
     .post(
+        verifyJwt,
+        requireVerified("publish"),
         upload.fields([
             {
                 name: "videoFile",
@@ -36,15 +56,28 @@ router
         publishAVideo
     );
 
+// static paths first, they would otherwise match /:videoId
+router.route("/trending").get(optionalJwt, getTrendingVideos);
+
 router
     .route("/:videoId")
-    .get(getVideoById)
-    .delete(deleteVideo)
-    .patch(upload.single("thumbnail"), updateVideo);
+    .get(optionalJwt, getVideoById)
+    .delete(verifyJwt, videoOwnerOrModerator, deleteVideo)
+    .patch(verifyJwt, videoOwnerOnly, upload.single("thumbnail"), updateVideo);
     
-router.route("/allVideosOfUser/:userId").get(getAllUserVideos); 
+router.route("/:videoId/status").get(verifyJwt, getVideoProcessingStatus);
+router.route("/:videoId/related").get(optionalJwt, getRelatedVideos);
+router.route("/:videoId/stream").get(optionalJwt, streamVideo);
+router.route("/:videoId/hls/master.m3u8").get(optionalJwt, getHlsMasterPlaylist);
+router.route("/:videoId/hls/:quality.m3u8").get(optionalJwt, getHlsMediaPlaylist);
+router.route("/allVideosOfUser/:userId").get(optionalJwt, getAllUserVideos); 
 
-router.route("/toggle/publish/:videoId").patch(togglePublishStatus);
-router.route("/add/view/:videoId").patch(addView);
+router.route("/toggle/publish/:videoId").patch(verifyJwt, videoOwnerOnly, requireVerified("publish"), togglePublishStatus);
+router.route("/privacy/:videoId").patch(verifyJwt, videoOwnerOnly, updateVideoPrivacy);
+router
+    .route("/schedule/:videoId")
+    .patch(verifyJwt, videoOwnerOnly, requireVerified("publish"), scheduleVideoPublish)
+    .delete(verifyJwt, videoOwnerOnly, cancelScheduledPublish);
+router.route("/add/view/:videoId").patch(verifyJwt, addView);
 
 export default router
\ No newline at end of file
@@ -0,0 +1,38 @@
+import mongoose from "mongoose";
+import connectDB from "../db/index.js";
+import { User } from "../models/user.model.js";
+
+// One-off migration for the email verification rollout. Accounts created before it
+// have no isVerified field, are read as unverified and would lose publishing and
+// commenting on deploy. They are marked verified, emailVerifiedAt stays empty since
+// nobody proved the address, so they are not linked to identity providers by email.
+//
+// Run once after deploying:
+//   npm run migrate:verify-existing-users
+// Accounts saved after the deploy but before the migration may already store
+// isVerified: false, pass the deploy date to include the ones created before it:
+//   npm run migrate:verify-existing-users -- --before=2026-10-19T12:00:00Z
+
+const beforeArg = process.argv.find((arg) => arg.startsWith("--before="))
+const before = beforeArg ? new Date(beforeArg.slice("--before=".length)) : null
+
+if (before && Number.isNaN(before.getTime())) {
+    console.error(`invalid --before date: ${beforeArg}`)
+    process.exit(1)
+}
+
+const filter = before
+    ? { $or: [{ isVerified: { $exists: false } }, { isVerified: false, emailVerifiedAt: { $exists: false }, createdAt: { $lt: before } }] }
+    : { isVerified: { $exists: false } }
+
+connectDB()
+.then( async () => {
+    const { modifiedCount } = await User.updateMany(filter, { $set: { isVerified: true } })
+    console.log(`Marked ${modifiedCount} existing accounts verified`)
+
+    await mongoose.disconnect()
+}
+).catch( (err) => {
+    console.error(`migration failed : ` , err )
+    process.exit(1)
+} ) ;
@@ -0,0 +1,247 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { UploadSession } from '../models/uploadSession.model.js';
+import { ApiError } from '../utils/ApiError.js';
+import JobQueue from './jobQueue.service.js';
+
+export const UPLOAD_CLEANUP_JOB = 'upload.cleanup';
+
+const TEMP_DIR = path.resolve('public', 'temp');
+
+const DEFAULT_CHUNK_SIZE = 5 * 1024 * 1024; // 5 MB
+const MAX_CHUNK_SIZE = 50 * 1024 * 1024; // 50 MB
+// every session reserves disk for its chunks until it completes or expires
+const MAX_UPLOAD_SIZE = Number(process.env.UPLOAD_MAX_SIZE_BYTES) || 5 * 1024 * 1024 * 1024; // 5 GB
+
+class ChunkedUploadService {
+    static getChunkDir(sessionId) {
+        return path.join(TEMP_DIR, `upload-${sessionId}`);
+    }
+
+    static getChunkPath(sessionId, index) {
+        return path.join(this.getChunkDir(sessionId), `${index}.part`);
+    }
+
+    /**
+     * Create an upload session for a file that will be sent in chunks
+     * @param {string} ownerId - ID of the uploading user
+     * @param {Object} details - { fileName, mimeType, totalSize, chunkSize, checksum, title, description }
+     */
+    static async createSession(ownerId, details) {
+        const totalSize = Number(details.totalSize);
+        const chunkSize = Number(details.chunkSize) || DEFAULT_CHUNK_SIZE;
+
+        if (!Number.isInteger(totalSize) || totalSize <= 0) {
+            throw new ApiError(400, 'totalSize must be a positive number of bytes');
+        }
+
+        if (totalSize > MAX_UPLOAD_SIZE) {
+            throw new ApiError(413, `totalSize cannot be more than ${MAX_UPLOAD_SIZE} bytes`);
+        }
+
+        if (!Number.isInteger(chunkSize) || chunkSize <= 0 || chunkSize > MAX_CHUNK_SIZE) {
+            throw new ApiError(400, `chunkSize must be between 1 and ${MAX_CHUNK_SIZE} bytes`);
+        }
+
+        if (!/^[a-f0-9]{64}$/i.test(details.checksum || '')) {
+            throw new ApiError(400, 'checksum must be a sha256 hex digest of the file');
+        }
+
+        const session = await UploadSession.create({
+            owner: ownerId,
+            fileName: path.basename(details.fileName),
+            mimeType: details.mimeType,
+            totalSize,
+            chunkSize,
+            totalChunks: Math.ceil(totalSize / chunkSize),
+            checksum: details.checksum,
+            title: details.title,
+            description: details.description
+        });
+
+        await fs.promises.mkdir(this.getChunkDir(session._id), { recursive: true });
+
+        // the TTL index only drops the document, the worker removes abandoned chunks
+        await JobQueue.enqueue(UPLOAD_CLEANUP_JOB, { sessionId: session._id.toString() }, { runAt: session.expiresAt });
+
+        return session;
+    }
+
+    /**
+     * Load a session owned by the user, rejecting unknown or foreign sessions
+     */
+    static async getSession(sessionId, ownerId) {
+        const session = await UploadSession.findById(sessionId);
+
+        if (!session || session.owner.toString() !== ownerId.toString()) {
+            throw new ApiError(404, 'upload session not found');
+        }
+
+        return session;
+    }
+
+    /**
+     * Store one chunk. Re-sending a chunk overwrites it, so clients can retry safely.
+     * @param {Object} session - UploadSession document
+     * @param {number} index - zero based chunk index
+     * @param {Buffer} data - raw chunk bytes
+     * @param {string} chunkChecksum - optional sha256 hex digest of the chunk
+     */
+    static async writeChunk(session, index, data, chunkChecksum) {
+        if (session.status !== 'uploading') {
+            throw new ApiError(409, `upload session is ${session.status}`);
+        }
+
+        // its chunks are removed by then, or about to be
+        if (session.expiresAt <= new Date()) {
+            throw new ApiError(410, 'upload session has expired, start a new upload');
+        }
+
+        if (!Number.isInteger(index) || index < 0 || index >= session.totalChunks) {
+            throw new ApiError(400, `chunk index must be between 0 and ${session.totalChunks - 1}`);
+        }
+
+        if (!Buffer.isBuffer(data) || data.length !== session.getChunkLength(index)) {
+            throw new ApiError(400, `chunk ${index} must be exactly ${session.getChunkLength(index)} bytes`);
+        }
+
+        if (chunkChecksum) {
+            const digest = crypto.createHash('sha256').update(data).digest('hex');
+            if (digest !== chunkChecksum.toLowerCase()) {
+                throw new ApiError(422, `checksum mismatch for chunk ${index}`);
+            }
+        }
+
+        await fs.promises.mkdir(this.getChunkDir(session._id), { recursive: true });
+        await fs.promises.writeFile(this.getChunkPath(session._id, index), data);
+
+        return await UploadSession.findByIdAndUpdate(
+            session._id,
+            { $addToSet: { receivedChunks: index } },
+            { new: true }
+        );
+    }
+
+    /**
+     * Describe upload progress so a client can resume after a failure
+     */
+    static getProgress(session) {
+        const receivedChunks = [...session.receivedChunks].sort((a, b) => a - b);
+        const receivedBytes = receivedChunks.reduce(
+            (total, index) => total + session.getChunkLength(index),
+            0
+        );
+
+        return {
+            sessionId: session._id,
+            status: session.status,
+            totalSize: session.totalSize,
+            chunkSize: session.chunkSize,
+            totalChunks: session.totalChunks,
+            receivedChunks,
+            receivedOffsets: receivedChunks.map((index) => session.getChunkOffset(index)),
+            missingChunks: session.getMissingChunks(),
+            receivedBytes,
+            video: session.video || null,
+            expiresAt: session.expiresAt
+        };
+    }
+
+    /**
+     * Assemble all chunks into a single file in public/temp and verify its checksum.
+     * Returns the path of the assembled file.
+     */
+    static async assemble(session) {
+        const missing = session.getMissingChunks();
+        if (missing.length > 0) {
+            throw new ApiError(409, `upload is incomplete, missing chunks: ${missing.join(', ')}`);
+        }
+
+        const claimed = await UploadSession.findOneAndUpdate(
+            { _id: session._id, status: 'uploading' },
+            { status: 'finalizing' },
+            { new: true }
+        );
+
+        if (!claimed) {
+            throw new ApiError(409, 'upload session is already being finalized');
+        }
+
+        const extension = path.extname(session.fileName);
+        const assembledPath = path.join(TEMP_DIR, `upload-${session._id}${extension}`);
+        const hash = crypto.createHash('sha256');
+        const output = fs.createWriteStream(assembledPath);
+
+        try {
+            for (let index = 0; index < session.totalChunks; index++) {
+                const chunk = await fs.promises.readFile(this.getChunkPath(session._id, index));
+                hash.update(chunk);
+                if (!output.write(chunk)) {
+                    await new Promise((resolve) => output.once('drain', resolve));
+                }
+            }
+            output.end();
+            await new Promise((resolve, reject) => {
+                output.once('finish', resolve);
+                output.once('error', reject);
+            });
+
+            if (hash.digest('hex') !== session.checksum) {
+                throw new ApiError(422, 'checksum mismatch, the assembled file is corrupted');
+            }
+        } catch (error) {
+            output.destroy();
+            await fs.promises.rm(assembledPath, { force: true });
+            await this.markFailed(session._id);
+            throw error;
+        }
+
+        await fs.promises.rm(this.getChunkDir(session._id), { recursive: true, force: true });
+
+        return assembledPath;
+    }
+
+    static async markCompleted(sessionId, videoId) {
+        return await UploadSession.findByIdAndUpdate(
+            sessionId,
+            { status: 'completed', video: videoId },
+            { new: true }
+        );
+    }
+
+    static async markFailed(sessionId) {
+        await fs.promises.rm(this.getChunkDir(sessionId), { recursive: true, force: true });
+        return await UploadSession.findByIdAndUpdate(sessionId, { status: 'failed' }, { new: true });
+    }
+
+    /**
+     * Job handler: remove the chunks of an expired session. Finalized and
+     * cancelled sessions have none left, which is fine.
+     */
+    static async removeExpiredChunks(sessionId) {
+        const session = await UploadSession.findById(sessionId).select('status');
+
+        // still being assembled, assemble removes the chunks itself
+        if (session?.status === 'finalizing') return;
+
+        await fs.promises.rm(this.getChunkDir(sessionId), { recursive: true, force: true });
+    }
+
+    /**
+     * Cancel an upload and remove its chunks. A session being assembled is
+     * left alone, assemble is still reading its chunks.
+     */
+    static async cancel(session) {
+        // checked in the same query, assemble may claim the session at any time
+        const deleted = await UploadSession.findOneAndDelete({ _id: session._id, status: { $ne: 'finalizing' } });
+
+        if (!deleted) {
+            throw new ApiError(409, 'upload session is being finalized and cannot be cancelled');
+        }
+
+        await fs.promises.rm(this.getChunkDir(session._id), { recursive: true, force: true });
+    }
+}
+
+export default ChunkedUploadService;
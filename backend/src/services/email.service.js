@@ -0,0 +1,194 @@
+import { User } from '../models/user.model.js';
+import { Notification } from '../models/notification.model.js';
+import { sendMail } from '../utils/email/index.js';
+import { renderTemplate } from '../utils/email/templates.js';
+import JobQueue from './jobQueue.service.js';
+
+export const EMAIL_SEND_JOB = 'email.send';
+export const EMAIL_DIGEST_JOB = 'email.dailyDigest';
+
+const EMAIL_MAX_ATTEMPTS = Number(process.env.EMAIL_MAX_ATTEMPTS) || 5;
+// UTC hour the daily digest goes out
+const DIGEST_HOUR_UTC = Number(process.env.EMAIL_DIGEST_HOUR_UTC ?? 8);
+const DIGEST_MAX_VIDEOS = 20;
+const DIGEST_BATCH_SIZE = 200;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class EmailService {
+    /**
+     * Render a template and queue the email, the worker sends it and retries
+     * with backoff when the transport fails
+     * @param {string} to - recipient address
+     * @param {string} template - name from utils/email/templates.js
+     * @param {Object} data - values for the template
+     */
+    static async enqueue(to, template, data) {
+        const message = renderTemplate(template, data);
+
+        return await JobQueue.enqueue(
+            EMAIL_SEND_JOB,
+            { to, template, ...message },
+            { maxAttempts: EMAIL_MAX_ATTEMPTS }
+        );
+    }
+
+    /**
+     * Queue a job whose handler renders and sends the email itself, retried like
+     * queued emails. For emails with a secret link, which never goes into a payload.
+     * @param {string} type - job type, the handler calls sendTemplate
+     * @param {Object} payload - what the handler needs to build the email, e.g. { userId }
+     */
+    static async enqueueJob(type, payload) {
+        return await JobQueue.enqueue(type, payload, { maxAttempts: EMAIL_MAX_ATTEMPTS });
+    }
+
+    /**
+     * Render a template and send it right away, for job handlers
+     */
+    static async sendTemplate(to, template, data) {
+        return await this.send({ to, ...renderTemplate(template, data) });
+    }
+
+    /**
+     * Job handler: send a queued email
+     */
+    static async send({ to, subject, text, html }) {
+        const { messageId } = await sendMail({ to, subject, text, html });
+        console.log(`Sent email ${messageId} to ${to}: ${subject}`);
+
+        return messageId;
+    }
+
+    /**
+     * Email new notifications to recipients who get every notification by email.
+     * Never fails the caller, the notifications are stored either way.
+     * @param {Object[]} notifications - stored notifications
+     * @returns {Promise<number>} emails queued
+     */
+    static async sendNotificationEmails(notifications) {
+        if (!notifications.length) return 0;
+
+        try {
+            const recipients = await User.find({
+                _id: { $in: notifications.map(({ recipient }) => recipient) },
+                isActive: true,
+                'preferences.notifications.email': { $ne: false },
+                'preferences.notifications.emailFrequency': 'instant'
+            })
+                .select('username email')
+                .lean();
+
+            const recipientsById = new Map(recipients.map((user) => [user._id.toString(), user]));
+            let queued = 0;
+
+            for (const { recipient, message } of notifications) {
+                const user = recipientsById.get(recipient.toString());
+                if (!user) continue;
+
+                await this.enqueue(user.email, 'notification', { username: user.username, message });
+                queued++;
+            }
+
+            return queued;
+        } catch (error) {
+            console.error('Failed to queue notification emails:', error.message);
+            return 0;
+        }
+    }
+
+    static getNextDigestAt(now = new Date()) {
+        const next = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate(), DIGEST_HOUR_UTC));
+        if (next <= now) next.setUTCDate(next.getUTCDate() + 1);
+
+        return next;
+    }
+
+    /**
+     * Queue the next digest run, replacing any run already queued
+     */
+    static async scheduleDigest() {
+        await JobQueue.cancel(EMAIL_DIGEST_JOB);
+
+        return await JobQueue.enqueue(EMAIL_DIGEST_JOB, {}, { runAt: this.getNextDigestAt() });
+    }
+
+    /**
+     * Queue one digest per user on daily emails who got new video
+     * notifications in the last day
+     * @returns {Promise<number>} digests queued
+     */
+    static async sendDailyDigests() {
+        const since = new Date(Date.now() - DAY_MS);
+        const recipientIds = await Notification.distinct('recipient', {
+            type: 'new_video',
+            createdAt: { $gte: since }
+        });
+
+        let queued = 0;
+
+        for (let i = 0; i < recipientIds.length; i += DIGEST_BATCH_SIZE) {
+            const users = await User.find({
+                _id: { $in: recipientIds.slice(i, i + DIGEST_BATCH_SIZE) },
+                isActive: true,
+                'preferences.notifications.email': { $ne: false },
+                'preferences.notifications.emailFrequency': { $ne: 'instant' }
+            })
+                .select('username email emailDigestSentAt')
+                .lean();
+
+            for (const user of users) {
+                if (await this.sendDigest(user, since)) queued++;
+            }
+        }
+
+        return queued;
+    }
+
+    /**
+     * Queue the digest of one user, skipping uploads an earlier digest already had
+     * @returns {Promise<boolean>} whether there was anything to send
+     */
+    static async sendDigest(user, since) {
+        const from = user.emailDigestSentAt > since ? user.emailDigestSentAt : since;
+
+        const notifications = await Notification.find({
+            recipient: user._id,
+            type: 'new_video',
+            createdAt: { $gt: from }
+        })
+            .sort({ createdAt: -1 })
+            .limit(DIGEST_MAX_VIDEOS)
+            .populate('video', 'title')
+            .populate('actor', 'username')
+            .lean();
+
+        // videos deleted since the notification are left out
+        const videos = notifications
+            .filter(({ video }) => video)
+            .map(({ video, actor }) => ({ title: video.title, channel: actor?.username }));
+
+        if (!videos.length) return false;
+
+        await this.enqueue(user.email, 'digest', { username: user.username, videos });
+        await User.updateOne({ _id: user._id }, { $set: { emailDigestSentAt: new Date() } });
+
+        return true;
+    }
+
+    /**
+     * Job handler: send the digests, then queue the next day's run.
+     * A failed run is not retried, the next one is a day later.
+     */
+    static async runDigestJob() {
+        try {
+            const count = await this.sendDailyDigests();
+            console.log(`Queued ${count} digest emails`);
+        } catch (error) {
+            console.error('Failed to send digest emails:', error);
+        }
+
+        await this.scheduleDigest();
+    }
+}
+
+export default EmailService;
@@ -0,0 +1,103 @@
+import jwt from 'jsonwebtoken';
+import { User } from '../models/user.model.js';
+import { ApiError } from '../utils/ApiError.js';
+import { appUrl } from '../utils/email/templates.js';
+import EmailService from './email.service.js';
+
+const TOKEN_EXPIRY_HOURS = Number(process.env.EMAIL_VERIFICATION_EXPIRY_HOURS) || 24;
+// Minimum time between two verification emails, and the most a user gets in a day
+const RESEND_INTERVAL_MS = Number(process.env.EMAIL_VERIFICATION_RESEND_INTERVAL_MS) || 60 * 1000;
+const MAX_EMAILS_PER_DAY = Number(process.env.EMAIL_VERIFICATION_MAX_PER_DAY) || 5;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const EMAIL_VERIFICATION_JOB = 'email.verification';
+
+class EmailVerificationService {
+    /**
+     * Email a verification link to the user, throttled per user
+     * @param {Object} user - user document, with or without verificationEmailsSentAt
+     */
+    static async sendVerificationEmail(user) {
+        if (user.isVerified) {
+            throw new ApiError(400, 'email is already verified');
+        }
+
+        const { verificationEmailsSentAt = [] } = await User.findById(user._id)
+            .select('+verificationEmailsSentAt')
+            .lean();
+
+        const now = Date.now();
+        const sentToday = verificationEmailsSentAt.filter((sentAt) => now - sentAt.getTime() < DAY_MS);
+        const lastSentAt = sentToday.at(-1);
+
+        if (lastSentAt && now - lastSentAt.getTime() < RESEND_INTERVAL_MS) {
+            const waitSeconds = Math.ceil((RESEND_INTERVAL_MS - (now - lastSentAt.getTime())) / 1000);
+            throw new ApiError(429, `a verification email was just sent, try again in ${waitSeconds} seconds`);
+        }
+        if (sentToday.length >= MAX_EMAILS_PER_DAY) {
+            throw new ApiError(429, 'too many verification emails today, try again tomorrow');
+        }
+
+        // the worker signs the link, so it is never stored in the job
+        await EmailService.enqueueJob(EMAIL_VERIFICATION_JOB, { userId: user._id.toString(), email: user.email });
+
+        await User.updateOne(
+            { _id: user._id },
+            { $set: { verificationEmailsSentAt: [...sentToday, new Date(now)].slice(-MAX_EMAILS_PER_DAY) } }
+        );
+    }
+
+    /**
+     * Job handler: sign a verification link and email it, unless the address
+     * was verified or changed since the email was queued
+     * @param {Object} payload - { userId, email }
+     */
+    static async sendQueuedVerificationEmail({ userId, email }) {
+        const user = await User.findById(userId).select('username email isVerified');
+
+        if (!user || user.isVerified || user.email !== email) return;
+
+        const token = user.generateEmailVerificationToken(TOKEN_EXPIRY_HOURS);
+
+        await EmailService.sendTemplate(user.email, 'verifyEmail', {
+            username: user.username,
+            url: appUrl(`/verify-email?token=${encodeURIComponent(token)}`),
+            expiresInHours: TOKEN_EXPIRY_HOURS
+        });
+    }
+
+    /**
+     * Mark the email of the token's user verified. Verifying twice is not an error.
+     * @param {string} token - from the verification link
+     */
+    static async verify(token) {
+        let payload;
+        try {
+            payload = jwt.verify(String(token), process.env.EMAIL_VERIFICATION_SECRET);
+        } catch (error) {
+            throw new ApiError(400, 'verification link is invalid or has expired');
+        }
+
+        if (payload.purpose !== 'email_verification') {
+            throw new ApiError(400, 'verification link is invalid or has expired');
+        }
+
+        const user = await User.findById(payload._id).select('-password -refreshToken');
+
+        // the address was changed after the link was sent
+        if (!user || user.email !== payload.email) {
+            throw new ApiError(400, 'verification link is invalid or has expired');
+        }
+
+        if (!user.isVerified) {
+            user.isVerified = true;
+            user.emailVerifiedAt = new Date();
+            user.verificationEmailsSentAt = undefined;
+            await user.save({ validateBeforeSave: false });
+        }
+
+        return user;
+    }
+}
+
+export default EmailVerificationService;
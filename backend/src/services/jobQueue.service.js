@@ -0,0 +1,213 @@
+import os from 'os';
+import { Job } from '../models/job.model.js';
+
+const LOCK_TIMEOUT_MS = Number(process.env.JOB_LOCK_TIMEOUT_MS) || 10 * 60 * 1000; // 10 minutes
+// running jobs renew their lock well within the timeout
+const HEARTBEAT_INTERVAL_MS = Math.round(LOCK_TIMEOUT_MS / 4);
+const POLL_INTERVAL_MS = Number(process.env.JOB_POLL_INTERVAL_MS) || 2000;
+const RETRY_BASE_DELAY_MS = 30 * 1000;
+
+class JobQueue {
+    /**
+     * Add a job to the queue
+     * @param {string} type - handler name
+     * @param {Object} payload - data passed to the handler
+     * @param {Object} options - { runAt, maxAttempts }
+     */
+    static async enqueue(type, payload = {}, options = {}) {
+        return await Job.create({
+            type,
+            payload,
+            runAt: options.runAt || new Date(),
+            maxAttempts: options.maxAttempts || 3
+        });
+    }
+
+    /**
+     * Remove queued jobs of a type whose payload matches, e.g. { videoId }.
+     * Jobs already running are left to finish.
+     */
+    static async cancel(type, payload = {}) {
+        const filter = { type, status: 'queued' };
+        for (const [key, value] of Object.entries(payload)) {
+            filter[`payload.${key}`] = value;
+        }
+
+        const { deletedCount } = await Job.deleteMany(filter);
+
+        return deletedCount;
+    }
+
+    /**
+     * Filter matching a job only while the claim it was loaded with still holds.
+     * A takeover increments attempts, so it also tells two claims of one worker apart.
+     */
+    static lockFilter(job) {
+        return { _id: job._id, status: 'running', lockedBy: job.lockedBy, attempts: job.attempts };
+    }
+
+    /**
+     * Whether the job is still locked by this claim and the lock has not gone stale
+     */
+    static async holdsLock(job) {
+        const staleBefore = new Date(Date.now() - LOCK_TIMEOUT_MS);
+
+        return Boolean(await Job.exists({ ...this.lockFilter(job), lockedAt: { $gt: staleBefore } }));
+    }
+
+    /**
+     * Push the lock timeout back, returns false once another worker took the job over
+     */
+    static async renewLock(job) {
+        const { modifiedCount } = await Job.updateOne(this.lockFilter(job), { lockedAt: new Date() });
+
+        return modifiedCount === 1;
+    }
+
+    /**
+     * Atomically lock the next due job of one of the given types.
+     * Running jobs whose lock is older than the timeout are considered abandoned,
+     * they are taken over as a new attempt or failed once they are out of attempts.
+     */
+    static async claimNext(types, workerId) {
+        const now = new Date();
+        const staleBefore = new Date(now.getTime() - LOCK_TIMEOUT_MS);
+
+        // a job that keeps crashing its worker must not be retried forever
+        await Job.updateMany(
+            {
+                type: { $in: types },
+                status: 'running',
+                lockedAt: { $lt: staleBefore },
+                $expr: { $gte: ['$attempts', '$maxAttempts'] }
+            },
+            {
+                status: 'failed',
+                completedAt: now,
+                lastError: 'worker stopped responding',
+                $unset: { lockedAt: 1, lockedBy: 1 }
+            }
+        );
+
+        return await Job.findOneAndUpdate(
+            {
+                type: { $in: types },
+                $or: [
+                    { status: 'queued', runAt: { $lte: now } },
+                    {
+                        status: 'running',
+                        lockedAt: { $lt: staleBefore },
+                        $expr: { $lt: ['$attempts', '$maxAttempts'] }
+                    }
+                ]
+            },
+            {
+                $set: { status: 'running', lockedAt: now, lockedBy: workerId },
+                $inc: { attempts: 1 }
+            },
+            { sort: { runAt: 1 }, new: true }
+        );
+    }
+
+    /**
+     * Complete and fail only apply while the worker still holds the job,
+     * a worker whose job was taken over must not overwrite the new attempt
+     */
+    static async complete(job) {
+        return await Job.findOneAndUpdate(this.lockFilter(job), {
+            status: 'completed',
+            completedAt: new Date(),
+            $unset: { lockedAt: 1, lockedBy: 1 }
+        });
+    }
+
+    /**
+     * Requeue a failed job with exponential backoff until it runs out of attempts
+     */
+    static async fail(job, error) {
+        const lastError = error?.stack || String(error);
+
+        if (job.attempts < job.maxAttempts) {
+            return await Job.findOneAndUpdate(this.lockFilter(job), {
+                status: 'queued',
+                runAt: new Date(Date.now() + RETRY_BASE_DELAY_MS * 2 ** (job.attempts - 1)),
+                lastError,
+                $unset: { lockedAt: 1, lockedBy: 1 }
+            });
+        }
+
+        return await Job.findOneAndUpdate(this.lockFilter(job), {
+            status: 'failed',
+            completedAt: new Date(),
+            lastError,
+            $unset: { lockedAt: 1, lockedBy: 1 }
+        });
+    }
+
+    /**
+     * Poll the queue and run jobs with the matching handler, one at a time.
+     * @param {Object} handlers - map of job type to async (payload, job) => {}
+     * @returns {Function} stop - resolves once the current job has finished
+     */
+    static startWorker(handlers, options = {}) {
+        const workerId = options.workerId || `${os.hostname()}:${process.pid}`;
+        const pollInterval = options.pollInterval || POLL_INTERVAL_MS;
+        const types = Object.keys(handlers);
+        let running = true;
+        let wakeUp = null;
+
+        const loop = async () => {
+            while (running) {
+                let job = null;
+
+                try {
+                    job = await this.claimNext(types, workerId);
+                } catch (error) {
+                    console.error('Failed to claim job:', error);
+                }
+
+                if (!job) {
+                    await new Promise((resolve) => {
+                        wakeUp = resolve;
+                        setTimeout(resolve, pollInterval);
+                    });
+                    continue;
+                }
+
+                console.log(`Running job ${job.type} (${job._id}), attempt ${job.attempts}`);
+
+                const heartbeat = setInterval(async () => {
+                    try {
+                        if (!(await this.renewLock(job))) {
+                            console.warn(`Job ${job.type} (${job._id}) was taken over by another worker`);
+                            clearInterval(heartbeat);
+                        }
+                    } catch (error) {
+                        console.error(`Failed to renew the lock of job ${job._id}:`, error);
+                    }
+                }, options.heartbeatInterval || HEARTBEAT_INTERVAL_MS);
+
+                try {
+                    await handlers[job.type](job.payload, job);
+                    await this.complete(job);
+                } catch (error) {
+                    console.error(`Job ${job.type} (${job._id}) failed:`, error);
+                    await this.fail(job, error);
+                } finally {
+                    clearInterval(heartbeat);
+                }
+            }
+        };
+
+        const done = loop();
+        console.log(`Worker ${workerId} listening for: ${types.join(', ')}`);
+
+        return async () => {
+            running = false;
+            wakeUp?.();
+            await done;
+        };
+    }
+}
+
+export default JobQueue;
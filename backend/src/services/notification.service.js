@@ -0,0 +1,360 @@
+import { Notification } from '../models/notification.model.js';
+import { Subscription } from '../models/subscription.model.js';
+import { User } from '../models/user.model.js';
+import { Video } from '../models/video.model.js';
+import { Tweet } from '../models/tweet.model.js';
+import { ApiError } from '../utils/ApiError.js';
+import { listedVideoMatch } from '../utils/videoVisibility.js';
+import JobQueue from './jobQueue.service.js';
+import RealtimeService from './realtime.service.js';
+import EmailService from './email.service.js';
+
+export const NOTIFICATION_FANOUT_JOB = 'notification.fanOut';
+
+// Like counts of a video that notify its owner
+export const LIKE_MILESTONES = [10, 100, 1000, 10000, 100000, 1000000];
+
+const FANOUT_BATCH_SIZE = 500;
+
+// User.preferences.notifications flag honoured by each type, null means always sent
+const USER_PREFERENCES = {
+    new_video: 'subscriptions',
+    new_tweet: 'subscriptions',
+    new_subscriber: 'subscriptions',
+    comment_reply: 'comments',
+    like_milestone: null
+};
+
+// Subscription.notifications flag a subscriber needs for each fanned out type
+const SUBSCRIPTION_PREFERENCES = {
+    new_video: 'newVideos',
+    new_tweet: 'communityPosts'
+};
+
+const excerpt = (text = '', length = 80) => (text.length > length ? `${text.slice(0, length - 1)}…` : text);
+
+// insertMany with ordered: false reports every duplicate, the rest is still inserted
+const isDuplicateKeyError = (error) =>
+    error?.code === 11000 ||
+    (Array.isArray(error?.writeErrors) && error.writeErrors.every((writeError) => writeError.code === 11000));
+
+class NotificationService {
+    /**
+     * Store a notification for one user, unless they are the actor,
+     * are inactive or turned this kind of notification off
+     * @returns {Promise<Object|null>} the notification, null when nothing was sent
+     */
+    static async deliver(recipientId, notification) {
+        if (notification.actor && notification.actor.toString() === recipientId.toString()) {
+            return null;
+        }
+
+        const recipient = await User.findById(recipientId).select('isActive preferences.notifications').lean();
+        const preference = USER_PREFERENCES[notification.type];
+
+        if (!recipient?.isActive || (preference && recipient.preferences?.notifications?.[preference] === false)) {
+            return null;
+        }
+
+        let created;
+        try {
+            created = await Notification.create({ ...notification, recipient: recipientId });
+        } catch (error) {
+            if (isDuplicateKeyError(error)) return null;
+            throw error;
+        }
+
+        await this.push([created]);
+
+        return created;
+    }
+
+    /**
+     * Send new notifications to the open realtime streams of their recipients,
+     * and by email to those who want each one as it happens
+     */
+    static async push(notifications) {
+        for (const notification of notifications) {
+            const { dedupeKey, ...data } = notification.toObject();
+            await RealtimeService.publish(RealtimeService.userChannel(notification.recipient), 'notification', data);
+        }
+
+        await EmailService.sendNotificationEmails(notifications);
+    }
+
+    /**
+     * Queue the new video fan-out once the video is public, published and processed.
+     * Called from every place a video can become listed, subscribers are only
+     * notified the first time.
+     */
+    static async notifyVideoPublished(videoId) {
+        // claimed before queueing so concurrent callers queue a single fan-out
+        const notifiedAt = new Date();
+        let video = null;
+
+        try {
+            video = await Video.findOneAndUpdate(
+                { _id: videoId, ...listedVideoMatch(), subscribersNotifiedAt: { $exists: false } },
+                { $set: { subscribersNotifiedAt: notifiedAt } },
+                { new: true }
+            ).select('owner');
+
+            if (!video) return null;
+
+            return await JobQueue.enqueue(NOTIFICATION_FANOUT_JOB, {
+                type: 'new_video',
+                channelId: video.owner.toString(),
+                videoId: video._id.toString()
+            });
+        } catch (error) {
+            console.error(`Failed to queue notifications for video ${videoId}:`, error.message);
+
+            // nothing was queued, leave the video unmarked so a later call can queue it
+            if (video) {
+                await Video.updateOne(
+                    { _id: video._id, subscribersNotifiedAt: notifiedAt },
+                    { $unset: { subscribersNotifiedAt: 1 } }
+                ).catch((unsetError) => console.error(`Failed to release video ${videoId}:`, unsetError.message));
+            }
+            return null;
+        }
+    }
+
+    static async notifyNewTweet(tweet) {
+        try {
+            return await JobQueue.enqueue(NOTIFICATION_FANOUT_JOB, {
+                type: 'new_tweet',
+                channelId: tweet.owner.toString(),
+                tweetId: tweet._id.toString()
+            });
+        } catch (error) {
+            console.error(`Failed to queue notifications for tweet ${tweet._id}:`, error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Tell the author of a comment someone replied to it
+     * @param {Object} reply - the new comment
+     * @param {Object} parentComment - the comment replied to
+     * @param {Object} actor - user who replied
+     */
+    static async notifyCommentReply(reply, parentComment, actor) {
+        try {
+            return await this.deliver(parentComment.owner, {
+                type: 'comment_reply',
+                actor: actor._id,
+                video: reply.video,
+                comment: reply._id,
+                message: `${actor.username} replied to your comment: "${excerpt(reply.content)}"`
+            });
+        } catch (error) {
+            console.error(`Failed to notify reply to comment ${parentComment._id}:`, error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Tell a channel it has a new subscriber. Resubscribing does not notify again.
+     */
+    static async notifyNewSubscriber(channelId, subscriber) {
+        try {
+            return await this.deliver(channelId, {
+                type: 'new_subscriber',
+                actor: subscriber._id,
+                message: `${subscriber.username} subscribed to your channel`,
+                dedupeKey: `new_subscriber:${subscriber._id}`
+            });
+        } catch (error) {
+            console.error(`Failed to notify channel ${channelId} of a new subscriber:`, error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Tell the owner of a video it reached a like milestone, each milestone once
+     * @param {string} videoId
+     * @param {number} likeCount - likes of the video after the new like
+     */
+    static async notifyLikeMilestone(videoId, likeCount) {
+        if (!LIKE_MILESTONES.includes(likeCount)) return null;
+
+        try {
+            const video = await Video.findById(videoId).select('title owner').lean();
+            if (!video) return null;
+
+            return await this.deliver(video.owner, {
+                type: 'like_milestone',
+                video: video._id,
+                milestone: likeCount,
+                message: `Your video "${excerpt(video.title)}" reached ${likeCount.toLocaleString('en-US')} likes`,
+                dedupeKey: `like_milestone:${video._id}:${likeCount}`
+            });
+        } catch (error) {
+            console.error(`Failed to notify like milestone of video ${videoId}:`, error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Job handler: notify the subscribers of a channel about a new video or tweet,
+     * in batches. Subscribers already notified by a failed earlier attempt are skipped.
+     * @param {Object} payload - { type, channelId, videoId | tweetId }
+     * @returns {Promise<number>} subscribers notified
+     */
+    static async fanOut({ type, channelId, videoId, tweetId }) {
+        const channel = await User.findById(channelId).select('username').lean();
+
+        // the content may have been deleted or hidden since the job was queued
+        const content = type === 'new_video'
+            ? await Video.findOne({ _id: videoId, ...listedVideoMatch() }).select('title').lean()
+            : await Tweet.findById(tweetId).select('content').lean();
+
+        if (!channel || !content) {
+            console.log(`Nothing to notify for ${type} of channel ${channelId}, skipping`);
+            return 0;
+        }
+
+        const notification = type === 'new_video'
+            ? {
+                type,
+                actor: channel._id,
+                video: content._id,
+                message: `${channel.username} uploaded: ${excerpt(content.title)}`,
+                dedupeKey: `new_video:${content._id}`
+            }
+            : {
+                type,
+                actor: channel._id,
+                tweet: content._id,
+                message: `${channel.username} posted: ${excerpt(content.content)}`,
+                dedupeKey: `new_tweet:${content._id}`
+            };
+
+        const subscriptions = Subscription.find({
+            channel: channelId,
+            status: 'active',
+            [`notifications.${SUBSCRIPTION_PREFERENCES[type]}`]: true
+        })
+            .select('subscriber')
+            .lean()
+            .cursor({ batchSize: FANOUT_BATCH_SIZE });
+
+        let notified = 0;
+        let batch = [];
+
+        for await (const { subscriber } of subscriptions) {
+            batch.push(subscriber);
+
+            if (batch.length === FANOUT_BATCH_SIZE) {
+                notified += await this.deliverBatch(channelId, batch, notification);
+                batch = [];
+            }
+        }
+
+        if (batch.length) {
+            notified += await this.deliverBatch(channelId, batch, notification);
+        }
+
+        return notified;
+    }
+
+    static async deliverBatch(channelId, subscriberIds, notification) {
+        const preference = USER_PREFERENCES[notification.type];
+
+        const recipients = await User.find({
+            _id: { $in: subscriberIds },
+            isActive: true,
+            [`preferences.notifications.${preference}`]: { $ne: false }
+        })
+            .select('_id')
+            .lean();
+
+        if (!recipients.length) return 0;
+
+        let inserted;
+        try {
+            inserted = await Notification.insertMany(
+                recipients.map(({ _id }) => ({ ...notification, recipient: _id })),
+                { ordered: false }
+            );
+        } catch (error) {
+            if (!isDuplicateKeyError(error)) throw error;
+            inserted = error.insertedDocs || [];
+        }
+
+        await this.push(inserted);
+
+        await Subscription.updateMany(
+            { channel: channelId, subscriber: { $in: recipients.map(({ _id }) => _id) } },
+            { $set: { 'analytics.lastNotificationSent': new Date() } }
+        );
+
+        return recipients.length;
+    }
+
+    /**
+     * Notifications of a user, newest first
+     * @param {Object} options - { page, limit, unreadOnly }
+     */
+    static async getNotifications(userId, { page, limit, unreadOnly = false }) {
+        const filter = { recipient: userId };
+        if (unreadOnly) filter.isRead = false;
+
+        const [docs, totalDocs] = await Promise.all([
+            Notification.find(filter)
+                .sort({ createdAt: -1, _id: -1 })
+                .skip((page - 1) * limit)
+                .limit(limit)
+                .select('-dedupeKey')
+                .populate('actor', 'username avatar')
+                .populate('video', 'title thumbnail')
+                .populate('tweet', 'content')
+                .lean(),
+            Notification.countDocuments(filter)
+        ]);
+
+        return {
+            docs,
+            totalDocs,
+            page,
+            limit,
+            totalPages: Math.ceil(totalDocs / limit),
+            hasNextPage: page * limit < totalDocs
+        };
+    }
+
+    static async getUnreadCount(userId) {
+        return await Notification.countDocuments({ recipient: userId, isRead: false });
+    }
+
+    static async markRead(userId, notificationId) {
+        const notification = await Notification.findOne({ _id: notificationId, recipient: userId }).select('-dedupeKey');
+
+        if (!notification) {
+            throw new ApiError(404, 'notification not found');
+        }
+
+        if (!notification.isRead) {
+            notification.isRead = true;
+            notification.readAt = new Date();
+            await notification.save();
+        }
+
+        return notification;
+    }
+
+    /**
+     * @returns {Promise<number>} notifications marked read
+     */
+    static async markAllRead(userId) {
+        const { modifiedCount } = await Notification.updateMany(
+            { recipient: userId, isRead: false },
+            { $set: { isRead: true, readAt: new Date() } }
+        );
+
+        return modifiedCount;
+    }
+}
+
+export default NotificationService;
@@ -0,0 +1,305 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import { OAuthState } from '../models/oauthState.model.js';
+import { User } from '../models/user.model.js';
+import { ApiError } from '../utils/ApiError.js';
+
+// Identity providers are configured from the environment:
+// OAUTH_PROVIDERS=google,keycloak and for each name OAUTH_<NAME>_ISSUER,
+// OAUTH_<NAME>_CLIENT_ID, OAUTH_<NAME>_CLIENT_SECRET and optionally OAUTH_<NAME>_SCOPES.
+// Endpoints and signing keys come from the issuer's OpenID Connect discovery document.
+
+const STATE_TTL_MS = 10 * 60 * 1000;
+// Discovery documents and signing keys are fetched again after this
+const METADATA_TTL_MS = 60 * 60 * 1000;
+const FETCH_TIMEOUT_MS = 10 * 1000;
+const ID_TOKEN_ALGORITHMS = ['RS256', 'RS384', 'RS512', 'PS256', 'ES256', 'ES384'];
+const DEFAULT_AVATAR_URL = process.env.DEFAULT_AVATAR_URL || 'https://www.gravatar.com/avatar/?d=mp&s=256';
+const USERNAME_ATTEMPTS = 5;
+
+const metadataCache = new Map();
+
+const randomToken = () => crypto.randomBytes(32).toString('base64url');
+
+const codeChallenge = (codeVerifier) => crypto.createHash('sha256').update(codeVerifier).digest('base64url');
+
+const callbackUrl = (provider) =>
+    `${(process.env.OAUTH_REDIRECT_BASE_URL || 'http://localhost:8000').replace(/\/+$/, '')}/api/v1/users/oauth/${provider}/callback`;
+
+// only paths of the frontend, never another site
+const safeRedirectPath = (path) =>
+    typeof path === 'string' && path.startsWith('/') && !path.startsWith('//') ? path : '/';
+
+const fetchJson = async (url, options = {}) => {
+    const response = await fetch(url, { ...options, signal: AbortSignal.timeout(FETCH_TIMEOUT_MS) });
+    const body = await response.json().catch(() => null);
+
+    if (!response.ok) {
+        throw new ApiError(502, `identity provider request failed (${response.status}): ${body?.error_description || body?.error || url}`);
+    }
+
+    return body;
+};
+
+class OAuthService {
+    /**
+     * Names of the configured providers, for the login page
+     */
+    static getProviderNames() {
+        return (process.env.OAUTH_PROVIDERS || '')
+            .split(',')
+            .map((name) => name.trim().toLowerCase())
+            .filter((name) => name && this.getProvider(name, { optional: true }));
+    }
+
+    static getProvider(name, { optional = false } = {}) {
+        const key = `OAUTH_${String(name).toUpperCase()}`;
+        const enabled = (process.env.OAUTH_PROVIDERS || '').split(',').map((item) => item.trim().toLowerCase());
+        const issuer = process.env[`${key}_ISSUER`];
+        const clientId = process.env[`${key}_CLIENT_ID`];
+
+        if (!enabled.includes(String(name).toLowerCase()) || !issuer || !clientId) {
+            if (optional) return null;
+            throw new ApiError(404, `sign in with ${name} is not available`);
+        }
+
+        return {
+            name: String(name).toLowerCase(),
+            issuer: issuer.replace(/\/+$/, ''),
+            clientId,
+            clientSecret: process.env[`${key}_CLIENT_SECRET`],
+            scopes: process.env[`${key}_SCOPES`] || 'openid email profile'
+        };
+    }
+
+    /**
+     * Discovery document and signing keys of a provider, cached
+     * @param {boolean} refresh - fetch again, e.g. when an ID token uses an unknown key
+     */
+    static async getMetadata(provider, { refresh = false } = {}) {
+        const cached = metadataCache.get(provider.name);
+        if (cached && !refresh && cached.fetchedAt > Date.now() - METADATA_TTL_MS) {
+            return cached;
+        }
+
+        const discovery = await fetchJson(`${provider.issuer}/.well-known/openid-configuration`);
+        const { keys = [] } = await fetchJson(discovery.jwks_uri);
+
+        const metadata = { discovery, keys, fetchedAt: Date.now() };
+        metadataCache.set(provider.name, metadata);
+
+        return metadata;
+    }
+
+    /**
+     * Start a sign-in: store the state, PKCE verifier and nonce, and build
+     * the provider URL to send the browser to
+     * @param {string} providerName
+     * @param {string} redirectTo - frontend path to return to
+     * @returns {Promise<{url: string, state: string}>}
+     */
+    static async createAuthorizationUrl(providerName, redirectTo) {
+        const provider = this.getProvider(providerName);
+        const { discovery } = await this.getMetadata(provider);
+
+        const state = randomToken();
+        const nonce = randomToken();
+        const codeVerifier = randomToken();
+
+        await OAuthState.create({
+            state,
+            nonce,
+            codeVerifier,
+            provider: provider.name,
+            redirectTo: safeRedirectPath(redirectTo),
+            expiresAt: new Date(Date.now() + STATE_TTL_MS)
+        });
+
+        const url = new URL(discovery.authorization_endpoint);
+        url.search = new URLSearchParams({
+            response_type: 'code',
+            client_id: provider.clientId,
+            redirect_uri: callbackUrl(provider.name),
+            scope: provider.scopes,
+            state,
+            nonce,
+            code_challenge: codeChallenge(codeVerifier),
+            code_challenge_method: 'S256'
+        }).toString();
+
+        return { url: url.toString(), state };
+    }
+
+    /**
+     * Finish a sign-in: consume the state, exchange the code and verify the ID token
+     * @param {string} providerName
+     * @param {Object} params - { code, state }
+     * @returns {Promise<{user: Object, redirectTo: string}>}
+     */
+    static async handleCallback(providerName, { code, state }) {
+        const provider = this.getProvider(providerName);
+
+        if (!code || !state) {
+            throw new ApiError(400, 'code and state are required');
+        }
+
+        // single use, a replayed callback finds nothing
+        const pending = await OAuthState.findOneAndDelete({
+            state: String(state),
+            provider: provider.name,
+            expiresAt: { $gt: new Date() }
+        });
+
+        if (!pending) {
+            throw new ApiError(400, 'sign-in has expired, please try again');
+        }
+
+        const { discovery } = await this.getMetadata(provider);
+
+        const tokens = await fetchJson(discovery.token_endpoint, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/x-www-form-urlencoded', Accept: 'application/json' },
+            body: new URLSearchParams({
+                grant_type: 'authorization_code',
+                code: String(code),
+                redirect_uri: callbackUrl(provider.name),
+                client_id: provider.clientId,
+                code_verifier: pending.codeVerifier,
+                ...(provider.clientSecret ? { client_secret: provider.clientSecret } : {})
+            })
+        });
+
+        const claims = await this.verifyIdToken(provider, tokens.id_token, pending.nonce);
+
+        // some providers only put the email in the userinfo response
+        if (!claims.email && discovery.userinfo_endpoint && tokens.access_token) {
+            const userInfo = await fetchJson(discovery.userinfo_endpoint, {
+                headers: { Authorization: `Bearer ${tokens.access_token}` }
+            });
+
+            if (userInfo.sub === claims.sub) {
+                Object.assign(claims, { ...userInfo, ...claims });
+            }
+        }
+
+        const user = await this.findOrCreateUser(provider.name, claims);
+
+        return { user, redirectTo: pending.redirectTo };
+    }
+
+    /**
+     * Check the signature, issuer, audience, expiry and nonce of an ID token
+     * @returns {Promise<Object>} its claims
+     */
+    static async verifyIdToken(provider, idToken, nonce) {
+        if (!idToken) {
+            throw new ApiError(502, 'identity provider did not return an ID token');
+        }
+
+        const decoded = jwt.decode(idToken, { complete: true });
+        if (!decoded) {
+            throw new ApiError(401, 'invalid ID token');
+        }
+
+        const findKey = ({ keys }) =>
+            keys.find((key) => key.kid === decoded.header.kid && key.use !== 'enc') ||
+            (!decoded.header.kid && keys.length === 1 ? keys[0] : null);
+
+        // providers rotate their keys, an unknown kid means the cached keys are stale
+        let metadata = await this.getMetadata(provider);
+        let jwk = findKey(metadata);
+        if (!jwk) {
+            metadata = await this.getMetadata(provider, { refresh: true });
+            jwk = findKey(metadata);
+        }
+
+        if (!jwk) {
+            throw new ApiError(401, 'ID token is signed with an unknown key');
+        }
+
+        let claims;
+        try {
+            claims = jwt.verify(idToken, crypto.createPublicKey({ key: jwk, format: 'jwk' }), {
+                algorithms: ID_TOKEN_ALGORITHMS,
+                issuer: metadata.discovery.issuer,
+                audience: provider.clientId
+            });
+        } catch (error) {
+            throw new ApiError(401, `invalid ID token: ${error.message}`);
+        }
+
+        if (claims.nonce !== nonce) {
+            throw new ApiError(401, 'invalid ID token: nonce does not match');
+        }
+
+        return claims;
+    }
+
+    /**
+     * The user of a provider account. Unknown accounts are linked to the user
+     * with the same email when the provider verified it, or get a new user.
+     */
+    static async findOrCreateUser(provider, claims) {
+        const linked = await User.findOne({ identities: { $elemMatch: { provider, subject: claims.sub } } });
+
+        if (linked) {
+            if (!linked.isActive) {
+                throw new ApiError(403, 'this account is deactivated');
+            }
+            return linked;
+        }
+
+        const email = claims.email?.trim().toLowerCase();
+        const emailVerified = claims.email_verified === true || claims.email_verified === 'true';
+
+        if (!email) {
+            throw new ApiError(400, 'the identity provider did not share an email address');
+        }
+
+        const identity = { provider, subject: claims.sub, email };
+        const existing = await User.findOne({ email });
+
+        if (existing) {
+            // linking on an email nobody proved to own would hand the account over,
+            // accounts marked verified by the rollout migration have no emailVerifiedAt
+            if (!emailVerified || !existing.isVerified || !existing.emailVerifiedAt) {
+                throw new ApiError(409, 'an account with this email already exists, sign in with your password to use it');
+            }
+            if (!existing.isActive) {
+                throw new ApiError(403, 'this account is deactivated');
+            }
+
+            existing.identities.push(identity);
+            await existing.save({ validateBeforeSave: false });
+
+            return existing;
+        }
+
+        return await User.create({
+            username: await this.generateUsername(claims.preferred_username || email.split('@')[0]),
+            fullName: (claims.name || [claims.given_name, claims.family_name].filter(Boolean).join(' ') || email.split('@')[0]).slice(0, 100),
+            email,
+            avatar: claims.picture || DEFAULT_AVATAR_URL,
+            identities: [identity],
+            isVerified: emailVerified,
+            emailVerifiedAt: emailVerified ? new Date() : undefined
+        });
+    }
+
+    /**
+     * Free username based on a name from the provider, with a random suffix when taken
+     */
+    static async generateUsername(base) {
+        const cleaned = String(base).toLowerCase().replace(/[^a-z0-9_.]/g, '').slice(0, 20);
+        const stem = cleaned.length >= 3 ? cleaned : `user${cleaned}`;
+
+        for (let attempt = 0; attempt < USERNAME_ATTEMPTS; attempt++) {
+            const username = attempt === 0 ? stem : `${stem}${crypto.randomInt(1000, 10000)}`;
+            if (!(await User.exists({ username }))) return username;
+        }
+
+        return `${stem}${crypto.randomBytes(4).toString('hex')}`;
+    }
+}
+
+export default OAuthService;
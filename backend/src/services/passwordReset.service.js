@@ -0,0 +1,84 @@
+import crypto from 'crypto';
+import { User } from '../models/user.model.js';
+import { ApiError } from '../utils/ApiError.js';
+import { appUrl } from '../utils/email/templates.js';
+import EmailService from './email.service.js';
+import SessionService from './session.service.js';
+
+const RESET_TOKEN_EXPIRY_MINUTES = Number(process.env.PASSWORD_RESET_EXPIRY_MINUTES) || 30;
+// A new reset email for the same account is not sent before this
+const RESET_REQUEST_INTERVAL_MS = 2 * 60 * 1000;
+const MIN_PASSWORD_LENGTH = 8;
+
+export const PASSWORD_RESET_EMAIL_JOB = 'email.passwordReset';
+
+class PasswordResetService {
+    /**
+     * Queue a reset email for this address. Nothing is looked up here, the
+     * request takes the same time whether or not an account uses the address,
+     * so the endpoint cannot be used to find out which emails are registered.
+     */
+    static async requestReset(email) {
+        await EmailService.enqueueJob(PASSWORD_RESET_EMAIL_JOB, { email: String(email).trim().toLowerCase() });
+    }
+
+    /**
+     * Job handler: email a reset link if an active account uses the address.
+     * The token is created here, so the link is never stored in the job.
+     * A retry creates a new token, replacing the one of the failed attempt.
+     * @param {Object} payload - { email }
+     * @param {Object} job - the queued job, retries skip the request interval
+     */
+    static async sendResetEmail({ email }, job = {}) {
+        const user = await User.findOne({ email, isActive: true }).select('+passwordResetRequestedAt');
+
+        if (!user) return;
+
+        const isRetry = job.attempts > 1;
+        if (!isRetry && user.passwordResetRequestedAt && Date.now() - user.passwordResetRequestedAt.getTime() < RESET_REQUEST_INTERVAL_MS) {
+            return;
+        }
+
+        const token = user.createPasswordResetToken(RESET_TOKEN_EXPIRY_MINUTES);
+        await user.save({ validateBeforeSave: false });
+
+        await EmailService.sendTemplate(user.email, 'passwordReset', {
+            username: user.username,
+            url: appUrl(`/reset-password?token=${encodeURIComponent(token)}`),
+            expiresInMinutes: RESET_TOKEN_EXPIRY_MINUTES
+        });
+    }
+
+    /**
+     * Set a new password with a reset token. The token is consumed before the
+     * password changes, so two requests with it cannot both succeed.
+     * Every session of the user is revoked.
+     */
+    static async resetPassword(token, newPassword) {
+        if (typeof newPassword !== 'string' || newPassword.length < MIN_PASSWORD_LENGTH) {
+            throw new ApiError(400, `password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+        }
+
+        const tokenHash = crypto.createHash('sha256').update(String(token)).digest('hex');
+
+        const user = await User.findOneAndUpdate(
+            { passwordResetTokenHash: tokenHash, passwordResetExpiresAt: { $gt: new Date() } },
+            { $unset: { passwordResetTokenHash: 1, passwordResetExpiresAt: 1, passwordResetRequestedAt: 1 } },
+            { new: true }
+        );
+
+        if (!user) {
+            throw new ApiError(400, 'reset link is invalid or has expired');
+        }
+
+        user.password = newPassword;
+        user.passwordChangedAt = new Date();
+        await user.save({ validateBeforeSave: false });
+
+        await SessionService.revokeAll(user._id, 'password_reset');
+
+        return user;
+    }
+}
+
+export default PasswordResetService;
@@ -0,0 +1,103 @@
+import { EventEmitter } from 'events';
+import { RealtimeEvent } from '../models/realtimeEvent.model.js';
+
+// Events go through a capped collection every API instance tails, so events
+// published by the worker (notification fan-out) or another instance reach
+// the streams of every instance, including the one that published them.
+const TAIL_RETRY_DELAY_MS = 1000;
+
+const emitter = new EventEmitter();
+// one listener per open stream and channel
+emitter.setMaxListeners(0);
+
+let tailing = false;
+let tailCursor = null;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+class RealtimeService {
+    static userChannel(userId) {
+        return `user:${userId}`;
+    }
+
+    static videoChannel(videoId) {
+        return `video:${videoId}`;
+    }
+
+    /**
+     * Send an event to every client listening on a channel.
+     * Delivery is best effort and never fails the caller.
+     * @param {string} channel - from userChannel or videoChannel
+     * @param {string} event - event name sent to the client
+     * @param {Object} data - JSON serializable payload
+     */
+    static async publish(channel, event, data) {
+        try {
+            await RealtimeEvent.create({ channel, event, data });
+        } catch (error) {
+            console.error(`Failed to publish ${event} on ${channel}:`, error.message);
+        }
+    }
+
+    /**
+     * Listen on several channels
+     * @param {string[]} channels
+     * @param {Function} listener - called with { event, data }
+     * @returns {Function} removes the listener from every channel
+     */
+    static subscribe(channels, listener) {
+        for (const channel of channels) {
+            emitter.on(channel, listener);
+        }
+
+        return () => {
+            for (const channel of channels) {
+                emitter.off(channel, listener);
+            }
+        };
+    }
+
+    /**
+     * Start relaying published events to the streams of this instance.
+     * Called once the database is connected.
+     */
+    static start() {
+        if (tailing) return;
+
+        tailing = true;
+        this.tailEvents();
+    }
+
+    static async stop() {
+        tailing = false;
+        await tailCursor?.close();
+    }
+
+    /**
+     * Tail the capped collection and emit its events locally. A tailable cursor
+     * dies on an empty collection or a dropped connection, it is reopened after
+     * the last event seen.
+     */
+    static async tailEvents() {
+        const startedAt = new Date();
+        let lastId = null;
+
+        while (tailing) {
+            try {
+                const filter = lastId ? { _id: { $gt: lastId } } : { createdAt: { $gte: startedAt } };
+                tailCursor = RealtimeEvent.find(filter).tailable(true, { awaitData: true }).lean().cursor();
+
+                for await (const { _id, channel, event, data } of tailCursor) {
+                    lastId = _id;
+                    emitter.emit(channel, { event, data });
+                }
+            } catch (error) {
+                if (tailing) console.error('Realtime event tail failed:', error.message);
+            }
+
+            await sleep(TAIL_RETRY_DELAY_MS);
+        }
+    }
+}
+
+export default RealtimeService;
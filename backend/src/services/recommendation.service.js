@@ -0,0 +1,320 @@
+import mongoose from 'mongoose';
+import { Video } from '../models/video.model.js';
+import { WatchHistory } from '../models/watchHistory.model.js';
+import { Subscription } from '../models/subscription.model.js';
+import { Playlist } from '../models/playlist.model.js';
+import { listedVideoMatch } from '../utils/videoVisibility.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// How much each signal weighs in the final score, every signal is scaled to 0..1
+const WEIGHTS = {
+    subscription: 3,
+    category: 1.5,
+    tags: 2,
+    coWatch: 2.5,
+    freshness: 1,
+    popularity: 0.5
+};
+
+const HISTORY_SAMPLE_SIZE = 200; // latest watches used to build the profile
+const CO_WATCH_SEED_SIZE = 50; // latest watches used to find similar viewers
+const CO_WATCH_USER_LIMIT = 200;
+const CANDIDATES_PER_SOURCE = 200;
+const SUBSCRIPTION_WINDOW_DAYS = 30;
+const FRESHNESS_HALF_LIFE_DAYS = 7;
+// The feed is ranked once per request, pages beyond this are empty
+export const MAX_FEED_SIZE = 500;
+
+// Weights of the "up next" list, every signal is scaled to 0..1
+const RELATED_WEIGHTS = {
+    tags: 3,
+    category: 1,
+    sameOwner: 1.5,
+    playlist: 2,
+    coWatch: 2.5,
+    popularity: 0.5
+};
+export const MAX_RELATED_VIDEOS = 50;
+
+const toTopKeys = (counts, size) =>
+    [...counts.entries()].sort((a, b) => b[1] - a[1]).slice(0, size).map(([key]) => key);
+
+class RecommendationService {
+    /**
+     * What the user watches: watched video ids and normalized category/tag affinities
+     */
+    static async getUserProfile(userId) {
+        const history = await WatchHistory.find({ user: userId })
+            .sort({ updatedAt: -1 })
+            .limit(HISTORY_SAMPLE_SIZE)
+            .populate({ path: 'video', select: 'category tags owner' })
+            .lean();
+
+        const categoryCounts = new Map();
+        const tagCounts = new Map();
+
+        for (const { video, watchProgress } of history) {
+            if (!video) continue;
+            // a video watched to the end says more than one closed after a few seconds
+            const weight = 0.5 + (watchProgress || 0) / 200;
+
+            categoryCounts.set(video.category, (categoryCounts.get(video.category) || 0) + weight);
+            for (const tag of video.tags || []) {
+                tagCounts.set(tag, (tagCounts.get(tag) || 0) + weight);
+            }
+        }
+
+        const maxCategory = Math.max(0, ...categoryCounts.values());
+        const maxTag = Math.max(0, ...tagCounts.values());
+
+        return {
+            watchedIds: history.map((entry) => entry.video?._id ?? entry.video).filter(Boolean),
+            recentIds: history.slice(0, CO_WATCH_SEED_SIZE).map((entry) => entry.video?._id ?? entry.video).filter(Boolean),
+            categories: new Map([...categoryCounts].map(([key, count]) => [key, count / maxCategory])),
+            tags: new Map([...tagCounts].map(([key, count]) => [key, count / maxTag])),
+            topCategories: toTopKeys(categoryCounts, 5),
+            topTags: toTopKeys(tagCounts, 20)
+        };
+    }
+
+    /**
+     * Videos watched by users who watched the same videos, with how many of them did
+     * @param {string|null} userId - viewer left out of the similar users, null when anonymous
+     * @returns {Promise<Map<string, number>>} video id -> normalized co-watch strength
+     */
+    static async getCoWatchScores(userId, seedVideoIds, excludeIds = []) {
+        if (seedVideoIds.length === 0) return new Map();
+
+        const neighbourMatch = { video: { $in: seedVideoIds } };
+        if (userId) neighbourMatch.user = { $ne: new mongoose.Types.ObjectId(userId) };
+
+        const neighbours = await WatchHistory.aggregate([
+            { $match: neighbourMatch },
+            { $group: { _id: '$user', overlap: { $sum: 1 } } },
+            { $sort: { overlap: -1 } },
+            { $limit: CO_WATCH_USER_LIMIT }
+        ]);
+
+        if (neighbours.length === 0) return new Map();
+
+        const coWatched = await WatchHistory.aggregate([
+            {
+                $match: {
+                    user: { $in: neighbours.map((neighbour) => neighbour._id) },
+                    video: { $nin: [...seedVideoIds, ...excludeIds] }
+                }
+            },
+            { $group: { _id: '$video', viewers: { $sum: 1 } } },
+            { $sort: { viewers: -1 } },
+            { $limit: CANDIDATES_PER_SOURCE }
+        ]);
+
+        const maxViewers = coWatched[0]?.viewers || 1;
+
+        return new Map(coWatched.map(({ _id, viewers }) => [_id.toString(), viewers / maxViewers]));
+    }
+
+    /**
+     * Gather candidates from every source, without ranking them
+     */
+    static async getCandidates(channelIds, profile, coWatchScores) {
+        const baseMatch = { ...listedVideoMatch(), _id: { $nin: profile.watchedIds } };
+        const fields = 'owner category tags views likeCount publishedAt';
+        const find = (match, sort) =>
+            Video.find({ ...baseMatch, ...match }).sort(sort).limit(CANDIDATES_PER_SOURCE).select(fields).lean();
+
+        const sources = await Promise.all([
+            channelIds.length > 0
+                ? find(
+                    { owner: { $in: channelIds }, publishedAt: { $gte: new Date(Date.now() - SUBSCRIPTION_WINDOW_DAYS * DAY_MS) } },
+                    { publishedAt: -1 }
+                )
+                : [],
+            profile.topCategories.length > 0 || profile.topTags.length > 0
+                ? find(
+                    { $or: [{ category: { $in: profile.topCategories } }, { tags: { $in: profile.topTags } }] },
+                    { publishedAt: -1 }
+                )
+                : [],
+            coWatchScores.size > 0
+                ? find({ _id: { $in: [...coWatchScores.keys()].map((id) => new mongoose.Types.ObjectId(id)) } }, { views: -1 })
+                : [],
+            // popular videos keep the feed full for new users
+            find({}, { views: -1 })
+        ]);
+
+        // the same video can come from several sources, keep one
+        const candidates = new Map();
+        for (const video of sources.flat()) {
+            candidates.set(video._id.toString(), video);
+        }
+
+        return [...candidates.values()];
+    }
+
+    static scoreVideo(video, { channelIds, profile, coWatchScores, maxViews }) {
+        const ageDays = Math.max(0, (Date.now() - new Date(video.publishedAt).getTime()) / DAY_MS);
+        const tagAffinity = (video.tags || []).reduce(
+            (best, tag) => Math.max(best, profile.tags.get(tag) || 0),
+            0
+        );
+
+        const signals = {
+            subscription: channelIds.has(video.owner.toString()) ? 1 : 0,
+            category: profile.categories.get(video.category) || 0,
+            tags: tagAffinity,
+            coWatch: coWatchScores.get(video._id.toString()) || 0,
+            freshness: Math.pow(0.5, ageDays / FRESHNESS_HALF_LIFE_DAYS),
+            popularity: maxViews > 0 ? Math.log10(1 + (video.views || 0)) / Math.log10(1 + maxViews) : 0
+        };
+
+        return Object.entries(WEIGHTS).reduce((score, [signal, weight]) => score + weight * signals[signal], 0);
+    }
+
+    /**
+     * Videos saved in the same playlists as a video, with how many playlists they share
+     * @returns {Promise<Map<string, number>>} video id -> normalized co-occurrence
+     */
+    static async getPlaylistCoOccurrence(videoId) {
+        const coOccurring = await Playlist.aggregate([
+            { $match: { videos: videoId } },
+            { $unwind: '$videos' },
+            { $match: { videos: { $ne: videoId } } },
+            { $group: { _id: '$videos', playlists: { $sum: 1 } } },
+            { $sort: { playlists: -1 } },
+            { $limit: CANDIDATES_PER_SOURCE }
+        ]);
+
+        const maxPlaylists = coOccurring[0]?.playlists || 1;
+
+        return new Map(coOccurring.map(({ _id, playlists }) => [_id.toString(), playlists / maxPlaylists]));
+    }
+
+    /**
+     * "Up next" videos for a video, ranked by shared tags, category, owner,
+     * playlist co-occurrence and co-watch. Videos the viewer completed are left out.
+     * @param {Object} video - the video being watched, already checked as viewable
+     * @param {string|null} viewerId - null when anonymous
+     * @param {number} limit
+     */
+    static async getRelatedVideos(video, viewerId, limit = 20) {
+        const [playlistScores, coWatchScores] = await Promise.all([
+            this.getPlaylistCoOccurrence(video._id),
+            this.getCoWatchScores(viewerId, [video._id])
+        ]);
+
+        const baseMatch = { ...listedVideoMatch(), _id: { $ne: video._id } };
+        const fields = 'owner category tags views';
+        const find = (match, sort, size = CANDIDATES_PER_SOURCE) =>
+            Video.find({ ...baseMatch, ...match }).sort(sort).limit(size).select(fields).lean();
+        const toObjectIds = (scores) => [...scores.keys()].map((id) => new mongoose.Types.ObjectId(id));
+
+        const sources = await Promise.all([
+            video.tags?.length > 0 ? find({ tags: { $in: video.tags } }, { views: -1 }) : [],
+            find({ category: video.category }, { views: -1 }, 100),
+            find({ owner: video.owner?._id ?? video.owner }, { publishedAt: -1 }, 50),
+            playlistScores.size > 0 ? find({ _id: { $in: toObjectIds(playlistScores) } }, { views: -1 }) : [],
+            coWatchScores.size > 0 ? find({ _id: { $in: toObjectIds(coWatchScores) } }, { views: -1 }) : []
+        ]);
+
+        const candidates = new Map();
+        for (const candidate of sources.flat()) {
+            candidates.set(candidate._id.toString(), candidate);
+        }
+
+        if (viewerId && candidates.size > 0) {
+            const completedIds = await WatchHistory.find({
+                user: viewerId,
+                isCompleted: true,
+                video: { $in: [...candidates.values()].map((candidate) => candidate._id) }
+            }).distinct('video');
+
+            for (const id of completedIds) candidates.delete(id.toString());
+        }
+
+        const sourceTags = new Set(video.tags || []);
+        const ownerId = (video.owner?._id ?? video.owner).toString();
+        const maxViews = Math.max(0, ...[...candidates.values()].map((candidate) => candidate.views || 0));
+
+        const ranked = [...candidates.values()]
+            .map((candidate) => {
+                const tags = candidate.tags || [];
+                const sharedTags = tags.filter((tag) => sourceTags.has(tag)).length;
+                const allTags = new Set([...sourceTags, ...tags]).size;
+                const id = candidate._id.toString();
+
+                const signals = {
+                    tags: allTags > 0 ? sharedTags / allTags : 0,
+                    category: candidate.category === video.category ? 1 : 0,
+                    sameOwner: candidate.owner.toString() === ownerId ? 1 : 0,
+                    playlist: playlistScores.get(id) || 0,
+                    coWatch: coWatchScores.get(id) || 0,
+                    popularity: maxViews > 0 ? Math.log10(1 + (candidate.views || 0)) / Math.log10(1 + maxViews) : 0
+                };
+
+                const score = Object.entries(RELATED_WEIGHTS)
+                    .reduce((total, [signal, weight]) => total + weight * signals[signal], 0);
+
+                return { id, score };
+            })
+            .sort((a, b) => b.score - a.score)
+            .slice(0, limit);
+
+        const videos = await Video.find({ _id: { $in: ranked.map((item) => item.id) } })
+            .populate('owner', 'username avatar')
+            .lean();
+        const videosById = new Map(videos.map((item) => [item._id.toString(), item]));
+
+        return ranked
+            .filter((item) => videosById.has(item.id))
+            .map((item) => ({ ...videosById.get(item.id), score: item.score }));
+    }
+
+    /**
+     * Ranked and deduplicated home feed of a user
+     * @param {string} userId
+     * @param {Object} pagination - { page, limit }
+     */
+    static async getHomeFeed(userId, { page, limit }) {
+        const [channelIds, profile] = await Promise.all([
+            Subscription.find({ subscriber: userId, status: 'active' }).distinct('channel'),
+            this.getUserProfile(userId)
+        ]);
+
+        const coWatchScores = await this.getCoWatchScores(userId, profile.recentIds, profile.watchedIds);
+        const candidates = await this.getCandidates(channelIds, profile, coWatchScores);
+
+        const context = {
+            channelIds: new Set(channelIds.map((id) => id.toString())),
+            profile,
+            coWatchScores,
+            maxViews: Math.max(0, ...candidates.map((video) => video.views || 0))
+        };
+
+        const ranked = candidates
+            .map((video) => ({ id: video._id, score: this.scoreVideo(video, context) }))
+            .sort((a, b) => b.score - a.score)
+            .slice(0, MAX_FEED_SIZE);
+
+        const pageItems = ranked.slice((page - 1) * limit, page * limit);
+
+        const videos = await Video.find({ _id: { $in: pageItems.map((item) => item.id) } })
+            .populate('owner', 'username avatar')
+            .lean();
+        const videosById = new Map(videos.map((video) => [video._id.toString(), video]));
+
+        return {
+            docs: pageItems
+                .filter((item) => videosById.has(item.id.toString()))
+                .map((item) => ({ ...videosById.get(item.id.toString()), score: item.score })),
+            totalDocs: ranked.length,
+            page,
+            limit,
+            totalPages: Math.ceil(ranked.length / limit),
+            hasNextPage: page * limit < ranked.length
+        };
+    }
+}
+
+export default RecommendationService;
@@ -0,0 +1,124 @@
+import { User } from '../models/user.model.js';
+import { RoleAuditLog } from '../models/roleAuditLog.model.js';
+import { ApiError } from '../utils/ApiError.js';
+import { PERMISSIONS, ROLES } from '../constants.js';
+
+const ALL_PERMISSIONS = Object.values(PERMISSIONS);
+
+class RoleService {
+    /**
+     * Give a user another role, recording who changed it and why.
+     * Admins cannot change their own role, so the last admin cannot lock everyone out.
+     * @param {Object} actor - admin making the change
+     * @param {string} userId - user whose role changes
+     * @param {Object} change - { role, reason, ip }
+     * @returns {Promise<Object>} the user
+     */
+    static async setRole(actor, userId, { role, reason, ip }) {
+        if (!ROLES.includes(role)) {
+            throw new ApiError(400, `role must be one of ${ROLES.join(', ')}`);
+        }
+
+        if (actor._id.toString() === userId.toString()) {
+            throw new ApiError(400, 'you cannot change your own role');
+        }
+
+        const user = await User.findById(userId).select('username role permissions');
+        if (!user) {
+            throw new ApiError(404, 'user not found');
+        }
+
+        if (user.role === role) return user;
+
+        const fromRole = user.role;
+        user.role = role;
+        await user.save({ validateBeforeSave: false });
+
+        await RoleAuditLog.create({
+            actor: actor._id,
+            target: user._id,
+            change: 'role',
+            fromRole,
+            toRole: role,
+            reason,
+            ip
+        });
+
+        return user;
+    }
+
+    /**
+     * Grant and revoke permissions a user has on top of their role
+     * @param {Object} change - { grant, revoke, reason, ip }, grant and revoke are permission lists
+     */
+    static async updatePermissions(actor, userId, { grant = [], revoke = [], reason, ip }) {
+        if (!Array.isArray(grant) || !Array.isArray(revoke)) {
+            throw new ApiError(400, 'grant and revoke must be lists of permissions');
+        }
+
+        const unknown = [...grant, ...revoke].filter((permission) => !ALL_PERMISSIONS.includes(permission));
+        if (unknown.length) {
+            throw new ApiError(400, `unknown permissions: ${unknown.join(', ')}`);
+        }
+
+        if (actor._id.toString() === userId.toString()) {
+            throw new ApiError(400, 'you cannot change your own permissions');
+        }
+
+        const user = await User.findById(userId).select('username role permissions');
+        if (!user) {
+            throw new ApiError(404, 'user not found');
+        }
+
+        const current = user.permissions || [];
+        const granted = [...new Set(grant)].filter((permission) => !current.includes(permission));
+        const revoked = [...new Set(revoke)].filter((permission) => current.includes(permission) && !grant.includes(permission));
+
+        if (!granted.length && !revoked.length) return user;
+
+        user.permissions = [...current.filter((permission) => !revoked.includes(permission)), ...granted];
+        await user.save({ validateBeforeSave: false });
+
+        await RoleAuditLog.create({
+            actor: actor._id,
+            target: user._id,
+            change: 'permissions',
+            grantedPermissions: granted,
+            revokedPermissions: revoked,
+            reason,
+            ip
+        });
+
+        return user;
+    }
+
+    /**
+     * Role changes, newest first
+     * @param {Object} options - { page, limit, userId }, userId limits it to changes of one user
+     */
+    static async getAuditLog({ page, limit, userId }) {
+        const filter = userId ? { target: userId } : {};
+
+        const [docs, totalDocs] = await Promise.all([
+            RoleAuditLog.find(filter)
+                .sort({ createdAt: -1, _id: -1 })
+                .skip((page - 1) * limit)
+                .limit(limit)
+                .populate('actor', 'username fullName')
+                .populate('target', 'username fullName')
+                .lean(),
+            RoleAuditLog.countDocuments(filter)
+        ]);
+
+        return {
+            docs,
+            totalDocs,
+            page,
+            limit,
+            totalPages: Math.ceil(totalDocs / limit),
+            hasNextPage: page * limit < totalDocs
+        };
+    }
+}
+
+export default RoleService;
@@ -0,0 +1,232 @@
+import { Video } from '../models/video.model.js';
+import { User } from '../models/user.model.js';
+import { Tweet } from '../models/tweet.model.js';
+import { ApiError } from '../utils/ApiError.js';
+import { listedVideoMatch } from '../utils/videoVisibility.js';
+import { getSearchTerms, highlight } from '../utils/search.js';
+
+export const SEARCH_TYPES = ['all', 'video', 'channel', 'tweet'];
+
+// How much popularity counts next to text relevance, 0 ranks on text score only
+const POPULARITY_WEIGHT = Number(process.env.SEARCH_POPULARITY_WEIGHT ?? 0.25);
+
+const UPLOAD_DATE_WINDOWS = {
+    hour: 60 * 60 * 1000,
+    today: 24 * 60 * 60 * 1000,
+    week: 7 * 24 * 60 * 60 * 1000,
+    month: 30 * 24 * 60 * 60 * 1000,
+    year: 365 * 24 * 60 * 60 * 1000
+};
+
+// Duration buckets in seconds, same split as most video sites
+const DURATION_RANGES = {
+    short: { $lt: 4 * 60 },
+    medium: { $gte: 4 * 60, $lte: 20 * 60 },
+    long: { $gt: 20 * 60 }
+};
+
+// text score * (1 + weight * log10(1 + popularity))
+const rankStage = (popularity) => ({
+    $addFields: {
+        score: {
+            $multiply: [
+                { $meta: 'textScore' },
+                { $add: [1, { $multiply: [POPULARITY_WEIGHT, { $log10: { $add: [1, popularity] } }] }] }
+            ]
+        }
+    }
+});
+
+// one page of results and the total count in a single round trip
+const pageStage = (page, limit) => ({
+    $facet: {
+        docs: [{ $skip: (page - 1) * limit }, { $limit: limit }],
+        total: [{ $count: 'count' }]
+    }
+});
+
+const toPage = ([result], page, limit) => {
+    const totalDocs = result.total[0]?.count || 0;
+
+    return {
+        docs: result.docs,
+        totalDocs,
+        page,
+        limit,
+        totalPages: Math.ceil(totalDocs / limit),
+        hasNextPage: page * limit < totalDocs
+    };
+};
+
+class SearchService {
+    /**
+     * Validate the filters of a search request
+     * @param {Object} query - req.query
+     * @returns {{type: string, category?: string, uploadDate?: string, duration?: string}}
+     */
+    static parseFilters(query) {
+        const { type = 'all', category, uploadDate, duration } = query;
+
+        if (!SEARCH_TYPES.includes(type)) {
+            throw new ApiError(400, `type must be one of ${SEARCH_TYPES.join(', ')}`);
+        }
+
+        const categories = Video.schema.path('category').enumValues;
+        if (category && !categories.includes(category)) {
+            throw new ApiError(400, `category must be one of ${categories.join(', ')}`);
+        }
+
+        if (uploadDate && !UPLOAD_DATE_WINDOWS[uploadDate]) {
+            throw new ApiError(400, `uploadDate must be one of ${Object.keys(UPLOAD_DATE_WINDOWS).join(', ')}`);
+        }
+
+        if (duration && !DURATION_RANGES[duration]) {
+            throw new ApiError(400, `duration must be one of ${Object.keys(DURATION_RANGES).join(', ')}`);
+        }
+
+        return { type, category, uploadDate, duration };
+    }
+
+    /**
+     * Public videos matching the query, ranked by text score blended with views and likes
+     */
+    static async searchVideos(query, filters, { page, limit }) {
+        const matchStage = { $text: { $search: query }, ...listedVideoMatch() };
+
+        if (filters.category) matchStage.category = filters.category;
+        if (filters.duration) matchStage.duration = DURATION_RANGES[filters.duration];
+        if (filters.uploadDate) {
+            matchStage.publishedAt = { $gte: new Date(Date.now() - UPLOAD_DATE_WINDOWS[filters.uploadDate]) };
+        }
+
+        const result = await Video.aggregate([
+            { $match: matchStage },
+            rankStage({ $add: [{ $ifNull: ['$views', 0] }, { $multiply: [2, { $ifNull: ['$likeCount', 0] }] }] }),
+            { $sort: { score: -1, _id: -1 } },
+            pageStage(page, limit)
+        ]);
+
+        const videos = toPage(result, page, limit);
+        videos.docs = await Video.populate(videos.docs, { path: 'owner', select: 'username avatar' });
+
+        const terms = getSearchTerms(query);
+        videos.docs = videos.docs.map((video) => ({
+            _id: video._id,
+            title: video.title,
+            description: video.description,
+            thumbnail: video.thumbnail,
+            duration: video.duration,
+            views: video.views,
+            likeCount: video.likeCount,
+            category: video.category,
+            tags: video.tags,
+            publishedAt: video.publishedAt,
+            owner: video.owner,
+            score: video.score,
+            highlights: {
+                title: highlight(video.title, terms),
+                description: highlight(video.description, terms)
+            }
+        }));
+
+        return videos;
+    }
+
+    /**
+     * Active channels matching username or full name, ranked with subscriber count
+     */
+    static async searchChannels(query, filters, { page, limit }) {
+        const result = await User.aggregate([
+            { $match: { $text: { $search: query }, isActive: true } },
+            rankStage({ $ifNull: ['$subscriberCount', 0] }),
+            { $sort: { score: -1, _id: -1 } },
+            pageStage(page, limit)
+        ]);
+
+        const channels = toPage(result, page, limit);
+
+        const terms = getSearchTerms(query);
+        channels.docs = channels.docs.map((channel) => ({
+            _id: channel._id,
+            username: channel.username,
+            fullName: channel.fullName,
+            avatar: channel.avatar,
+            subscriberCount: channel.subscriberCount,
+            videoCount: channel.videoCount,
+            score: channel.score,
+            highlights: {
+                username: highlight(channel.username, terms),
+                fullName: highlight(channel.fullName, terms)
+            }
+        }));
+
+        return channels;
+    }
+
+    /**
+     * Tweets matching the query, newest first among equally relevant ones
+     */
+    static async searchTweets(query, filters, { page, limit }) {
+        const matchStage = { $text: { $search: query } };
+
+        if (filters.uploadDate) {
+            matchStage.createdAt = { $gte: new Date(Date.now() - UPLOAD_DATE_WINDOWS[filters.uploadDate]) };
+        }
+
+        const result = await Tweet.aggregate([
+            { $match: matchStage },
+            { $addFields: { score: { $meta: 'textScore' } } },
+            { $sort: { score: -1, createdAt: -1 } },
+            pageStage(page, limit)
+        ]);
+
+        const tweets = toPage(result, page, limit);
+        tweets.docs = await Tweet.populate(tweets.docs, { path: 'owner', select: 'username avatar' });
+
+        const terms = getSearchTerms(query);
+        tweets.docs = tweets.docs.map((tweet) => ({
+            _id: tweet._id,
+            content: tweet.content,
+            owner: tweet.owner,
+            createdAt: tweet.createdAt,
+            score: tweet.score,
+            highlights: {
+                content: highlight(tweet.content, terms, 280)
+            }
+        }));
+
+        return tweets;
+    }
+
+    /**
+     * Search every requested type, each one paginated on its own
+     * @param {string} query - normalized search text
+     * @param {Object} filters - result of parseFilters
+     * @param {Object} pagination - { page, limit }
+     * @returns {Promise<{videos?: Object, channels?: Object, tweets?: Object}>}
+     */
+    static async search(query, filters, pagination) {
+        // when searching everything, filters that do not apply to a type leave it out,
+        // a single requested type just ignores them
+        const isAll = filters.type === 'all';
+        const videoOnly = Boolean(filters.category || filters.duration);
+        const wantsVideos = isAll || filters.type === 'video';
+        const wantsChannels = filters.type === 'channel' || (isAll && !videoOnly && !filters.uploadDate);
+        const wantsTweets = filters.type === 'tweet' || (isAll && !videoOnly);
+
+        const [videos, channels, tweets] = await Promise.all([
+            wantsVideos ? this.searchVideos(query, filters, pagination) : null,
+            wantsChannels ? this.searchChannels(query, filters, pagination) : null,
+            wantsTweets ? this.searchTweets(query, filters, pagination) : null
+        ]);
+
+        const results = {};
+        if (videos) results.videos = videos;
+        if (channels) results.channels = channels;
+        if (tweets) results.tweets = tweets;
+
+        return results;
+    }
+}
+
+export default SearchService;
@@ -0,0 +1,102 @@
+import { Video } from '../models/video.model.js';
+import { User } from '../models/user.model.js';
+import { SearchQuery } from '../models/searchQuery.model.js';
+import { ApiError } from '../utils/ApiError.js';
+import { listedVideoMatch } from '../utils/videoVisibility.js';
+import { escapeRegExp } from '../utils/search.js';
+
+const LOCALE_PATTERN = /^[A-Za-z]{2,3}(-[A-Za-z0-9]{2,8})?$/;
+// Searches a query needs before it is suggested to others, rare or mistyped queries never are
+const MIN_SUGGESTED_QUERY_COUNT = Number(process.env.SEARCH_SUGGESTION_MIN_COUNT) || 3;
+
+class SearchSuggestionService {
+    /**
+     * Region and language of a search, from the query string or the user's channel settings.
+     * Values follow Video.region and Video.language.
+     * @returns {{region: string, language: string}}
+     */
+    static resolveLocale(query, user) {
+        const region = query.region || user?.preferences?.channel?.country || 'US';
+        const language = query.language || user?.preferences?.channel?.language || 'en';
+
+        if (!LOCALE_PATTERN.test(region) || !LOCALE_PATTERN.test(language)) {
+            throw new ApiError(400, 'region and language must be short codes like US or en');
+        }
+
+        return { region: region.toUpperCase(), language: language.toLowerCase() };
+    }
+
+    /**
+     * Log a search from the search endpoint. Logging never fails the search.
+     * Anonymous searches are not logged, they could be repeated to push a query.
+     * @param {string} query - normalized search text
+     * @param {Object} locale - result of resolveLocale
+     * @param {Object} results - result of SearchService.search
+     * @param {Object} user - req.user, may be undefined
+     */
+    static async recordSearch(query, locale, results, user) {
+        if (!user) return;
+
+        const resultCount = Object.values(results).reduce((total, section) => total + (section?.totalDocs || 0), 0);
+
+        try {
+            await SearchQuery.record(query, { ...locale, resultCount });
+        } catch (error) {
+            console.error(`Failed to record search query "${query}":`, error.message);
+        }
+    }
+
+    /**
+     * Typeahead suggestions for a prefix: queries of the locale searched at least
+     * MIN_SUGGESTED_QUERY_COUNT times that returned results, public video titles,
+     * tags and channel names
+     * @param {string} prefix - normalized text typed so far
+     * @param {Object} locale - result of resolveLocale
+     * @param {number} limit - suggestions per group
+     */
+    static async getSuggestions(prefix, locale, limit = 5) {
+        const lowerPrefix = prefix.toLowerCase();
+        // anchored regexes on lowercase fields can use their indexes
+        const startsWith = new RegExp(`^${escapeRegExp(lowerPrefix)}`);
+        const startsWithAnyCase = new RegExp(`^${escapeRegExp(prefix)}`, 'i');
+
+        const [queries, videos, tags, channels] = await Promise.all([
+            SearchQuery.find({
+                ...locale,
+                query: startsWith,
+                count: { $gte: MIN_SUGGESTED_QUERY_COUNT },
+                resultCount: { $gt: 0 }
+            })
+                .sort({ count: -1 })
+                .limit(limit)
+                .select('query count -_id')
+                .lean(),
+            Video.find({ ...listedVideoMatch(), title: startsWithAnyCase })
+                .sort({ views: -1 })
+                .limit(limit)
+                .select('title thumbnail')
+                .lean(),
+            Video.aggregate([
+                { $match: { ...listedVideoMatch(), tags: startsWith } },
+                { $unwind: '$tags' },
+                { $match: { tags: startsWith } },
+                { $group: { _id: '$tags', count: { $sum: 1 } } },
+                { $sort: { count: -1, _id: 1 } },
+                { $limit: limit },
+                { $project: { _id: 0, tag: '$_id', count: 1 } }
+            ]),
+            User.find({
+                isActive: true,
+                $or: [{ username: startsWith }, { fullName: startsWithAnyCase }]
+            })
+                .sort({ subscriberCount: -1 })
+                .limit(limit)
+                .select('username fullName avatar')
+                .lean()
+        ]);
+
+        return { queries, videos, tags, channels };
+    }
+}
+
+export default SearchSuggestionService;
@@ -0,0 +1,222 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import mongoose from 'mongoose';
+import { Session } from '../models/session.model.js';
+import { User } from '../models/user.model.js';
+import { ApiError } from '../utils/ApiError.js';
+
+// Two tabs refreshing at once both send the same token, the slower one
+// is turned away without treating it as a stolen token
+const REUSE_GRACE_MS = 10 * 1000;
+// lastUsedAt is written at most this often by authenticated requests
+const TOUCH_INTERVAL_MS = 5 * 60 * 1000;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// expiry of a token signed by generateRefreshToken
+const getTokenExpiry = (token) => new Date(jwt.decode(token).exp * 1000);
+
+const BROWSERS = [['Edg/', 'Edge'], ['OPR/', 'Opera'], ['Firefox/', 'Firefox'], ['Chrome/', 'Chrome'], ['Safari/', 'Safari']];
+const SYSTEMS = [['Android', 'Android'], ['iPhone', 'iOS'], ['iPad', 'iOS'], ['Windows', 'Windows'], ['Mac OS', 'macOS'], ['Linux', 'Linux']];
+
+/**
+ * Short device description from a user agent, e.g. "Chrome on Windows"
+ */
+const describeDevice = (userAgent = '') => {
+    const browser = BROWSERS.find(([token]) => userAgent.includes(token))?.[1];
+    const system = SYSTEMS.find(([token]) => userAgent.includes(token))?.[1];
+
+    if (!browser && !system) return 'Unknown device';
+
+    return [browser || 'Browser', system].filter(Boolean).join(' on ');
+};
+
+const getClientInfo = (req) => {
+    const userAgent = (req.get('user-agent') || '').slice(0, 512);
+
+    return { userAgent, device: describeDevice(userAgent), ip: req.ip };
+};
+
+class SessionService {
+    /**
+     * Start a session for a user who just logged in
+     * @param {Object} user - user document
+     * @param {Object} req - request, for the device, user agent and IP
+     * @returns {Promise<{accessToken: string, refreshToken: string, session: Object}>}
+     */
+    static async createSession(user, req) {
+        const sessionId = new mongoose.Types.ObjectId();
+        const accessToken = user.generateAccessToken(sessionId);
+        const refreshToken = user.generateRefreshToken(sessionId);
+
+        const session = await Session.create({
+            _id: sessionId,
+            user: user._id,
+            refreshTokenHash: hashToken(refreshToken),
+            expiresAt: getTokenExpiry(refreshToken),
+            ...getClientInfo(req)
+        });
+
+        return { accessToken, refreshToken, session };
+    }
+
+    /**
+     * Exchange a refresh token for a new pair. Presenting a token that was
+     * already rotated means it leaked, the whole session is revoked.
+     */
+    static async rotate(refreshToken, req) {
+        let payload;
+        try {
+            payload = jwt.verify(refreshToken, process.env.REFRESH_TOKEN_SECRET);
+        } catch (error) {
+            throw new ApiError(401, 'invalid refresh token');
+        }
+
+        const session = payload.sid && (await Session.findOne({ _id: payload.sid, user: payload._id }));
+
+        if (!session || session.revokedAt) {
+            throw new ApiError(401, 'session has ended, please log in again');
+        }
+
+        const tokenHash = hashToken(refreshToken);
+
+        if (tokenHash !== session.refreshTokenHash) {
+            const isRace = tokenHash === session.previousTokenHash && Date.now() - session.rotatedAt.getTime() < REUSE_GRACE_MS;
+
+            if (!isRace) {
+                await this.revoke(session, 'reuse_detected');
+                console.warn(`Refresh token reuse detected for session ${session._id} of user ${session.user}`);
+            }
+
+            throw new ApiError(401, 'refresh token is expired or used');
+        }
+
+        const user = await User.findById(session.user);
+        if (!user || !user.isActive) {
+            throw new ApiError(401, 'invalid refresh token');
+        }
+
+        const accessToken = user.generateAccessToken(session._id);
+        const newRefreshToken = user.generateRefreshToken(session._id);
+
+        // only one of two concurrent rotations can match the current hash
+        const rotated = await Session.findOneAndUpdate(
+            { _id: session._id, refreshTokenHash: tokenHash, revokedAt: { $exists: false } },
+            {
+                $set: {
+                    refreshTokenHash: hashToken(newRefreshToken),
+                    previousTokenHash: tokenHash,
+                    rotatedAt: new Date(),
+                    lastUsedAt: new Date(),
+                    expiresAt: getTokenExpiry(newRefreshToken),
+                    ...getClientInfo(req)
+                }
+            },
+            { new: true }
+        );
+
+        if (!rotated) {
+            throw new ApiError(401, 'refresh token is expired or used');
+        }
+
+        return { user, accessToken, refreshToken: newRefreshToken, session: rotated };
+    }
+
+    /**
+     * Whether an access token's session is still active, used on every
+     * authenticated request, which also keeps lastUsedAt roughly current
+     */
+    static async isActive(sessionId, userId) {
+        if (!sessionId || !mongoose.isValidObjectId(sessionId)) return false;
+
+        const session = await Session.findOne({ _id: sessionId, user: userId, revokedAt: { $exists: false } })
+            .select('lastUsedAt')
+            .lean();
+
+        if (!session) return false;
+
+        if (Date.now() - session.lastUsedAt.getTime() > TOUCH_INTERVAL_MS) {
+            await Session.updateOne({ _id: sessionId }, { $set: { lastUsedAt: new Date() } });
+        }
+
+        return true;
+    }
+
+    /**
+     * Time the user last logged in or reauthenticated in a session, null for an
+     * unknown or ended session
+     */
+    static async getAuthenticatedAt(sessionId, userId) {
+        if (!sessionId || !mongoose.isValidObjectId(sessionId)) return null;
+
+        const session = await Session.findOne({ _id: sessionId, user: userId, revokedAt: { $exists: false } })
+            .select('authenticatedAt')
+            .lean();
+
+        return session?.authenticatedAt ?? null;
+    }
+
+    static async markAuthenticated(sessionId, userId) {
+        await Session.updateOne(
+            { _id: sessionId, user: userId, revokedAt: { $exists: false } },
+            { $set: { authenticatedAt: new Date() } }
+        );
+    }
+
+    static async revoke(session, reason) {
+        return await Session.updateOne(
+            { _id: session._id, revokedAt: { $exists: false } },
+            { $set: { revokedAt: new Date(), revokedReason: reason } }
+        );
+    }
+
+    /**
+     * Revoke one session of a user, e.g. a lost device
+     */
+    static async revokeSession(userId, sessionId, reason = 'revoked') {
+        const { matchedCount } = await Session.updateOne(
+            { _id: sessionId, user: userId, revokedAt: { $exists: false } },
+            { $set: { revokedAt: new Date(), revokedReason: reason } }
+        );
+
+        if (!matchedCount) {
+            throw new ApiError(404, 'session not found');
+        }
+    }
+
+    /**
+     * Revoke every active session of a user
+     * @param {string} exceptSessionId - session left active, e.g. the one making the request
+     * @returns {Promise<number>} sessions revoked
+     */
+    static async revokeAll(userId, reason = 'logout_all', exceptSessionId) {
+        const filter = { user: userId, revokedAt: { $exists: false } };
+        if (exceptSessionId) {
+            filter._id = { $ne: exceptSessionId };
+        }
+
+        const { modifiedCount } = await Session.updateMany(
+            filter,
+            { $set: { revokedAt: new Date(), revokedReason: reason } }
+        );
+
+        return modifiedCount;
+    }
+
+    /**
+     * Active sessions of a user, most recently used first, flagging the one making the request
+     */
+    static async listSessions(userId, currentSessionId) {
+        const sessions = await Session.find({ user: userId, revokedAt: { $exists: false } })
+            .sort({ lastUsedAt: -1 })
+            .select('device userAgent ip lastUsedAt createdAt expiresAt')
+            .lean();
+
+        return sessions.map((session) => ({
+            ...session,
+            current: session._id.toString() === String(currentSessionId)
+        }));
+    }
+}
+
+export default SessionService;
@@ -0,0 +1,117 @@
+import mongoose from 'mongoose';
+import { Video } from '../models/video.model.js';
+import { Tweet } from '../models/tweet.model.js';
+import { User } from '../models/user.model.js';
+import { Subscription } from '../models/subscription.model.js';
+import { ApiError } from '../utils/ApiError.js';
+import { listedVideoMatch } from '../utils/videoVisibility.js';
+import { encodeCursor, decodeCursor, keysetMatch } from '../utils/pagination.js';
+
+class SubscriptionFeedService {
+    /**
+     * Channels whose posts show up in the feed, paused and cancelled subscriptions are left out
+     */
+    static async getFeedChannels(userId) {
+        return await Subscription.find({ subscriber: userId, status: 'active' }).distinct('channel');
+    }
+
+    /**
+     * Newest videos and tweets of the subscribed channels, one reverse-chronological timeline.
+     * Items are ordered by (date, _id) so the cursor is stable across both collections.
+     * @param {Object} user - req.user
+     * @param {Object} options - { cursor, limit }
+     * @returns {Promise<{items: Object[], nextCursor: string|null, lastSeenAt: Date|null, unseenCount?: number}>}
+     */
+    static async getFeed(user, { cursor, limit }) {
+        const channelIds = await this.getFeedChannels(user._id);
+
+        let after = null;
+        if (cursor) {
+            const { at, id } = decodeCursor(cursor);
+            if (!at || Number.isNaN(new Date(at).getTime()) || !mongoose.isValidObjectId(id)) {
+                throw new ApiError(400, 'invalid cursor');
+            }
+            after = { at: new Date(at), id: new mongoose.Types.ObjectId(id) };
+        }
+
+        const lastSeenAt = user.subscriptionsFeedSeenAt || null;
+
+        if (channelIds.length === 0) {
+            return { items: [], nextCursor: null, lastSeenAt };
+        }
+
+        const pageMatch = (field) => (after ? keysetMatch(field, after.at, after.id, -1) : {});
+
+        // one extra item per source tells whether there is a next page
+        const [videos, tweets] = await Promise.all([
+            Video.find({ ...listedVideoMatch(), owner: { $in: channelIds }, ...pageMatch('publishedAt') })
+                .sort({ publishedAt: -1, _id: -1 })
+                .limit(limit + 1)
+                .select('title description thumbnail duration views likeCount publishedAt owner')
+                .populate('owner', 'username avatar')
+                .lean(),
+            Tweet.find({ owner: { $in: channelIds }, ...pageMatch('createdAt') })
+                .sort({ createdAt: -1, _id: -1 })
+                .limit(limit + 1)
+                .populate('owner', 'username avatar')
+                .lean()
+        ]);
+
+        const merged = [
+            ...videos.map((video) => ({ type: 'video', at: video.publishedAt, video })),
+            ...tweets.map((tweet) => ({ type: 'tweet', at: tweet.createdAt, tweet }))
+        ].sort((a, b) => {
+            const byDate = new Date(b.at) - new Date(a.at);
+            if (byDate !== 0) return byDate;
+
+            const aId = (a.video || a.tweet)._id.toString();
+            const bId = (b.video || b.tweet)._id.toString();
+            return bId.localeCompare(aId);
+        });
+
+        const items = merged.slice(0, limit).map((item) => ({
+            ...item,
+            isNew: !lastSeenAt || new Date(item.at) > lastSeenAt
+        }));
+
+        const lastItem = items[items.length - 1];
+        const nextCursor = merged.length > limit && lastItem
+            ? encodeCursor({ at: new Date(lastItem.at).toISOString(), id: (lastItem.video || lastItem.tweet)._id.toString() })
+            : null;
+
+        const result = { items, nextCursor, lastSeenAt };
+
+        // the first page is what the user sees on opening the feed, older pages do not move the marker
+        if (!cursor) {
+            result.unseenCount = await this.countUnseen(channelIds, lastSeenAt);
+            if (items.length > 0) {
+                await this.markSeen(user._id, items[0].at);
+            }
+        }
+
+        return result;
+    }
+
+    static async countUnseen(channelIds, lastSeenAt) {
+        const since = lastSeenAt ? { $gt: lastSeenAt } : { $exists: true };
+
+        const [videoCount, tweetCount] = await Promise.all([
+            Video.countDocuments({ ...listedVideoMatch(), owner: { $in: channelIds }, publishedAt: since }),
+            Tweet.countDocuments({ owner: { $in: channelIds }, createdAt: since })
+        ]);
+
+        return videoCount + tweetCount;
+    }
+
+    /**
+     * Move the seen marker forward, never backwards
+     */
+    static async markSeen(userId, seenAt) {
+        return await User.updateOne(
+            { _id: userId },
+            { $max: { subscriptionsFeedSeenAt: new Date(seenAt) } }
+        );
+    }
+}
+
+export default SubscriptionFeedService;
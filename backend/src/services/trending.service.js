@@ -0,0 +1,158 @@
+import { Video } from '../models/video.model.js';
+import { TrendingSnapshot } from '../models/trendingSnapshot.model.js';
+import { ApiError } from '../utils/ApiError.js';
+import { listedVideoMatch } from '../utils/videoVisibility.js';
+import JobQueue from './jobQueue.service.js';
+
+export const TRENDING_REFRESH_JOB = 'trending.refresh';
+
+// Higher gravity makes older videos drop faster
+const TRENDING_GRAVITY = Number(process.env.TRENDING_GRAVITY) || 1.8;
+// Days of DailyAnalytics counted as recent engagement
+const TRENDING_WINDOW_DAYS = Number(process.env.TRENDING_WINDOW_DAYS) || 3;
+const REFRESH_INTERVAL_MS = Number(process.env.TRENDING_REFRESH_INTERVAL_MS) || 15 * 60 * 1000; // 15 minutes
+// Videos kept per list, also the largest limit a client can ask for
+export const TRENDING_SNAPSHOT_SIZE = 50;
+
+const REQUEST_TOUCH_INTERVAL_MS = 60 * 60 * 1000;
+
+class TrendingService {
+    /**
+     * Validate category and region of a trending request, null means every one
+     * @returns {{category: string|null, region: string|null}}
+     */
+    static parseFilters(query) {
+        const categories = Video.schema.path('category').enumValues;
+        const category = query.category || null;
+        const region = query.region ? String(query.region).toUpperCase() : null;
+
+        if (category && !categories.includes(category)) {
+            throw new ApiError(400, `category must be one of ${categories.join(', ')}`);
+        }
+        if (region && !/^[A-Z]{2,3}$/.test(region)) {
+            throw new ApiError(400, 'region must be a country code like US');
+        }
+
+        return { category, region };
+    }
+
+    static getSnapshotKey(category, region) {
+        return { category: category || 'all', region: region || 'all' };
+    }
+
+    /**
+     * Score the videos of one list and store it
+     */
+    static async computeSnapshot(category, region) {
+        const videos = await Video.getTrendingVideos(TRENDING_SNAPSHOT_SIZE, category, region, {
+            gravity: TRENDING_GRAVITY,
+            windowDays: TRENDING_WINDOW_DAYS
+        });
+
+        const now = new Date();
+
+        return await TrendingSnapshot.findOneAndUpdate(
+            this.getSnapshotKey(category, region),
+            {
+                $set: {
+                    videos: videos.map(({ _id, trendingScore, recentViews }) => ({ video: _id, trendingScore, recentViews })),
+                    generatedAt: now
+                },
+                $setOnInsert: { lastRequestedAt: now }
+            },
+            { upsert: true, new: true }
+        );
+    }
+
+    /**
+     * Trending videos from the cached list. A list requested for the first
+     * time is computed on the spot, the worker keeps it fresh afterwards.
+     * @param {Object} params - { category, region, limit }
+     */
+    static async getTrending({ category = null, region = null, limit = 20 }) {
+        const key = this.getSnapshotKey(category, region);
+        let snapshot = await TrendingSnapshot.findOne(key).lean();
+
+        if (!snapshot) {
+            try {
+                snapshot = await this.computeSnapshot(category, region);
+            } catch (error) {
+                // another request created the list at the same time, the unique key refused this one
+                if (error.code !== 11000) throw error;
+                snapshot = await TrendingSnapshot.findOne(key).lean();
+            }
+        } else if (Date.now() - snapshot.lastRequestedAt.getTime() > REQUEST_TOUCH_INTERVAL_MS) {
+            await TrendingSnapshot.updateOne(key, { lastRequestedAt: new Date() });
+        }
+
+        // the list can be up to a refresh old, videos made private or deleted since are skipped
+        const videos = await Video.find({
+            _id: { $in: snapshot.videos.map((item) => item.video) },
+            ...listedVideoMatch()
+        })
+            .populate('owner', 'username avatar')
+            .lean();
+
+        const videosById = new Map(videos.map((video) => [video._id.toString(), video]));
+
+        return {
+            generatedAt: snapshot.generatedAt,
+            videos: snapshot.videos
+                .filter((item) => videosById.has(item.video.toString()))
+                .slice(0, limit)
+                .map((item) => ({
+                    ...videosById.get(item.video.toString()),
+                    trendingScore: item.trendingScore,
+                    recentViews: item.recentViews
+                }))
+        };
+    }
+
+    /**
+     * Recompute every list clients have asked for, and the global one
+     */
+    static async refreshAll() {
+        const snapshots = await TrendingSnapshot.find().select('category region').lean();
+        const keys = snapshots.map(({ category, region }) => ({
+            category: category === 'all' ? null : category,
+            region: region === 'all' ? null : region
+        }));
+
+        if (!keys.some(({ category, region }) => !category && !region)) {
+            keys.push({ category: null, region: null });
+        }
+
+        for (const { category, region } of keys) {
+            await this.computeSnapshot(category, region);
+        }
+
+        return keys.length;
+    }
+
+    /**
+     * Queue the next refresh, replacing any refresh already queued so
+     * several workers never run parallel refresh chains
+     */
+    static async scheduleRefresh(delay = 0) {
+        await JobQueue.cancel(TRENDING_REFRESH_JOB);
+
+        return await JobQueue.enqueue(TRENDING_REFRESH_JOB, {}, { runAt: new Date(Date.now() + delay) });
+    }
+
+    /**
+     * Job handler: refresh the lists, then queue the next run.
+     * A failed refresh is not retried, the next run comes soon enough.
+     */
+    static async runRefreshJob() {
+        try {
+            const count = await this.refreshAll();
+            console.log(`Refreshed ${count} trending lists`);
+        } catch (error) {
+            console.error('Failed to refresh trending lists:', error);
+        }
+
+        await this.scheduleRefresh(REFRESH_INTERVAL_MS);
+    }
+}
+
+export default TrendingService;
@@ -0,0 +1,307 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import { User } from '../models/user.model.js';
+import { ApiError } from '../utils/ApiError.js';
+import { generateSecret, provisioningUri, verifyCode } from '../utils/totp.js';
+import SessionService from './session.service.js';
+
+const ISSUER = process.env.TWO_FACTOR_ISSUER || 'Tweetube';
+const RECOVERY_CODE_COUNT = 10;
+// Login challenges must be completed within this
+export const LOGIN_CHALLENGE_EXPIRY_MS = 5 * 60 * 1000;
+// Wrong codes in a row before the second step is locked, and for how long
+const MAX_FAILED_ATTEMPTS = 5;
+const LOCK_MS = 15 * 60 * 1000;
+// Completed challenges remembered per user, more than can be created within LOGIN_CHALLENGE_EXPIRY_MS in practice
+const USED_CHALLENGES_KEPT = 20;
+
+const SECRET_FIELDS = '+twoFactorSecret +twoFactorPendingSecret +twoFactorLastStep +twoFactorRecoveryCodes +twoFactorFailedAttempts +twoFactorLockedUntil';
+
+const hashRecoveryCode = (code) =>
+    crypto.createHash('sha256').update(String(code).trim().toLowerCase().replace(/[^a-f0-9]/g, '')).digest('hex');
+
+// Ten codes like "3f9a-12c4", each can be used once instead of an app code
+const generateRecoveryCodes = () =>
+    Array.from({ length: RECOVERY_CODE_COUNT }, () => crypto.randomBytes(4).toString('hex').replace(/^(.{4})/, '$1-'));
+
+// Key of the login challenge tokens, derived so they never verify as access tokens
+const challengeKey = () =>
+    crypto.createHmac('sha256', process.env.ACCESS_TOKEN_SECRET).update('two_factor_challenge').digest();
+
+const encryptionKey = () => {
+    if (!process.env.TWO_FACTOR_ENCRYPTION_KEY) {
+        throw new ApiError(500, 'two-factor authentication is not configured');
+    }
+
+    return crypto.createHash('sha256').update(process.env.TWO_FACTOR_ENCRYPTION_KEY).digest();
+};
+
+// AES-256-GCM, stored as iv.tag.ciphertext in base64url
+const encryptSecret = (secret) => {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', encryptionKey(), iv);
+    const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+
+    return [iv, cipher.getAuthTag(), encrypted].map((part) => part.toString('base64url')).join('.');
+};
+
+const decryptSecret = (stored) => {
+    const [iv, tag, encrypted] = stored.split('.').map((part) => Buffer.from(part, 'base64url'));
+    const decipher = crypto.createDecipheriv('aes-256-gcm', encryptionKey(), iv);
+    decipher.setAuthTag(tag);
+
+    return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+};
+
+class TwoFactorService {
+    /**
+     * Start enrolment: a new secret waits until a code from the app confirms it
+     * @returns {Promise<{secret: string, otpauthUrl: string}>}
+     */
+    static async beginSetup(userId) {
+        const user = await User.findById(userId).select('email twoFactorEnabled');
+
+        if (user.twoFactorEnabled) {
+            throw new ApiError(400, 'two-factor authentication is already on');
+        }
+
+        const secret = generateSecret();
+        await User.updateOne({ _id: user._id }, { $set: { twoFactorPendingSecret: encryptSecret(secret) } });
+
+        return {
+            secret,
+            otpauthUrl: provisioningUri({ secret, account: user.email, issuer: ISSUER })
+        };
+    }
+
+    /**
+     * Turn two-factor authentication on with the first code of the app
+     * @returns {Promise<string[]>} recovery codes, only ever shown here
+     */
+    static async activate(userId, code) {
+        const user = await User.findById(userId).select(SECRET_FIELDS);
+
+        if (user.twoFactorEnabled) {
+            throw new ApiError(400, 'two-factor authentication is already on');
+        }
+        if (!user.twoFactorPendingSecret) {
+            throw new ApiError(400, 'start the two-factor setup first');
+        }
+
+        const secret = decryptSecret(user.twoFactorPendingSecret);
+        const step = verifyCode(secret, code);
+
+        if (step === null) {
+            throw new ApiError(400, 'invalid authentication code');
+        }
+
+        const recoveryCodes = generateRecoveryCodes();
+
+        await User.updateOne(
+            { _id: user._id },
+            {
+                $set: {
+                    twoFactorEnabled: true,
+                    twoFactorEnabledAt: new Date(),
+                    twoFactorSecret: user.twoFactorPendingSecret,
+                    twoFactorLastStep: step,
+                    twoFactorRecoveryCodes: recoveryCodes.map(hashRecoveryCode),
+                    twoFactorFailedAttempts: 0
+                },
+                $unset: { twoFactorPendingSecret: 1, twoFactorLockedUntil: 1 }
+            }
+        );
+
+        return recoveryCodes;
+    }
+
+    /**
+     * Turn two-factor authentication off, needs an app or recovery code
+     */
+    static async disable(userId, factor) {
+        const user = await this.requireSecondFactor(userId, factor);
+
+        await User.updateOne(
+            { _id: user._id },
+            {
+                $set: { twoFactorEnabled: false },
+                $unset: {
+                    twoFactorEnabledAt: 1,
+                    twoFactorSecret: 1,
+                    twoFactorPendingSecret: 1,
+                    twoFactorLastStep: 1,
+                    twoFactorRecoveryCodes: 1,
+                    twoFactorFailedAttempts: 1,
+                    twoFactorLockedUntil: 1,
+                    twoFactorUsedChallenges: 1
+                }
+            }
+        );
+    }
+
+    /**
+     * Replace every recovery code, needs an app or recovery code
+     * @returns {Promise<string[]>} the new codes
+     */
+    static async regenerateRecoveryCodes(userId, factor) {
+        const user = await this.requireSecondFactor(userId, factor);
+        const recoveryCodes = generateRecoveryCodes();
+
+        await User.updateOne(
+            { _id: user._id },
+            { $set: { twoFactorRecoveryCodes: recoveryCodes.map(hashRecoveryCode) } }
+        );
+
+        return recoveryCodes;
+    }
+
+    static async getRecoveryCodesLeft(userId) {
+        const user = await User.findById(userId).select('+twoFactorRecoveryCodes');
+
+        return user?.twoFactorRecoveryCodes?.length ?? 0;
+    }
+
+    /**
+     * Token a client sends back with the code to finish a login, after the password checked out
+     */
+    static createLoginChallenge(user) {
+        return jwt.sign(
+            { _id: user._id, purpose: 'two_factor_login' },
+            challengeKey(),
+            { expiresIn: LOGIN_CHALLENGE_EXPIRY_MS / 1000, jwtid: crypto.randomUUID() }
+        );
+    }
+
+    /**
+     * Second login step
+     * @param {string} challengeToken - from createLoginChallenge
+     * @param {Object} factor - { code } or { recoveryCode }
+     * @returns {Promise<Object>} the user, ready for a session
+     */
+    static async completeLogin(challengeToken, factor) {
+        let payload;
+        try {
+            payload = jwt.verify(String(challengeToken), challengeKey());
+        } catch (error) {
+            throw new ApiError(401, 'login has expired, please log in again');
+        }
+
+        if (payload.purpose !== 'two_factor_login' || !payload.jti) {
+            throw new ApiError(401, 'login has expired, please log in again');
+        }
+
+        const user = await this.requireSecondFactor(payload._id, factor);
+
+        // record the challenge, a second request with the same token is refused
+        const { modifiedCount } = await User.updateOne(
+            { _id: user._id, twoFactorUsedChallenges: { $ne: payload.jti } },
+            { $push: { twoFactorUsedChallenges: { $each: [payload.jti], $slice: -USED_CHALLENGES_KEPT } } }
+        );
+
+        if (modifiedCount !== 1 || !user.isActive) {
+            throw new ApiError(401, 'login has expired, please log in again');
+        }
+
+        return user;
+    }
+
+    /**
+     * Prove it is still the user before a sensitive action: the password when the
+     * account has one, and a code when two-factor authentication is on
+     * @param {Object} credentials - { password, code, recoveryCode }
+     */
+    static async reauthenticate(userId, sessionId, { password, code, recoveryCode }) {
+        const user = await User.findById(userId).select('+password twoFactorEnabled');
+
+        if (!user.password && !user.twoFactorEnabled) {
+            throw new ApiError(400, 'set a password to confirm sensitive actions');
+        }
+
+        if (user.password && !(await user.isPasswordCorrect(password))) {
+            throw new ApiError(401, 'invalid password');
+        }
+
+        if (user.twoFactorEnabled) {
+            await this.requireSecondFactor(userId, { code, recoveryCode });
+        }
+
+        await SessionService.markAuthenticated(sessionId, userId);
+    }
+
+    /**
+     * Check an app code or use up a recovery code, counting wrong attempts
+     * @returns {Promise<Object>} the user
+     */
+    static async requireSecondFactor(userId, { code, recoveryCode } = {}) {
+        const user = await User.findById(userId).select(`${SECRET_FIELDS} isActive twoFactorEnabled`);
+
+        if (!user?.twoFactorEnabled) {
+            throw new ApiError(400, 'two-factor authentication is off');
+        }
+
+        if (user.twoFactorLockedUntil > new Date()) {
+            throw new ApiError(429, 'too many wrong codes, try again later');
+        }
+
+        if (!code && !recoveryCode) {
+            throw new ApiError(400, 'an authentication code or recovery code is required');
+        }
+
+        const accepted = code
+            ? await this.useAppCode(user, code)
+            : await this.useRecoveryCode(user, recoveryCode);
+
+        if (!accepted) {
+            // counted in the database, parallel guesses each add one
+            const counted = await User.findOneAndUpdate(
+                { _id: user._id },
+                { $inc: { twoFactorFailedAttempts: 1 } },
+                { new: true }
+            ).select('+twoFactorFailedAttempts');
+
+            if (counted?.twoFactorFailedAttempts >= MAX_FAILED_ATTEMPTS) {
+                await User.updateOne(
+                    { _id: user._id },
+                    { $set: { twoFactorFailedAttempts: 0, twoFactorLockedUntil: new Date(Date.now() + LOCK_MS) } }
+                );
+            }
+
+            throw new ApiError(401, 'invalid authentication code');
+        }
+
+        if (user.twoFactorFailedAttempts) {
+            await User.updateOne({ _id: user._id }, { $set: { twoFactorFailedAttempts: 0 } });
+        }
+
+        return user;
+    }
+
+    static async useAppCode(user, code) {
+        const step = verifyCode(decryptSecret(user.twoFactorSecret), code);
+        if (step === null) return false;
+
+        // only a newer step than the last accepted one, a code is valid once
+        const { modifiedCount } = await User.updateOne(
+            {
+                _id: user._id,
+                $or: [{ twoFactorLastStep: { $exists: false } }, { twoFactorLastStep: { $lt: step } }]
+            },
+            { $set: { twoFactorLastStep: step } }
+        );
+
+        return modifiedCount === 1;
+    }
+
+    static async useRecoveryCode(user, recoveryCode) {
+        const hash = hashRecoveryCode(recoveryCode);
+
+        const { modifiedCount } = await User.updateOne(
+            { _id: user._id, twoFactorRecoveryCodes: hash },
+            { $pull: { twoFactorRecoveryCodes: hash } }
+        );
+
+        return modifiedCount === 1;
+    }
+}
+
+export default TwoFactorService;
@@ -0,0 +1,214 @@
+import fs from 'fs';
+import path from 'path';
+import { Video } from '../models/video.model.js';
+import { VIDEO_QUALITIES, DEFAULT_RENDITIONS } from '../constants.js';
+import { probeVideo, extractThumbnail, transcodeHlsRendition } from '../utils/ffmpeg.js';
+import { parseMediaPlaylist } from '../utils/hls.js';
+import { uploadFile, deleteFile } from '../utils/storage/index.js';
+import NotificationService from './notification.service.js';
+import JobQueue from './jobQueue.service.js';
+
+export const VIDEO_PROCESS_JOB = 'video.process';
+
+class VideoProcessingService {
+    /**
+     * Map frame dimensions to a Video.quality value, using the short edge so
+     * portrait videos are not over-rated
+     */
+    static getQualityForDimensions(width, height) {
+        const shortEdge = Math.min(width || height || 0, height || width || 0);
+        const match = VIDEO_QUALITIES.find(({ height: minHeight }) => shortEdge >= minHeight);
+
+        return match ? match.quality : '144p';
+    }
+
+    /**
+     * Qualities to transcode, never above the source resolution.
+     * A source smaller than every configured quality still gets the lowest one.
+     */
+    static getRenditionLadder(width, height) {
+        const wanted = process.env.VIDEO_RENDITIONS
+            ? process.env.VIDEO_RENDITIONS.split(',').map((quality) => quality.trim())
+            : DEFAULT_RENDITIONS;
+        const shortEdge = Math.min(width || height || 0, height || width || 0);
+        const candidates = VIDEO_QUALITIES.filter(({ quality }) => wanted.includes(quality)).reverse();
+        const ladder = candidates.filter((rendition) => rendition.height <= shortEdge);
+
+        return ladder.length > 0 ? ladder : candidates.slice(0, 1);
+    }
+
+    /**
+     * Transcode every rendition of the ladder and upload its media file.
+     * Uploaded renditions are pushed into `uploaded` as they complete so the
+     * caller can clean them up if a later step fails.
+     */
+    static async createRenditions(video, sourcePath, metadata, uploaded) {
+        // one directory per run, a job taken over by another worker may still be transcoding
+        const workDir = await fs.promises.mkdtemp(path.join(path.dirname(sourcePath), `${video._id}-hls-`));
+        const isPortrait = (metadata.height || 0) > (metadata.width || 0);
+        const hlsPlaylists = {};
+
+        try {
+            for (const rendition of this.getRenditionLadder(metadata.width, metadata.height)) {
+                const { playlistPath, mediaPath } = await transcodeHlsRendition(sourcePath, workDir, rendition);
+                const playlist = parseMediaPlaylist(await fs.promises.readFile(playlistPath, 'utf8'));
+
+                const media = await uploadFile(mediaPath, { folder: 'renditions' });
+                if (!media) {
+                    throw new Error(`${rendition.quality} rendition is not uploded to storage`);
+                }
+
+                // scale the long edge by the source aspect ratio, rounded to an even number like ffmpeg does
+                const longEdge = 2 * Math.round(
+                    (rendition.height * Math.max(metadata.width, metadata.height)) /
+                    Math.min(metadata.width, metadata.height) / 2
+                ) || rendition.width;
+
+                uploaded.push({
+                    quality: rendition.quality,
+                    width: isPortrait ? rendition.height : longEdge,
+                    height: isPortrait ? longEdge : rendition.height,
+                    // peak segment bitrate, what players use to pick a variant
+                    bandwidth: Math.round(Math.max(
+                        ...playlist.segments.map(([duration, , length]) => (length * 8) / Math.max(duration, 0.001))
+                    )),
+                    url: media.url,
+                    publicId: media.publicId,
+                    bytes: media.bytes
+                });
+                hlsPlaylists[rendition.quality] = playlist;
+            }
+        } finally {
+            await fs.promises.rm(workDir, { recursive: true, force: true });
+        }
+
+        return hlsPlaylists;
+    }
+
+    /**
+     * Probe, generate a thumbnail if needed, transcode renditions, upload to storage
+     * and mark the video completed.
+     * Failures are recorded on the video instead of being retried, because the
+     * temp files are consumed by the upload.
+     * A video left in processing is only picked up again by a job that took over
+     * the abandoned one, and a run whose job was taken over leaves the video alone.
+     * @param {string} videoId - ID of a video in pending status
+     * @param {Object} job - the queued job running this, if any
+     */
+    static async processVideo(videoId, job) {
+        const lockLost = async () => Boolean(job) && !(await JobQueue.holdsLock(job));
+        const statuses = job && !(await lockLost()) ? ['pending', 'processing'] : ['pending'];
+
+        const video = await Video.findOneAndUpdate(
+            { _id: videoId, processingStatus: { $in: statuses } },
+            { processingStatus: 'processing', $unset: { processingError: 1 } },
+            { new: true }
+        ).select('+sourceFilePath +sourceThumbnailPath');
+
+        if (!video) {
+            console.log(`Video ${videoId} is not waiting for processing, skipping`);
+            return null;
+        }
+
+        const sourcePath = video.sourceFilePath;
+        let thumbnailPath = video.sourceThumbnailPath;
+        let uploadedVideo = null;
+        let uploadedThumbnail = null;
+        const renditions = [];
+
+        try {
+            if (!sourcePath || !fs.existsSync(sourcePath)) {
+                throw new Error('uploaded video file is missing');
+            }
+
+            const metadata = await probeVideo(sourcePath);
+
+            if (!thumbnailPath) {
+                thumbnailPath = path.join(path.dirname(sourcePath), `${video._id}-generated.jpg`);
+                await extractThumbnail(sourcePath, thumbnailPath, Math.min(1, metadata.duration / 2));
+            }
+
+            const hlsPlaylists = await this.createRenditions(video, sourcePath, metadata, renditions);
+
+            // uploading consumes the source file, which now belongs to the new attempt
+            if (await lockLost()) {
+                console.log(`Processing of video ${video._id} was taken over by another worker, stopping`);
+                await this.removeUploads(null, null, renditions);
+                return null;
+            }
+
+            uploadedVideo = await uploadFile(sourcePath, { folder: 'videos' });
+            uploadedThumbnail = await uploadFile(thumbnailPath, { folder: 'thumbnails' });
+
+            if (!uploadedVideo || !uploadedThumbnail) {
+                throw new Error('video or thumbnail is not uploded to storage');
+            }
+
+            const processedVideo = await Video.findByIdAndUpdate(
+                video._id,
+                {
+                    $set: {
+                        videoFile: uploadedVideo.url,
+                        videoFilePublicId: uploadedVideo.publicId,
+                        thumbnail: uploadedThumbnail.url,
+                        thumbnailPublicId: uploadedThumbnail.publicId,
+                        duration: uploadedVideo.duration ?? metadata.duration,
+                        fileSize: uploadedVideo.bytes ?? metadata.bytes,
+                        quality: this.getQualityForDimensions(metadata.width, metadata.height),
+                        renditions,
+                        hlsPlaylists,
+                        processingStatus: 'completed',
+                        processedAt: new Date()
+                    },
+                    $unset: { sourceFilePath: 1, sourceThumbnailPath: 1 }
+                },
+                { new: true }
+            );
+
+            // The video was deleted while it was being processed
+            if (!processedVideo) {
+                await this.removeUploads(uploadedVideo, uploadedThumbnail, renditions);
+                return null;
+            }
+
+            await NotificationService.notifyVideoPublished(processedVideo._id);
+
+            return processedVideo;
+        } catch (error) {
+            console.error(`Processing failed for video ${video._id}:`, error);
+
+            if (await lockLost()) {
+                await this.removeUploads(uploadedVideo, uploadedThumbnail, renditions);
+                return null;
+            }
+
+            await this.removeUploads(uploadedVideo, uploadedThumbnail, renditions);
+            await this.removeSourceFiles(sourcePath, thumbnailPath);
+
+            return await Video.findByIdAndUpdate(
+                video._id,
+                {
+                    $set: { processingStatus: 'failed', processingError: error.message },
+                    $unset: { sourceFilePath: 1, sourceThumbnailPath: 1 }
+                },
+                { new: true }
+            );
+        }
+    }
+
+    static async removeUploads(uploadedVideo, uploadedThumbnail, renditions = []) {
+        await deleteFile(uploadedVideo?.publicId, { resourceType: 'video' });
+        await deleteFile(uploadedThumbnail?.publicId);
+        for (const rendition of renditions) {
+            await deleteFile(rendition.publicId, { resourceType: 'video' });
+        }
+    }
+
+    static async removeSourceFiles(...filePaths) {
+        for (const filePath of filePaths) {
+            if (filePath) await fs.promises.rm(filePath, { force: true });
+        }
+    }
+}
+
+export default VideoProcessingService;
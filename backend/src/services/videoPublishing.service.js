@@ -0,0 +1,73 @@
+import fs from 'fs';
+import path from 'path';
+import { Video } from '../models/video.model.js';
+import { ApiError } from '../utils/ApiError.js';
+import JobQueue from './jobQueue.service.js';
+import VideoProcessingService, { VIDEO_PROCESS_JOB } from './videoProcessing.service.js';
+import VideoSchedulingService from './videoScheduling.service.js';
+
+// Uploads wait here until the processing worker picks them up
+const PROCESSING_DIR = path.resolve('public', 'temp', 'processing');
+
+class VideoPublishingService {
+    /**
+     * Move an uploaded file out of the shared temp folder so a later upload
+     * with the same original name cannot overwrite it
+     */
+    static async stageFile(localFilePath, videoId, suffix) {
+        await fs.promises.mkdir(PROCESSING_DIR, { recursive: true });
+
+        const stagedPath = path.join(
+            PROCESSING_DIR,
+            `${videoId}-${suffix}${path.extname(localFilePath).toLowerCase()}`
+        );
+        await fs.promises.rename(localFilePath, stagedPath);
+
+        return stagedPath;
+    }
+
+    /**
+     * Create the Video document in pending status and queue it for processing.
+     * Shared by the single-request upload and the chunked upload finalization.
+     * @param {Object} params - { owner, title, description, videoLocalPath, thumbnailLocalPath, publishAt }
+     * thumbnailLocalPath is optional, the worker generates one from the video when missing.
+     * publishAt is an optional validated Date, the video stays unpublished until then.
+     */
+    static async publishFromLocalFiles({ owner, title, description, videoLocalPath, thumbnailLocalPath, publishAt }) {
+        const newVideo = new Video({
+            title,
+            description,
+            views: 0,
+            isPublished: !publishAt,
+            scheduledPublishAt: publishAt,
+            processingStatus: 'pending',
+            owner
+        });
+
+        try {
+            newVideo.sourceFilePath = await this.stageFile(videoLocalPath, newVideo._id, 'source');
+            if (thumbnailLocalPath) {
+                newVideo.sourceThumbnailPath = await this.stageFile(thumbnailLocalPath, newVideo._id, 'thumbnail');
+            }
+
+            await newVideo.save();
+        } catch (error) {
+            await VideoProcessingService.removeSourceFiles(
+                videoLocalPath,
+                thumbnailLocalPath,
+                newVideo.sourceFilePath,
+                newVideo.sourceThumbnailPath
+            );
+            throw new ApiError(500, 'something went wrong while uploading video: ' + error.message);
+        }
+
+        await JobQueue.enqueue(VIDEO_PROCESS_JOB, { videoId: newVideo._id.toString() });
+        if (publishAt) {
+            await VideoSchedulingService.enqueuePublish(newVideo);
+        }
+
+        return await Video.findById(newVideo._id);
+    }
+}
+
+export default VideoPublishingService;
@@ -0,0 +1,100 @@
+import { Video } from '../models/video.model.js';
+import { ApiError } from '../utils/ApiError.js';
+import JobQueue from './jobQueue.service.js';
+import NotificationService from './notification.service.js';
+
+export const VIDEO_PUBLISH_JOB = 'video.publishScheduled';
+
+// Largest allowed distance between now and a scheduled publish date
+const MAX_SCHEDULE_AHEAD_MS = 365 * 24 * 60 * 60 * 1000;
+
+class VideoSchedulingService {
+    /**
+     * Validate a publish date sent by a client
+     * @param {string|number|Date} value - ISO date or timestamp
+     * @returns {Date}
+     */
+    static parsePublishAt(value) {
+        const publishAt = new Date(value);
+
+        if (value === undefined || value === null || value === '' || Number.isNaN(publishAt.getTime())) {
+            throw new ApiError(400, 'publishAt must be a valid date');
+        }
+        if (publishAt.getTime() <= Date.now()) {
+            throw new ApiError(400, 'publishAt must be in the future');
+        }
+        if (publishAt.getTime() - Date.now() > MAX_SCHEDULE_AHEAD_MS) {
+            throw new ApiError(400, 'publishAt cannot be more than a year ahead');
+        }
+
+        return publishAt;
+    }
+
+    /**
+     * Queue the job that publishes the video at its scheduled date.
+     * Jobs of an older schedule are dropped, and would be ignored anyway
+     * because the handler checks the date against the video.
+     */
+    static async enqueuePublish(video) {
+        await JobQueue.cancel(VIDEO_PUBLISH_JOB, { videoId: video._id.toString() });
+
+        return await JobQueue.enqueue(
+            VIDEO_PUBLISH_JOB,
+            { videoId: video._id.toString(), publishAt: video.scheduledPublishAt.toISOString() },
+            { runAt: video.scheduledPublishAt }
+        );
+    }
+
+    /**
+     * Unpublish a video until publishAt, replacing any previous schedule
+     */
+    static async schedule(video, publishAt) {
+        video.isPublished = false;
+        video.scheduledPublishAt = publishAt;
+        await video.save({ validateBeforeSave: false });
+
+        await this.enqueuePublish(video);
+
+        return video;
+    }
+
+    /**
+     * Drop the schedule, the video stays unpublished
+     */
+    static async cancel(video) {
+        video.scheduledPublishAt = undefined;
+        await video.save({ validateBeforeSave: false });
+
+        await JobQueue.cancel(VIDEO_PUBLISH_JOB, { videoId: video._id.toString() });
+
+        return video;
+    }
+
+    /**
+     * Job handler: publish the video if it is still scheduled for this date.
+     * A video rescheduled or cancelled after the job was queued is left alone.
+     */
+    static async publishScheduled(videoId, publishAt) {
+        const scheduledPublishAt = new Date(publishAt);
+
+        const video = await Video.findOneAndUpdate(
+            { _id: videoId, scheduledPublishAt },
+            {
+                $set: { isPublished: true, publishedAt: scheduledPublishAt },
+                $unset: { scheduledPublishAt: 1 }
+            },
+            { new: true }
+        );
+
+        if (!video) {
+            console.log(`Video ${videoId} is no longer scheduled for ${publishAt}, skipping`);
+            return null;
+        }
+
+        await NotificationService.notifyVideoPublished(video._id);
+
+        return video;
+    }
+}
+
+export default VideoSchedulingService;
@@ -0,0 +1,15 @@
+import crypto from "crypto";
+
+// Logs messages instead of sending them, the default outside production
+const send = async ({ from, to, subject, text }) => {
+    const messageId = crypto.randomBytes(6).toString("hex");
+
+    console.log(`[email ${messageId}] from: ${from} to: ${to}\nsubject: ${subject}\n\n${text}\n`);
+
+    return { messageId };
+};
+
+export const consoleTransport = {
+    name: "console",
+    send
+};
@@ -0,0 +1,23 @@
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+
+// Every message is written as a JSON file, for local development and tests
+const EMAIL_DIR = path.resolve(process.env.EMAIL_FILE_DIR || "emails");
+
+const send = async (message) => {
+    const messageId = `${Date.now()}-${crypto.randomBytes(6).toString("hex")}`;
+
+    await fs.promises.mkdir(EMAIL_DIR, { recursive: true });
+    await fs.promises.writeFile(
+        path.join(EMAIL_DIR, `${messageId}.json`),
+        JSON.stringify({ ...message, sentAt: new Date().toISOString() }, null, 2)
+    );
+
+    return { messageId };
+};
+
+export const fileTransport = {
+    name: "file",
+    send
+};
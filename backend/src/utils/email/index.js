@@ -0,0 +1,35 @@
+import { smtpTransport } from "./smtp.transport.js";
+import { fileTransport } from "./file.transport.js";
+import { consoleTransport } from "./console.transport.js";
+
+const transports = {
+    [smtpTransport.name]: smtpTransport,
+    [fileTransport.name]: fileTransport,
+    [consoleTransport.name]: consoleTransport
+};
+
+const getEmailTransport = () => {
+    const name = process.env.EMAIL_TRANSPORT || consoleTransport.name;
+    const transport = transports[name];
+
+    if (!transport) {
+        throw new Error(`unknown email transport: ${name}`);
+    }
+
+    return transport;
+};
+
+/**
+ * Send one message with the configured transport. Errors are thrown so the
+ * email job can be retried.
+ * @param {Object} message - { to, subject, text, html }
+ * @returns {Promise<{messageId: string}>}
+ */
+const sendMail = async (message) => {
+    return await getEmailTransport().send({
+        from: process.env.EMAIL_FROM || "Tweetube <no-reply@tweetube.local>",
+        ...message
+    });
+};
+
+export { sendMail, getEmailTransport };
@@ -0,0 +1,30 @@
+import nodemailer from "nodemailer";
+
+let transporter = null;
+
+// Created on first use so the other transports work without SMTP settings
+const getTransporter = () => {
+    if (!transporter) {
+        transporter = nodemailer.createTransport({
+            host: process.env.SMTP_HOST,
+            port: Number(process.env.SMTP_PORT) || 587,
+            secure: process.env.SMTP_SECURE === "true",
+            auth: process.env.SMTP_USER
+                ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+                : undefined
+        });
+    }
+
+    return transporter;
+};
+
+const send = async (message) => {
+    const info = await getTransporter().sendMail(message);
+
+    return { messageId: info.messageId };
+};
+
+export const smtpTransport = {
+    name: "smtp",
+    send
+};
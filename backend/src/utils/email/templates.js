@@ -0,0 +1,93 @@
+// Email templates, each one returns { subject, text, html } from plain data.
+// Every value put in html goes through escapeHtml.
+
+const escapeHtml = (value = "") =>
+    String(value)
+        .replace(/&/g, "&amp;")
+        .replace(/</g, "&lt;")
+        .replace(/>/g, "&gt;")
+        .replace(/"/g, "&quot;")
+        .replace(/'/g, "&#39;");
+
+// Links in emails point at the frontend
+const appUrl = (pathname = "/") =>
+    `${(process.env.CLIENT_ORIGIN || "http://localhost:5173").replace(/\/+$/, "")}${pathname}`;
+
+// Shown under notification emails, account emails are always sent
+const SETTINGS_FOOTER = "You can change which emails you receive in your notification settings.";
+
+const layout = (title, body, footer = "") => `<!doctype html>
+<html>
+<body style="font-family: Arial, sans-serif; color: #222; max-width: 560px; margin: 0 auto;">
+<h2>${escapeHtml(title)}</h2>
+${body}
+${footer ? `<p style="color: #888; font-size: 12px;">${escapeHtml(footer)}</p>` : ""}
+</body>
+</html>`;
+
+const button = (url, label) =>
+    `<p><a href="${escapeHtml(url)}" style="background: #c00; color: #fff; padding: 10px 16px; text-decoration: none; border-radius: 4px;">${escapeHtml(label)}</a></p>`;
+
+const templates = {
+    // One notification, for users who want them as they happen
+    notification: ({ username, message }) => ({
+        subject: message,
+        text: `Hi ${username},\n\n${message}\n\nSee all your notifications: ${appUrl("/notifications")}\n\n${SETTINGS_FOOTER}`,
+        html: layout(
+            `Hi ${username}`,
+            `<p>${escapeHtml(message)}</p>${button(appUrl("/notifications"), "See notifications")}`,
+            SETTINGS_FOOTER
+        )
+    }),
+
+    // Uploads of subscribed channels over the last day
+    digest: ({ username, videos }) => ({
+        subject: `${videos.length} new ${videos.length === 1 ? "video" : "videos"} from your subscriptions`,
+        text: `Hi ${username},\n\nNew from your subscriptions:\n\n${videos
+            .map(({ title, channel }) => `- ${title} (${channel})`)
+            .join("\n")}\n\nWatch them: ${appUrl("/subscriptions")}\n\n${SETTINGS_FOOTER}`,
+        html: layout(
+            `Hi ${username}, new from your subscriptions`,
+            `<ul>${videos
+                .map(({ title, channel }) => `<li><strong>${escapeHtml(title)}</strong> – ${escapeHtml(channel)}</li>`)
+                .join("")}</ul>${button(appUrl("/subscriptions"), "Watch now")}`,
+            SETTINGS_FOOTER
+        )
+    }),
+
+    verifyEmail: ({ username, url, expiresInHours }) => ({
+        subject: "Verify your email address",
+        text: `Hi ${username},\n\nConfirm your email address by opening this link:\n${url}\n\nThe link expires in ${expiresInHours} hours.`,
+        html: layout(
+            `Hi ${username}`,
+            `<p>Confirm your email address to finish setting up your account.</p>${button(url, "Verify email")}<p>The link expires in ${escapeHtml(expiresInHours)} hours.</p>`
+        )
+    }),
+
+    passwordReset: ({ username, url, expiresInMinutes }) => ({
+        subject: "Reset your password",
+        text: `Hi ${username},\n\nSomeone asked to reset your password. If it was you, open this link:\n${url}\n\nThe link expires in ${expiresInMinutes} minutes. If it was not you, ignore this email.`,
+        html: layout(
+            `Hi ${username}`,
+            `<p>Someone asked to reset your password. If it was you, use the button below.</p>${button(url, "Reset password")}<p>The link expires in ${escapeHtml(expiresInMinutes)} minutes. If it was not you, ignore this email.</p>`
+        )
+    })
+};
+
+/**
+ * Render a template
+ * @param {string} name - key of templates
+ * @param {Object} data - values used by the template
+ * @returns {{subject: string, text: string, html: string}}
+ */
+const renderTemplate = (name, data) => {
+    const template = templates[name];
+
+    if (!template) {
+        throw new Error(`unknown email template: ${name}`);
+    }
+
+    return template(data);
+};
+
+export { renderTemplate, appUrl };
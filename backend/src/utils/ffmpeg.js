@@ -0,0 +1,105 @@
+import { execFile } from "child_process";
+import { promisify } from "util";
+import path from "path";
+
+const execFileAsync = promisify(execFile);
+
+const FFMPEG_PATH = process.env.FFMPEG_PATH || "ffmpeg";
+const FFPROBE_PATH = process.env.FFPROBE_PATH || "ffprobe";
+
+/**
+ * Read duration, size and dimensions of a media file with ffprobe
+ * @param {string} filePath - local media file
+ * @returns {Promise<{duration: number, bytes: number, width: number|null, height: number|null, bitRate: number|null}>}
+ */
+const probeVideo = async (filePath) => {
+    const { stdout } = await execFileAsync(
+        FFPROBE_PATH,
+        ["-v", "error", "-print_format", "json", "-show_format", "-show_streams", filePath],
+        { maxBuffer: 10 * 1024 * 1024 }
+    );
+
+    const { format = {}, streams = [] } = JSON.parse(stdout);
+    const videoStream = streams.find((stream) => stream.codec_type === "video");
+
+    if (!videoStream) {
+        throw new Error("file does not contain a video stream");
+    }
+
+    return {
+        duration: Math.round(Number(format.duration || videoStream.duration) || 0),
+        bytes: Number(format.size) || 0,
+        width: videoStream.width ?? null,
+        height: videoStream.height ?? null,
+        bitRate: Number(format.bit_rate) || null
+    };
+};
+
+/**
+ * Grab a single frame as a JPEG thumbnail
+ * @param {string} filePath - local video file
+ * @param {string} outputPath - where the .jpg is written
+ * @param {number} atSeconds - timestamp of the frame
+ */
+const extractThumbnail = async (filePath, outputPath, atSeconds = 1) => {
+    await execFileAsync(FFMPEG_PATH, [
+        "-y",
+        "-v", "error",
+        "-ss", String(atSeconds),
+        "-i", filePath,
+        "-frames:v", "1",
+        "-vf", "scale=1280:-2",
+        outputPath
+    ]);
+
+    return outputPath;
+};
+
+/**
+ * Transcode one rendition into an HLS playlist whose segments all live in a
+ * single MPEG-TS file addressed by byte ranges, so it can be stored as one asset
+ * @param {string} filePath - local source video
+ * @param {string} outputDir - directory receiving <quality>.m3u8 and <quality>.ts
+ * @param {Object} rendition - entry of VIDEO_QUALITIES
+ * @returns {Promise<{playlistPath: string, mediaPath: string}>}
+ */
+const transcodeHlsRendition = async (filePath, outputDir, rendition, segmentSeconds = 6) => {
+    const playlistPath = path.join(outputDir, `${rendition.quality}.m3u8`);
+    const mediaPath = path.join(outputDir, `${rendition.quality}.ts`);
+    const { height, videoBitrate, audioBitrate } = rendition;
+
+    // scale the short edge to the rendition height so portrait videos keep their orientation
+    const scale = `scale=w=if(gt(iw\\,ih)\\,-2\\,${height}):h=if(gt(iw\\,ih)\\,${height}\\,-2)`;
+
+    await execFileAsync(FFMPEG_PATH, [
+        "-y",
+        "-v", "error",
+        "-i", filePath,
+        "-map", "0:v:0",
+        "-map", "0:a:0?",
+        "-vf", scale,
+        "-c:v", "libx264",
+        "-preset", "veryfast",
+        "-profile:v", "main",
+        // main profile is 8 bit 4:2:0 only, 4:4:4 or 10 bit sources would fail to encode
+        "-pix_fmt", "yuv420p",
+        "-b:v", `${videoBitrate}k`,
+        "-maxrate", `${Math.round(videoBitrate * 1.07)}k`,
+        "-bufsize", `${videoBitrate * 2}k`,
+        // keyframe on every segment boundary so players can switch renditions cleanly
+        "-force_key_frames", `expr:gte(t,n_forced*${segmentSeconds})`,
+        "-c:a", "aac",
+        "-b:a", `${audioBitrate}k`,
+        "-ac", "2",
+        "-f", "hls",
+        "-hls_time", String(segmentSeconds),
+        "-hls_playlist_type", "vod",
+        "-hls_flags", "single_file",
+        "-hls_segment_filename", mediaPath,
+        playlistPath
+    ], { maxBuffer: 10 * 1024 * 1024 });
+
+    return { playlistPath, mediaPath };
+};
+
+export { probeVideo, extractThumbnail, transcodeHlsRendition };
@@ -0,0 +1,107 @@
+// Helpers for HLS playlists of renditions stored as a single media file.
+// Only byte ranges are kept in the database so playlists can be rebuilt
+// against whatever URL the storage provider gave the media file.
+
+const parseByteRange = (value, previousEnd) => {
+    const [length, offset] = value.split("@");
+
+    return {
+        length: Number(length),
+        offset: offset !== undefined ? Number(offset) : previousEnd
+    };
+};
+
+/**
+ * Read segment durations and byte ranges out of a single_file media playlist
+ * @param {string} text - contents of the .m3u8 written by ffmpeg
+ * @returns {{targetDuration: number, map: {offset: number, length: number}|null, segments: number[][]}}
+ * segments are stored compactly as [duration, offset, length]
+ */
+const parseMediaPlaylist = (text) => {
+    const result = { targetDuration: 0, map: null, segments: [] };
+    let duration = null;
+    let range = null;
+    let previousEnd = 0;
+
+    for (const rawLine of text.split(/\r?\n/)) {
+        const line = rawLine.trim();
+        if (!line) continue;
+
+        if (line.startsWith("#EXT-X-TARGETDURATION:")) {
+            result.targetDuration = Number(line.split(":")[1]);
+        } else if (line.startsWith("#EXT-X-MAP:")) {
+            const byteRange = line.match(/BYTERANGE="([^"]+)"/);
+            if (byteRange) {
+                result.map = parseByteRange(byteRange[1], 0);
+                previousEnd = result.map.offset + result.map.length;
+            }
+        } else if (line.startsWith("#EXTINF:")) {
+            duration = parseFloat(line.slice("#EXTINF:".length));
+        } else if (line.startsWith("#EXT-X-BYTERANGE:")) {
+            range = parseByteRange(line.slice("#EXT-X-BYTERANGE:".length), previousEnd);
+        } else if (!line.startsWith("#") && duration !== null) {
+            if (!range) {
+                throw new Error("playlist segments are not byte ranges of a single file");
+            }
+
+            result.segments.push([duration, range.offset, range.length]);
+            previousEnd = range.offset + range.length;
+            duration = null;
+            range = null;
+        }
+    }
+
+    if (result.segments.length === 0) {
+        throw new Error("playlist does not contain any segment");
+    }
+
+    return result;
+};
+
+/**
+ * Master playlist listing every rendition, variant URIs are relative to the master
+ * @param {Object[]} renditions - Video.renditions
+ */
+const buildMasterPlaylist = (renditions) => {
+    const lines = ["#EXTM3U", "#EXT-X-VERSION:4", "#EXT-X-INDEPENDENT-SEGMENTS"];
+
+    const sorted = [...renditions].sort((a, b) => a.bandwidth - b.bandwidth);
+    for (const rendition of sorted) {
+        lines.push(
+            `#EXT-X-STREAM-INF:BANDWIDTH=${rendition.bandwidth},RESOLUTION=${rendition.width}x${rendition.height},NAME="${rendition.quality}"`,
+            `${rendition.quality}.m3u8`
+        );
+    }
+
+    return lines.join("\n") + "\n";
+};
+
+/**
+ * Media playlist of one rendition pointing at its stored media file
+ * @param {string} mediaUrl - Video.renditions[].url
+ * @param {Object} playlist - result of parseMediaPlaylist
+ */
+const buildMediaPlaylist = (mediaUrl, playlist) => {
+    const lines = [
+        "#EXTM3U",
+        // EXT-X-MAP outside of I-frame playlists needs version 6
+        `#EXT-X-VERSION:${playlist.map ? 6 : 4}`,
+        `#EXT-X-TARGETDURATION:${Math.ceil(playlist.targetDuration)}`,
+        "#EXT-X-MEDIA-SEQUENCE:0",
+        "#EXT-X-PLAYLIST-TYPE:VOD"
+    ];
+
+    if (playlist.map) {
+        lines.push(`#EXT-X-MAP:URI="${mediaUrl}",BYTERANGE="${playlist.map.length}@${playlist.map.offset}"`);
+    }
+
+    for (const [duration, offset, length] of playlist.segments) {
+        lines.push(`#EXTINF:${duration.toFixed(6)},`, `#EXT-X-BYTERANGE:${length}@${offset}`, mediaUrl);
+    }
+
+    lines.push("#EXT-X-ENDLIST");
+
+    return lines.join("\n") + "\n";
+};
+
+export { parseMediaPlaylist, buildMasterPlaylist, buildMediaPlaylist };
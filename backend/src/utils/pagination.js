@@ -0,0 +1,60 @@
+import { ApiError } from "./ApiError.js";
+
+// Helpers shared by the paginated listings.
+// Page based pagination uses ?page=&limit=, keyset pagination an opaque ?cursor=
+// built from the sort value and _id of the last item of the previous page.
+
+/**
+ * Read page and limit from the query string, clamping limit to maxLimit
+ * @returns {{page: number, limit: number}}
+ */
+const parsePagination = (query, { defaultLimit = 20, maxLimit = 50 } = {}) => {
+    const page = query.page === undefined ? 1 : parseInt(query.page);
+    const limit = query.limit === undefined ? defaultLimit : parseInt(query.limit);
+
+    if (!Number.isInteger(page) || page < 1) {
+        throw new ApiError(400, "page must be a positive integer");
+    }
+    if (!Number.isInteger(limit) || limit < 1) {
+        throw new ApiError(400, "limit must be a positive integer");
+    }
+
+    return { page, limit: Math.min(limit, maxLimit) };
+};
+
+const encodeCursor = (data) => Buffer.from(JSON.stringify(data)).toString("base64url");
+
+/**
+ * Decode a cursor made by encodeCursor, an invalid cursor is a client error
+ */
+const decodeCursor = (cursor) => {
+    try {
+        const data = JSON.parse(Buffer.from(String(cursor), "base64url").toString("utf8"));
+        if (!data || typeof data !== "object") throw new Error("cursor is not an object");
+
+        return data;
+    } catch (error) {
+        throw new ApiError(400, "invalid cursor");
+    }
+};
+
+/**
+ * Match stage selecting the documents after the cursor for a sort on
+ * { [field]: direction, _id: direction }
+ * @param {string} field - sort field
+ * @param {*} value - sort value of the last document already returned
+ * @param {mongoose.Types.ObjectId} id - _id of that document
+ * @param {number} direction - 1 or -1
+ */
+const keysetMatch = (field, value, id, direction) => {
+    const operator = direction === 1 ? "$gt" : "$lt";
+
+    return {
+        $or: [
+            { [field]: { [operator]: value } },
+            { [field]: value, _id: { [operator]: id } }
+        ]
+    };
+};
+
+export { parsePagination, encodeCursor, decodeCursor, keysetMatch };
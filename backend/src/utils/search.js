@@ -0,0 +1,78 @@
+// Helpers for the search endpoint: query terms and highlighted snippets.
+// Snippets are plain text with matches wrapped in <mark></mark>, everything
+// else is HTML escaped so clients can render them as-is.
+
+const MAX_QUERY_LENGTH = 200;
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+const escapeHtml = (value) =>
+    value
+        .replace(/&/g, "&amp;")
+        .replace(/</g, "&lt;")
+        .replace(/>/g, "&gt;")
+        .replace(/"/g, "&quot;")
+        .replace(/'/g, "&#39;");
+
+/**
+ * Normalize the raw q parameter, null when there is nothing to search for
+ */
+const normalizeQuery = (q) => {
+    if (typeof q !== "string") return null;
+
+    const query = q.trim().replace(/\s+/g, " ").slice(0, MAX_QUERY_LENGTH);
+
+    return query || null;
+};
+
+/**
+ * Words of a query used for highlighting, quotes and negated terms removed
+ */
+const getSearchTerms = (query) =>
+    [...new Set(
+        query
+            .toLowerCase()
+            .split(/\s+/)
+            .filter((word) => !word.startsWith("-"))
+            .map((word) => word.replace(/^[^\p{L}\p{N}]+|[^\p{L}\p{N}]+$/gu, ""))
+            .filter(Boolean)
+    )];
+
+/**
+ * Cut a snippet of text around the first match and highlight every term in it.
+ * Words are matched by prefix so stemmed matches ("running" for "run") are found.
+ * @param {string} text - field value
+ * @param {string[]} terms - result of getSearchTerms
+ * @param {number} maxLength - snippet length before highlighting
+ * @returns {string|null} null when text is empty
+ */
+const highlight = (text, terms, maxLength = 160) => {
+    if (!text) return null;
+    if (terms.length === 0) return escapeHtml(text.slice(0, maxLength));
+
+    const pattern = new RegExp(`(?<![\\p{L}\\p{N}])(${terms.map(escapeRegExp).join("|")})[\\p{L}\\p{N}]*`, "giu");
+
+    let start = 0;
+    if (text.length > maxLength) {
+        const firstMatch = pattern.exec(text);
+        // keep a bit of context before the first match
+        start = firstMatch ? Math.max(0, Math.min(firstMatch.index - 40, text.length - maxLength)) : 0;
+    }
+
+    const snippet = text.slice(start, start + maxLength);
+    let result = "";
+    let lastIndex = 0;
+
+    // matchAll starts at lastIndex, which exec moved
+    pattern.lastIndex = 0;
+    for (const match of snippet.matchAll(pattern)) {
+        result += escapeHtml(snippet.slice(lastIndex, match.index));
+        result += `<mark>${escapeHtml(match[0])}</mark>`;
+        lastIndex = match.index + match[0].length;
+    }
+    result += escapeHtml(snippet.slice(lastIndex));
+
+    return `${start > 0 ? "…" : ""}${result}${start + maxLength < text.length ? "…" : ""}`;
+};
+
+export { normalizeQuery, getSearchTerms, highlight, escapeRegExp };
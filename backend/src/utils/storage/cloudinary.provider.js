@@ -0,0 +1,37 @@
+import { v2 as cloudinary } from "cloudinary";
+
+cloudinary.config({
+    cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
+    api_key: process.env.CLOUDINARY_API_KEY,
+    api_secret: process.env.CLOUDINARY_API_SECRET
+});
+
+const upload = async (localFilePath, { folder } = {}) => {
+    const response = await cloudinary.uploader.upload(localFilePath, {
+        resource_type: "auto",
+        folder
+    });
+
+    console.log("file is uploaded on cloudinary", response.url);
+
+    return {
+        url: response.secure_url || response.url,
+        publicId: response.public_id,
+        duration: response.duration ?? null,
+        bytes: response.bytes ?? null
+    };
+};
+
+const remove = async (publicId, { resourceType = "image" } = {}) => {
+    const response = await cloudinary.uploader.destroy(publicId, {
+        resource_type: resourceType
+    });
+
+    return response?.result === "ok";
+};
+
+export const cloudinaryProvider = {
+    name: "cloudinary",
+    upload,
+    remove
+};
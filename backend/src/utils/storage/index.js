@@ -0,0 +1,81 @@
+import fs from "fs";
+import { cloudinaryProvider } from "./cloudinary.provider.js";
+import { localProvider } from "./local.provider.js";
+
+const providers = {
+    [cloudinaryProvider.name]: cloudinaryProvider,
+    [localProvider.name]: localProvider
+};
+
+const getStorageProvider = () => {
+    const name = process.env.STORAGE_PROVIDER || cloudinaryProvider.name;
+    const provider = providers[name];
+
+    if (!provider) {
+        throw new Error(`unknown storage provider: ${name}`);
+    }
+
+    return provider;
+};
+
+const removeLocalFile = (localFilePath) => {
+    if (fs.existsSync(localFilePath)) {
+        console.log(`Deleting file from path: ${localFilePath}`);
+        fs.unlinkSync(localFilePath);
+    } else {
+        console.log(`File does not exist at path: ${localFilePath}`);
+    }
+};
+
+/**
+ * Upload a file from public/temp to the configured storage provider.
+ * The temp file is always removed afterwards.
+ * @param {string} localFilePath - path of the multer temp file
+ * @param {Object} options - { folder }
+ * @returns {Promise<{url: string, publicId: string, duration: number|null, bytes: number|null}|null>}
+ */
+const uploadFile = async (localFilePath, options = {}) => {
+    if (!localFilePath) return null;
+
+    try {
+        console.log(`Attempting to upload file from path: ${localFilePath}`);
+
+        return await getStorageProvider().upload(localFilePath, options);
+    } catch (error) {
+        console.error(`Error uploading file: ${error.message}`);
+        return null;
+    } finally {
+        removeLocalFile(localFilePath);
+    }
+};
+
+/**
+ * Delete a previously uploaded file. Failures are logged, never thrown,
+ * so cleaning up a replaced asset cannot break the request that replaced it.
+ * @param {string} publicId - id returned by uploadFile
+ * @param {Object} options - { resourceType: "image" | "video" }
+ */
+const deleteFile = async (publicId, options = {}) => {
+    if (!publicId) return false;
+
+    try {
+        return await getStorageProvider().remove(publicId, options);
+    } catch (error) {
+        console.error(`Error deleting file ${publicId}: ${error.message}`);
+        return false;
+    }
+};
+
+/**
+ * Absolute path of a stored file when the active provider keeps files on this
+ * machine, null for remote providers which are served from their own URL
+ */
+const resolveLocalFile = (publicId) => {
+    const provider = getStorageProvider();
+
+    if (!publicId || typeof provider.resolvePath !== "function") return null;
+
+    return provider.resolvePath(publicId);
+};
+
+export { uploadFile, deleteFile, getStorageProvider, resolveLocalFile };
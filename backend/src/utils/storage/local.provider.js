@@ -0,0 +1,60 @@
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+
+// Files are written under public/ so the express.static mount in app.js serves them
+const PUBLIC_ROOT = path.resolve("public");
+const UPLOAD_DIR = process.env.LOCAL_STORAGE_DIR || "uploads";
+
+const getBaseUrl = () =>
+    (process.env.LOCAL_STORAGE_BASE_URL || `http://localhost:${process.env.PORT || 8000}`).replace(/\/+$/, "");
+
+const resolvePath = (publicId) => {
+    const filePath = path.resolve(PUBLIC_ROOT, publicId);
+
+    // Never resolve outside of public/, publicIds can come from the database
+    if (!filePath.startsWith(PUBLIC_ROOT + path.sep)) {
+        throw new Error(`invalid local storage id: ${publicId}`);
+    }
+
+    return filePath;
+};
+
+const upload = async (localFilePath, { folder = "" } = {}) => {
+    const extension = path.extname(localFilePath).toLowerCase();
+    const fileName = `${Date.now()}-${crypto.randomBytes(8).toString("hex")}${extension}`;
+    const publicId = path.posix.join(UPLOAD_DIR, folder, fileName);
+    const destination = resolvePath(publicId);
+
+    await fs.promises.mkdir(path.dirname(destination), { recursive: true });
+    await fs.promises.copyFile(localFilePath, destination);
+
+    const { size } = await fs.promises.stat(destination);
+
+    console.log("file is stored locally", publicId);
+
+    return {
+        url: `${getBaseUrl()}/${publicId}`,
+        publicId,
+        // Local storage does not inspect media, callers fall back to their own probing
+        duration: null,
+        bytes: size
+    };
+};
+
+const remove = async (publicId) => {
+    try {
+        await fs.promises.unlink(resolvePath(publicId));
+        return true;
+    } catch (error) {
+        if (error.code === "ENOENT") return false;
+        throw error;
+    }
+};
+
+export const localProvider = {
+    name: "local",
+    upload,
+    remove,
+    resolvePath
+};
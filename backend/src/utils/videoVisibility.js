@@ -0,0 +1,51 @@
+// Who may see a video.
+// - public: listed everywhere
+// - unlisted: reachable by its ID (direct link, playlists, history) but never listed or searched
+// - private: only the owner
+// Unpublished videos and videos still processing are only visible to the owner.
+
+const VIEWABLE_PRIVACY = ["public", "unlisted"];
+
+const isVideoOwner = (video, user) => {
+    const ownerId = video?.owner?._id ?? video?.owner;
+
+    return Boolean(user?._id && ownerId && ownerId.toString() === user._id.toString());
+};
+
+const canViewVideo = (video, user) => {
+    if (!video) return false;
+    if (isVideoOwner(video, user)) return true;
+
+    return (
+        video.isPublished === true &&
+        video.processingStatus === "completed" &&
+        VIEWABLE_PRIVACY.includes(video.privacy)
+    );
+};
+
+/**
+ * Match stage for listings and search: public, published and processed videos only
+ */
+const listedVideoMatch = () => ({
+    isPublished: true,
+    processingStatus: "completed",
+    privacy: "public"
+});
+
+/**
+ * Match stage for videos referenced by ID from another document (playlists,
+ * watch history, likes): unlisted videos are included, the viewer's own
+ * videos always are
+ * @param {Object} user - req.user, may be undefined
+ */
+const viewableVideoMatch = (user) => {
+    const viewable = {
+        isPublished: true,
+        processingStatus: "completed",
+        privacy: { $in: VIEWABLE_PRIVACY }
+    };
+
+    return user?._id ? { $or: [viewable, { owner: user._id }] } : viewable;
+};
+
+export { isVideoOwner, canViewVideo, listedVideoMatch, viewableVideoMatch };
@@ -0,0 +1,51 @@
+import dotenv from "dotenv" ;
+import mongoose from "mongoose";
+import connectDB from "./db/index.js";
+import JobQueue from "./services/jobQueue.service.js";
+import VideoProcessingService, { VIDEO_PROCESS_JOB } from "./services/videoProcessing.service.js";
+import VideoSchedulingService, { VIDEO_PUBLISH_JOB } from "./services/videoScheduling.service.js";
+import TrendingService, { TRENDING_REFRESH_JOB } from "./services/trending.service.js";
+import NotificationService, { NOTIFICATION_FANOUT_JOB } from "./services/notification.service.js";
+import EmailService, { EMAIL_SEND_JOB, EMAIL_DIGEST_JOB } from "./services/email.service.js";
+import PasswordResetService, { PASSWORD_RESET_EMAIL_JOB } from "./services/passwordReset.service.js";
+import EmailVerificationService, { EMAIL_VERIFICATION_JOB } from "./services/emailVerification.service.js";
+import ChunkedUploadService, { UPLOAD_CLEANUP_JOB } from "./services/chunkedUpload.service.js";
+
+dotenv.config({
+    path : "./.env"
+})
+
+// job type -> handler, every handler receives the job payload and the job
+const handlers = {
+    [VIDEO_PROCESS_JOB]: ({ videoId }, job) => VideoProcessingService.processVideo(videoId, job),
+    [VIDEO_PUBLISH_JOB]: ({ videoId, publishAt }) => VideoSchedulingService.publishScheduled(videoId, publishAt),
+    [TRENDING_REFRESH_JOB]: () => TrendingService.runRefreshJob(),
+    [NOTIFICATION_FANOUT_JOB]: (payload) => NotificationService.fanOut(payload),
+    [EMAIL_SEND_JOB]: (payload) => EmailService.send(payload),
+    [EMAIL_DIGEST_JOB]: () => EmailService.runDigestJob(),
+    [PASSWORD_RESET_EMAIL_JOB]: (payload, job) => PasswordResetService.sendResetEmail(payload, job),
+    [EMAIL_VERIFICATION_JOB]: (payload) => EmailVerificationService.sendQueuedVerificationEmail(payload),
+    [UPLOAD_CLEANUP_JOB]: ({ sessionId }) => ChunkedUploadService.removeExpiredChunks(sessionId)
+}
+
+connectDB()
+.then( async () => {
+    // recurring jobs queue their next run themselves, start the chains
+    await TrendingService.scheduleRefresh()
+    await EmailService.scheduleDigest()
+
+    const stopWorker = JobQueue.startWorker(handlers)
+
+    const shutdown = async (signal) => {
+        console.log(`${signal} received, finishing the current job...`)
+        await stopWorker()
+        await mongoose.disconnect()
+        process.exit(0)
+    }
+
+    process.on("SIGINT", shutdown)
+    process.on("SIGTERM", shutdown)
+}
+).catch( (err) => {
+    console.log(`mongoDB database is not connected : ` , err ) ;
+} ) ;
@@ -0,0 +1,110 @@
+import assert from "node:assert/strict";
+import { afterEach, beforeEach, describe, it, mock } from "node:test";
+import jwt from "jsonwebtoken";
+
+// Changing the password while logged in, with the user and their sessions kept in memory
+
+process.env.ACCESS_TOKEN_SECRET = "test-access-secret";
+process.env.ACCESS_TOKEN_EXPIRY = "15m";
+
+const { changeCurrentPassword } = await import("../src/controllers/user.controller.js");
+const { authenticate } = await import("../src/middlewares/auth.middleware.js");
+const { User } = await import("../src/models/user.model.js");
+const { Session } = await import("../src/models/session.model.js");
+const { default: SessionService } = await import("../src/services/session.service.js");
+
+const USER_ID = "66f0c0ffee0000000000aaaa";
+const CURRENT_SESSION = "66f0c0ffee0000000000c001";
+const STOLEN_SESSION = "66f0c0ffee0000000000c002";
+
+let user;
+let sessions;
+
+// token signed at login, a minute before the password change
+const loginToken = (sessionId) =>
+    jwt.sign({ _id: USER_ID, sid: sessionId, iat: Math.floor(Date.now() / 1000) - 60 }, process.env.ACCESS_TOKEN_SECRET);
+
+// the handler does not return its promise, wait for the response or the error instead
+const changePassword = (body, sessionId = CURRENT_SESSION) =>
+    new Promise((resolve, reject) => {
+        const res = {
+            cookies: {},
+            status(code) {
+                this.statusCode = code;
+                return this;
+            },
+            cookie(name, value) {
+                this.cookies[name] = value;
+                return this;
+            },
+            json(body) {
+                this.body = body;
+                resolve(this);
+                return this;
+            }
+        };
+
+        changeCurrentPassword({ body, user: { _id: USER_ID }, sessionId }, res, reject);
+    });
+
+describe("changeCurrentPassword", () => {
+    beforeEach(() => {
+        user = new User({ _id: USER_ID, username: "ada", email: "ada@example.com", fullName: "Ada", avatar: "a.png", password: "hashed" });
+        sessions = [
+            { _id: CURRENT_SESSION, user: USER_ID },
+            { _id: STOLEN_SESSION, user: USER_ID }
+        ];
+
+        mock.method(User.prototype, "isPasswordCorrect", async (password) => password === "old-password");
+        mock.method(User.prototype, "save", async function () {
+            return this;
+        });
+
+        mock.method(Session, "updateMany", async ({ user: userId, _id }, { $set }) => {
+            const revoked = sessions.filter((session) => session.user === String(userId) && !session.revokedAt && session._id !== _id?.$ne);
+            revoked.forEach((session) => Object.assign(session, $set));
+            return { modifiedCount: revoked.length };
+        });
+
+        mock.method(SessionService, "isActive", async (sessionId) =>
+            sessions.some((session) => session._id === sessionId && !session.revokedAt)
+        );
+    });
+
+    afterEach(() => mock.restoreAll());
+
+    it("ends the other sessions and keeps the current one logged in", async () => {
+        mock.method(User, "findById", async () => user);
+        const res = await changePassword({ oldPassword: "old-password", newPassword: "new-password" });
+
+        assert.equal(res.statusCode, 200);
+        assert.ok(user.passwordChangedAt instanceof Date);
+        assert.equal(user.password, "new-password");
+        assert.deepEqual(
+            sessions.map(({ _id, revokedReason }) => [_id, revokedReason]),
+            [[CURRENT_SESSION, undefined], [STOLEN_SESSION, "password_change"]]
+        );
+        assert.equal(res.cookies.accessToken, res.body.data.accessToken);
+
+        mock.method(User, "findById", () => ({ select: async () => user }));
+
+        const { sessionId } = await authenticate(res.cookies.accessToken);
+        assert.equal(sessionId, CURRENT_SESSION);
+
+        for (const sessionId of [CURRENT_SESSION, STOLEN_SESSION]) {
+            await assert.rejects(authenticate(loginToken(sessionId)), {
+                statusCode: 401,
+                message: "session expired, please log in again"
+            });
+        }
+    });
+
+    it("keeps every session when the old password is wrong", async () => {
+        mock.method(User, "findById", async () => user);
+
+        await assert.rejects(changePassword({ oldPassword: "guess", newPassword: "new-password" }), { statusCode: 400 });
+
+        assert.equal(user.passwordChangedAt, undefined);
+        assert.ok(sessions.every((session) => !session.revokedAt));
+    });
+});
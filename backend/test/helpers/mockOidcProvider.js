@@ -0,0 +1,140 @@
+import crypto from "crypto";
+import http from "http";
+import jwt from "jsonwebtoken";
+
+// A small OpenID Connect provider running in the test process. It serves
+// discovery, JWKS, token and userinfo, and signs ID tokens with RSA keys it
+// generates. authorize() stands in for the browser visiting the login page.
+
+const generateKey = (kid) => {
+    const { privateKey, publicKey } = crypto.generateKeyPairSync("rsa", { modulusLength: 2048 });
+
+    return { kid, privateKey, jwk: { ...publicKey.export({ format: "jwk" }), kid, use: "sig", alg: "RS256" } };
+};
+
+/**
+ * Start a provider on a free local port
+ * @param {Object} options - { clientId }
+ */
+export const startMockOidcProvider = async ({ clientId }) => {
+    const codes = new Map();
+    const accessTokens = new Map();
+    let keys = [generateKey("key-1")];
+    let keyCount = 1;
+    const requests = { discovery: 0, jwks: 0, token: 0, userinfo: 0 };
+
+    const server = http.createServer(async (req, res) => {
+        const url = new URL(req.url, provider.issuer);
+        const send = (status, body) => {
+            res.writeHead(status, { "Content-Type": "application/json" });
+            res.end(JSON.stringify(body));
+        };
+
+        if (url.pathname === "/.well-known/openid-configuration") {
+            requests.discovery++;
+            return send(200, {
+                issuer: provider.issuer,
+                authorization_endpoint: `${provider.issuer}/authorize`,
+                token_endpoint: `${provider.issuer}/token`,
+                userinfo_endpoint: `${provider.issuer}/userinfo`,
+                jwks_uri: `${provider.issuer}/jwks`
+            });
+        }
+
+        if (url.pathname === "/jwks") {
+            requests.jwks++;
+            return send(200, { keys: keys.map(({ jwk }) => jwk) });
+        }
+
+        if (url.pathname === "/token" && req.method === "POST") {
+            requests.token++;
+            let body = "";
+            for await (const chunk of req) body += chunk;
+            const params = new URLSearchParams(body);
+
+            const grant = codes.get(params.get("code"));
+            codes.delete(params.get("code"));
+
+            if (!grant || grant.clientId !== params.get("client_id") || grant.redirectUri !== params.get("redirect_uri")) {
+                return send(400, { error: "invalid_grant" });
+            }
+
+            const challenge = crypto.createHash("sha256").update(params.get("code_verifier") || "").digest("base64url");
+            if (challenge !== grant.codeChallenge) {
+                return send(400, { error: "invalid_grant", error_description: "PKCE verification failed" });
+            }
+
+            const { idToken: overrides = {}, signWith, ...claims } = grant.claims;
+            const key = signWith || keys[keys.length - 1];
+            const accessToken = crypto.randomBytes(16).toString("hex");
+            accessTokens.set(accessToken, { ...claims, ...grant.userInfo });
+
+            const idToken = jwt.sign(
+                { ...claims, nonce: overrides.nonce ?? grant.nonce },
+                key.privateKey,
+                {
+                    algorithm: "RS256",
+                    keyid: key.kid,
+                    issuer: overrides.iss ?? provider.issuer,
+                    audience: overrides.aud ?? clientId,
+                    expiresIn: 300
+                }
+            );
+
+            return send(200, { access_token: accessToken, token_type: "Bearer", id_token: idToken });
+        }
+
+        if (url.pathname === "/userinfo") {
+            requests.userinfo++;
+            const info = accessTokens.get(req.headers.authorization?.replace("Bearer ", ""));
+            return info ? send(200, info) : send(401, { error: "invalid_token" });
+        }
+
+        send(404, { error: "not_found" });
+    });
+
+    await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+
+    const provider = {
+        issuer: `http://127.0.0.1:${server.address().port}`,
+        requests,
+
+        /**
+         * The user signs in at the provider, which redirects back with a code
+         * @param {string} authorizationUrl - from OAuthService.createAuthorizationUrl
+         * @param {Object} claims - ID token claims; idToken overrides nonce, iss or aud,
+         * signWith picks a key, userInfo adds claims only the userinfo endpoint returns
+         * @returns {{code: string, state: string}}
+         */
+        authorize(authorizationUrl, { userInfo = {}, ...claims }) {
+            const params = new URL(authorizationUrl).searchParams;
+            const code = crypto.randomBytes(16).toString("hex");
+
+            codes.set(code, {
+                clientId: params.get("client_id"),
+                redirectUri: params.get("redirect_uri"),
+                codeChallenge: params.get("code_challenge"),
+                nonce: params.get("nonce"),
+                claims,
+                userInfo
+            });
+
+            return { code, state: params.get("state") };
+        },
+
+        /**
+         * Replace the signing keys, tokens are then signed with a kid clients have not seen
+         */
+        rotateKeys() {
+            keyCount++;
+            keys = [generateKey(`key-${keyCount}`)];
+        },
+
+        // a key that is never published, for forged tokens
+        createUnpublishedKey: () => generateKey("unpublished"),
+
+        close: () => new Promise((resolve) => server.close(resolve))
+    };
+
+    return provider;
+};
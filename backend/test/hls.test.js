@@ -0,0 +1,206 @@
+import assert from "node:assert/strict";
+import { execFileSync, spawnSync } from "node:child_process";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { after, before, describe, it, mock } from "node:test";
+import express from "express";
+
+// Adaptive streaming end to end: a short generated clip goes through the
+// rendition ladder with the real ffmpeg, then the playlists are served by the
+// video routes. Skipped when ffmpeg is not installed, set FFMPEG_PATH and
+// FFPROBE_PATH to use binaries outside of PATH.
+
+const FFMPEG_PATH = process.env.FFMPEG_PATH || "ffmpeg";
+const FFPROBE_PATH = process.env.FFPROBE_PATH || "ffprobe";
+const hasFfmpeg = [FFMPEG_PATH, FFPROBE_PATH].every((binary) => spawnSync(binary, ["-version"]).status === 0);
+
+// local storage writes under ./public, keep it out of the repo
+const workDir = fs.mkdtempSync(path.join(os.tmpdir(), "tweetube-hls-"));
+process.chdir(workDir);
+process.env.STORAGE_PROVIDER = "local";
+process.env.LOCAL_STORAGE_BASE_URL = "https://cdn.example.com";
+process.env.VIDEO_RENDITIONS = "144p,240p,360p";
+
+const { default: VideoProcessingService } = await import("../src/services/videoProcessing.service.js");
+const { probeVideo, transcodeHlsRendition } = await import("../src/utils/ffmpeg.js");
+const { parseMediaPlaylist, buildMasterPlaylist, buildMediaPlaylist } = await import("../src/utils/hls.js");
+const { Video } = await import("../src/models/video.model.js");
+const { VIDEO_QUALITIES } = await import("../src/constants.js");
+const { default: videoRouter } = await import("../src/routes/video.routes.js");
+
+// byte ranges of a media playlist as [length, offset]
+const byteRanges = (text) =>
+    [...text.matchAll(/^#EXT-X-BYTERANGE:(\d+)@(\d+)$/gm)].map(([, length, offset]) => [Number(length), Number(offset)]);
+
+after(() => fs.rmSync(workDir, { recursive: true, force: true }));
+
+describe("HLS renditions", { skip: !hasFfmpeg && "ffmpeg is not available" }, () => {
+    let sourcePath;
+
+    before(() => {
+        sourcePath = path.join(workDir, "source.mp4");
+        execFileSync(FFMPEG_PATH, [
+            "-v", "error",
+            "-f", "lavfi", "-i", "testsrc=duration=2:size=426x240:rate=25",
+            "-f", "lavfi", "-i", "sine=frequency=440:duration=2",
+            "-c:v", "libx264", "-preset", "ultrafast",
+            "-c:a", "aac",
+            "-shortest",
+            sourcePath
+        ]);
+    });
+
+    it("transcodes the ladder up to the source resolution", async () => {
+        const metadata = await probeVideo(sourcePath);
+        assert.deepEqual([metadata.width, metadata.height], [426, 240]);
+
+        const uploaded = [];
+        const playlists = await VideoProcessingService.createRenditions({ _id: "video1" }, sourcePath, metadata, uploaded);
+
+        assert.deepEqual(uploaded.map(({ quality }) => quality), ["144p", "240p"]);
+        assert.deepEqual(Object.keys(playlists), ["144p", "240p"]);
+        assert.deepEqual(
+            fs.readdirSync(workDir).filter((name) => name.startsWith("video1-hls")),
+            [],
+            "the work directory is removed"
+        );
+
+        for (const rendition of uploaded) {
+            const storedPath = path.join(workDir, "public", rendition.publicId);
+
+            // one decoded gray frame has a byte per pixel
+            const frame = execFileSync(FFMPEG_PATH, [
+                "-v", "error", "-i", storedPath, "-frames:v", "1", "-f", "rawvideo", "-pix_fmt", "gray", "-"
+            ]);
+            assert.equal(frame.length, rendition.width * rendition.height);
+            assert.equal(rendition.bytes, fs.statSync(storedPath).size);
+            assert.ok(rendition.bandwidth > 0);
+
+            // one segment for a 2 second clip, the whole media file after the init data
+            const [[duration, offset, length]] = playlists[rendition.quality].segments;
+            assert.ok(duration > 1.5 && duration < 2.5);
+            assert.ok(offset + length <= rendition.bytes);
+        }
+
+        const master = buildMasterPlaylist(uploaded);
+        const variants = [...master.matchAll(/^#EXT-X-STREAM-INF:BANDWIDTH=(\d+),RESOLUTION=(\d+x\d+),NAME="([^"]+)"\n(.+)$/gm)]
+            .map(([, bandwidth, resolution, name, uri]) => ({ bandwidth: Number(bandwidth), resolution, name, uri }));
+
+        assert.deepEqual(variants, [
+            { bandwidth: uploaded[0].bandwidth, resolution: "256x144", name: "144p", uri: "144p.m3u8" },
+            { bandwidth: uploaded[1].bandwidth, resolution: "426x240", name: "240p", uri: "240p.m3u8" }
+        ]);
+        assert.ok(variants[0].bandwidth < variants[1].bandwidth);
+    });
+
+    it("addresses every segment as a byte range of the single media file", async () => {
+        const outputDir = fs.mkdtempSync(path.join(workDir, "segments-"));
+        const rendition = VIDEO_QUALITIES.find(({ quality }) => quality === "144p");
+
+        const { playlistPath, mediaPath } = await transcodeHlsRendition(sourcePath, outputDir, rendition, 0.5);
+        const written = fs.readFileSync(playlistPath, "utf8");
+        const playlist = parseMediaPlaylist(written);
+        const mediaBytes = fs.statSync(mediaPath).size;
+
+        assert.ok(playlist.segments.length >= 3, `expected several segments, got ${playlist.segments.length}`);
+        assert.deepEqual(
+            playlist.segments.map(([, offset, length]) => [length, offset]),
+            byteRanges(written),
+            "offsets ffmpeg left implicit are filled in"
+        );
+
+        // contiguous ranges covering the file
+        let end = playlist.segments[0][1];
+        for (const [, offset, length] of playlist.segments) {
+            assert.equal(offset, end);
+            end = offset + length;
+        }
+        assert.equal(end, mediaBytes);
+
+        const served = buildMediaPlaylist("https://cdn.example.com/144p.ts", playlist);
+        const lines = served.trim().split("\n");
+
+        assert.equal(lines[0], "#EXTM3U");
+        assert.equal(lines.at(-1), "#EXT-X-ENDLIST");
+        assert.ok(lines.includes("#EXT-X-PLAYLIST-TYPE:VOD"));
+        assert.ok(lines.includes(`#EXT-X-TARGETDURATION:${Math.ceil(playlist.targetDuration)}`));
+        assert.deepEqual(byteRanges(served), byteRanges(written));
+        assert.equal(lines.filter((line) => line === "https://cdn.example.com/144p.ts").length, playlist.segments.length);
+    });
+});
+
+describe("HLS playlist routes", () => {
+    const videoId = "66f0c0ffee0000000000beef";
+    let server;
+    let baseUrl;
+
+    before(async () => {
+        const app = express();
+        app.set("env", "test");
+        app.use("/api/v1/videos", videoRouter);
+
+        server = app.listen(0, "127.0.0.1");
+        await new Promise((resolve) => server.once("listening", resolve));
+        baseUrl = `http://127.0.0.1:${server.address().port}/api/v1/videos`;
+
+        const video = new Video({
+            _id: videoId,
+            owner: "66f0c0ffee0000000000aaaa",
+            title: "clip",
+            isPublished: true,
+            privacy: "public",
+            processingStatus: "completed",
+            renditions: [
+                { quality: "144p", width: 256, height: 144, bandwidth: 180000, url: "https://cdn.example.com/144p.ts" },
+                { quality: "240p", width: 426, height: 240, bandwidth: 420000, url: "https://cdn.example.com/240p.ts" }
+            ],
+            hlsPlaylists: {
+                "144p": { targetDuration: 2, map: null, segments: [[2, 0, 51700]] },
+                "240p": { targetDuration: 2, map: null, segments: [[2, 0, 99828]] }
+            }
+        });
+
+        mock.method(Video, "findById", (id) => ({
+            select: async () => (String(id) === videoId ? video : null)
+        }));
+    });
+
+    after(() => {
+        mock.restoreAll();
+        return new Promise((resolve) => server.close(resolve));
+    });
+
+    it("serves the master playlist", async () => {
+        const response = await fetch(`${baseUrl}/${videoId}/hls/master.m3u8`);
+        const body = await response.text();
+
+        assert.equal(response.status, 200);
+        assert.match(response.headers.get("content-type"), /^application\/vnd\.apple\.mpegurl/);
+        assert.match(body, /BANDWIDTH=180000,RESOLUTION=256x144,NAME="144p"\n144p\.m3u8/);
+        assert.match(body, /BANDWIDTH=420000,RESOLUTION=426x240,NAME="240p"\n240p\.m3u8/);
+    });
+
+    it("serves a media playlist of a rendition", async () => {
+        const response = await fetch(`${baseUrl}/${videoId}/hls/240p.m3u8`);
+        const body = await response.text();
+
+        assert.equal(response.status, 200);
+        assert.match(body, /#EXTINF:2\.000000,\n#EXT-X-BYTERANGE:99828@0\nhttps:\/\/cdn\.example\.com\/240p\.ts/);
+    });
+
+    it("returns 404 for a quality the video does not have", async () => {
+        for (const quality of ["1080p", "unknown"]) {
+            const response = await fetch(`${baseUrl}/${videoId}/hls/${quality}.m3u8`);
+
+            assert.equal(response.status, 404, quality);
+            assert.match(await response.text(), new RegExp(`video has no ${quality} rendition`));
+        }
+    });
+
+    it("returns 404 for an unknown video", async () => {
+        const response = await fetch(`${baseUrl}/66f0c0ffee0000000000dead/hls/144p.m3u8`);
+
+        assert.equal(response.status, 404);
+    });
+});
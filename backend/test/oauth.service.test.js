@@ -0,0 +1,343 @@
+import assert from "node:assert/strict";
+import { after, afterEach, beforeEach, describe, it, mock } from "node:test";
+import { startMockOidcProvider } from "./helpers/mockOidcProvider.js";
+
+// OpenID Connect sign-in against a provider running in the test process.
+// The models are stubbed with in-memory collections, no database is needed.
+
+const CLIENT_ID = "tweetube-test";
+const provider = await startMockOidcProvider({ clientId: CLIENT_ID });
+
+process.env.OAUTH_PROVIDERS = "mock";
+process.env.OAUTH_MOCK_ISSUER = provider.issuer;
+process.env.OAUTH_MOCK_CLIENT_ID = CLIENT_ID;
+process.env.OAUTH_MOCK_CLIENT_SECRET = "secret";
+process.env.ACCESS_TOKEN_SECRET = "test-access-secret";
+
+const { default: OAuthService } = await import("../src/services/oauth.service.js");
+const { handleOAuthCallback } = await import("../src/controllers/oauth.controller.js");
+const { completeTwoFactorLogin } = await import("../src/controllers/user.controller.js");
+const { default: TwoFactorService } = await import("../src/services/twoFactor.service.js");
+const { default: SessionService } = await import("../src/services/session.service.js");
+const { OAuthState } = await import("../src/models/oauthState.model.js");
+const { User } = await import("../src/models/user.model.js");
+
+let states;
+let users;
+
+const stubModels = () => {
+    states = [];
+    users = [];
+
+    mock.method(OAuthState, "create", async (data) => {
+        const doc = new OAuthState(data);
+        states.push(doc);
+        return doc;
+    });
+
+    mock.method(OAuthState, "findOneAndDelete", async ({ state, provider: name, expiresAt }) => {
+        const index = states.findIndex((doc) => doc.state === state && doc.provider === name && doc.expiresAt > expiresAt.$gt);
+        return index === -1 ? null : states.splice(index, 1)[0];
+    });
+
+    mock.method(User, "findOne", async (filter) => {
+        if (filter.identities) {
+            const { provider: name, subject } = filter.identities.$elemMatch;
+            return users.find((user) => user.identities.some((identity) => identity.provider === name && identity.subject === subject)) || null;
+        }
+        return users.find((user) => user.email === filter.email) || null;
+    });
+
+    mock.method(User, "exists", async ({ username }) => (users.some((user) => user.username === username) ? { _id: "taken" } : null));
+
+    mock.method(User, "create", async (data) => {
+        const user = new User(data);
+        const error = user.validateSync();
+        if (error) throw error;
+        users.push(user);
+        return user;
+    });
+
+    mock.method(User.prototype, "save", async function () {
+        return this;
+    });
+};
+
+const addUser = (data) => {
+    const user = new User({ fullName: "Existing", avatar: "https://example.com/a.png", password: "hashed", ...data });
+    users.push(user);
+    return user;
+};
+
+// Start a sign-in, let the provider authorize it with these claims and run the callback
+const signIn = async (claims, { redirectTo = "/" } = {}) => {
+    const { url } = await OAuthService.createAuthorizationUrl("mock", redirectTo);
+    const { code, state } = provider.authorize(url, claims);
+
+    return await OAuthService.handleCallback("mock", { code, state });
+};
+
+after(() => provider.close());
+
+describe("OAuthService", () => {
+    beforeEach(stubModels);
+    afterEach(() => mock.restoreAll());
+
+    describe("handleCallback", () => {
+        it("creates a verified user for a new account", async () => {
+            const { user, redirectTo } = await signIn(
+                { sub: "alice-1", email: "Alice@Example.com", email_verified: true, name: "Alice Doe", preferred_username: "alice" },
+                { redirectTo: "/videos/42" }
+            );
+
+            assert.equal(redirectTo, "/videos/42");
+            assert.equal(user.username, "alice");
+            assert.equal(user.fullName, "Alice Doe");
+            assert.equal(user.email, "alice@example.com");
+            assert.equal(user.isVerified, true);
+            assert.deepEqual(user.identities.map(({ provider: name, subject }) => ({ provider: name, subject })), [
+                { provider: "mock", subject: "alice-1" }
+            ]);
+            assert.equal(states.length, 0);
+        });
+
+        it("returns the linked user on the next sign-in", async () => {
+            const { user: first } = await signIn({ sub: "bob-1", email: "bob@example.com", email_verified: true });
+            const { user: second } = await signIn({ sub: "bob-1", email: "bob@example.com", email_verified: true });
+
+            assert.equal(String(second._id), String(first._id));
+            assert.equal(users.length, 1);
+        });
+
+        it("reads the email from userinfo when the ID token has none", async () => {
+            const userInfoCalls = provider.requests.userinfo;
+            const { user } = await signIn({ sub: "carol-1", userInfo: { email: "carol@example.com", email_verified: true } });
+
+            assert.equal(provider.requests.userinfo, userInfoCalls + 1);
+            assert.equal(user.email, "carol@example.com");
+        });
+
+        it("never sends the browser to another site", async () => {
+            const { redirectTo } = await signIn({ sub: "dan-1", email: "dan@example.com" }, { redirectTo: "//evil.example.com" });
+
+            assert.equal(redirectTo, "/");
+        });
+
+        it("rejects an unknown state", async () => {
+            const { url } = await OAuthService.createAuthorizationUrl("mock", "/");
+            const { code } = provider.authorize(url, { sub: "eve-1", email: "eve@example.com" });
+
+            await assert.rejects(OAuthService.handleCallback("mock", { code, state: "forged" }), { statusCode: 400 });
+        });
+
+        it("rejects a replayed callback", async () => {
+            const { url } = await OAuthService.createAuthorizationUrl("mock", "/");
+            const { code, state } = provider.authorize(url, { sub: "eve-1", email: "eve@example.com" });
+
+            await OAuthService.handleCallback("mock", { code, state });
+            await assert.rejects(OAuthService.handleCallback("mock", { code, state }), {
+                statusCode: 400,
+                message: "sign-in has expired, please try again"
+            });
+        });
+
+        it("rejects an expired state", async () => {
+            const { url } = await OAuthService.createAuthorizationUrl("mock", "/");
+            const { code, state } = provider.authorize(url, { sub: "eve-1", email: "eve@example.com" });
+            states[0].expiresAt = new Date(Date.now() - 1000);
+
+            await assert.rejects(OAuthService.handleCallback("mock", { code, state }), { statusCode: 400 });
+        });
+    });
+
+    describe("verifyIdToken", () => {
+        it("rejects a token with another nonce", async () => {
+            await assert.rejects(signIn({ sub: "f-1", email: "f@example.com", idToken: { nonce: "other" } }), {
+                statusCode: 401,
+                message: "invalid ID token: nonce does not match"
+            });
+        });
+
+        it("rejects a token for another client", async () => {
+            await assert.rejects(signIn({ sub: "f-1", email: "f@example.com", idToken: { aud: "someone-else" } }), {
+                statusCode: 401,
+                message: /^invalid ID token: jwt audience invalid/
+            });
+        });
+
+        it("rejects a token from another issuer", async () => {
+            await assert.rejects(signIn({ sub: "f-1", email: "f@example.com", idToken: { iss: "https://evil.example.com" } }), {
+                statusCode: 401,
+                message: /^invalid ID token: jwt issuer invalid/
+            });
+        });
+
+        it("rejects a token signed with a key the provider never published", async () => {
+            await assert.rejects(signIn({ sub: "f-1", email: "f@example.com", signWith: provider.createUnpublishedKey() }), {
+                statusCode: 401,
+                message: "ID token is signed with an unknown key"
+            });
+            assert.equal(users.length, 0);
+        });
+
+        it("fetches the keys again after the provider rotated them", async () => {
+            await signIn({ sub: "g-1", email: "g@example.com" });
+            const jwksCalls = provider.requests.jwks;
+
+            provider.rotateKeys();
+            const { user } = await signIn({ sub: "g-1", email: "g@example.com" });
+
+            assert.equal(user.email, "g@example.com");
+            assert.equal(provider.requests.jwks, jwksCalls + 1);
+        });
+    });
+
+    describe("findOrCreateUser", () => {
+        it("links a verified provider email to a verified account", async () => {
+            const existing = addUser({ username: "henry", email: "henry@example.com", isVerified: true, emailVerifiedAt: new Date() });
+
+            const { user } = await signIn({ sub: "henry-1", email: "henry@example.com", email_verified: true });
+
+            assert.equal(String(user._id), String(existing._id));
+            assert.equal(existing.identities.length, 1);
+            assert.equal(existing.identities[0].subject, "henry-1");
+            assert.equal(users.length, 1);
+        });
+
+        it("does not link when the provider has not verified the email", async () => {
+            const existing = addUser({ username: "ivy", email: "ivy@example.com", isVerified: true, emailVerifiedAt: new Date() });
+
+            await assert.rejects(signIn({ sub: "ivy-1", email: "ivy@example.com", email_verified: false }), { statusCode: 409 });
+            assert.equal(existing.identities.length, 0);
+        });
+
+        it("does not link to an account whose email is not verified", async () => {
+            const existing = addUser({ username: "jack", email: "jack@example.com", isVerified: false });
+
+            await assert.rejects(signIn({ sub: "jack-1", email: "jack@example.com", email_verified: true }), { statusCode: 409 });
+            assert.equal(existing.identities.length, 0);
+        });
+
+        it("does not link to an account only marked verified by the rollout migration", async () => {
+            const existing = addUser({ username: "jill", email: "jill@example.com", isVerified: true });
+
+            await assert.rejects(signIn({ sub: "jill-1", email: "jill@example.com", email_verified: true }), { statusCode: 409 });
+            assert.equal(existing.identities.length, 0);
+        });
+
+        it("refuses a deactivated linked account", async () => {
+            addUser({ username: "kate", email: "kate@example.com", isActive: false, identities: [{ provider: "mock", subject: "kate-1", email: "kate@example.com" }] });
+
+            await assert.rejects(signIn({ sub: "kate-1", email: "kate@example.com" }), { statusCode: 403 });
+        });
+
+        it("picks another username when the preferred one is taken", async () => {
+            addUser({ username: "leo", email: "leo@example.com" });
+
+            const { user } = await signIn({ sub: "leo-2", email: "leo@other.example.com", email_verified: true, preferred_username: "Leo" });
+
+            assert.match(user.username, /^leo\d{4}$/);
+            assert.equal(users.length, 2);
+        });
+
+        it("falls back to a random suffix when every attempt collides", async () => {
+            mock.method(User, "exists", async () => ({ _id: "taken" }));
+
+            const username = await OAuthService.generateUsername("mia");
+
+            assert.match(username, /^mia[0-9a-f]{8}$/);
+        });
+
+        it("pads short usernames", async () => {
+            assert.equal(await OAuthService.generateUsername("n!"), "usern");
+        });
+    });
+});
+
+describe("handleOAuthCallback", () => {
+    beforeEach(stubModels);
+    afterEach(() => mock.restoreAll());
+
+    // the handler does not return its promise, wait for the redirect or the error instead
+    const callback = (query, cookies) =>
+        new Promise((resolve, reject) => {
+            const res = {
+                cookies: {},
+                clearCookie() { return this; },
+                cookie(name, value, options) {
+                    this.cookies[name] = { value, options };
+                    return this;
+                },
+                redirect(status, location) {
+                    this.status = status;
+                    this.location = location;
+                    resolve(this);
+                    return this;
+                }
+            };
+            mock.method(console, "error", () => {});
+
+            handleOAuthCallback({ params: { provider: "mock" }, query, cookies }, res, reject);
+        });
+
+    it("refuses a callback started in another browser", async () => {
+        const { url } = await OAuthService.createAuthorizationUrl("mock", "/");
+        const { code, state } = provider.authorize(url, { sub: "olga-1", email: "olga@example.com" });
+
+        const res = await callback({ code, state }, { oauthState: "someone-elses-state" });
+
+        assert.equal(res.status, 302);
+        assert.match(res.location, /\/login\?oauthError=sign-in%20was%20started%20in%20another%20browser/);
+        assert.equal(states.length, 1, "the state is not consumed");
+        assert.equal(users.length, 0);
+    });
+
+    it("keeps the two-factor challenge out of the redirect URL", async () => {
+        const user = addUser({
+            username: "pat",
+            email: "pat@example.com",
+            twoFactorEnabled: true,
+            identities: [{ provider: "mock", subject: "pat-1", email: "pat@example.com" }]
+        });
+        const { url, state } = await OAuthService.createAuthorizationUrl("mock", "/videos/7");
+        const { code } = provider.authorize(url, { sub: "pat-1", email: "pat@example.com" });
+
+        const res = await callback({ code, state }, { oauthState: state });
+        const { value: challengeToken, options } = res.cookies.twoFactorChallenge;
+
+        assert.equal(res.status, 302);
+        assert.match(res.location, /\/login\/2fa\?redirect=%2Fvideos%2F7$/);
+        assert.ok(!res.location.includes(challengeToken));
+        assert.equal(res.cookies.accessToken, undefined);
+        assert.deepEqual(
+            { httpOnly: options.httpOnly, sameSite: options.sameSite, path: options.path, maxAge: options.maxAge },
+            { httpOnly: true, sameSite: "Strict", path: "/api/v1/users/login/2fa", maxAge: 5 * 60 * 1000 }
+        );
+
+        // the code is posted without the token, the browser sends the cookie
+        mock.method(TwoFactorService, "completeLogin", async (token) => (token === challengeToken ? user : null));
+        mock.method(SessionService, "createSession", async () => ({ accessToken: "access", refreshToken: "refresh" }));
+        mock.method(User, "findById", () => ({ select: async () => user }));
+
+        const login = await new Promise((resolve, reject) => {
+            const loginRes = {
+                cleared: [],
+                status() { return this; },
+                clearCookie(name) {
+                    this.cleared.push(name);
+                    return this;
+                },
+                cookie() { return this; },
+                json(body) {
+                    this.body = body;
+                    resolve(this);
+                    return this;
+                }
+            };
+            completeTwoFactorLogin({ body: { code: "123456" }, cookies: { twoFactorChallenge: challengeToken } }, loginRes, reject);
+        });
+
+        assert.equal(String(login.body.data.user._id), String(user._id));
+        assert.deepEqual(login.cleared, ["twoFactorChallenge"]);
+    });
+});
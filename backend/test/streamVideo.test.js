@@ -0,0 +1,86 @@
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { after, afterEach, before, beforeEach, describe, it, mock } from "node:test";
+import express from "express";
+
+// Byte-range streaming of a video kept in local storage, and which requests count as a view
+
+// local storage resolves files under ./public, keep it out of the repo
+const workDir = fs.mkdtempSync(path.join(os.tmpdir(), "tweetube-stream-"));
+process.chdir(workDir);
+process.env.STORAGE_PROVIDER = "local";
+
+const { Video } = await import("../src/models/video.model.js");
+const { default: videoRouter } = await import("../src/routes/video.routes.js");
+
+const VIDEO_ID = "66f0c0ffee0000000000beef";
+const FILE_SIZE = 1000;
+
+after(() => fs.rmSync(workDir, { recursive: true, force: true }));
+
+describe("streamVideo", () => {
+    let server;
+    let streamUrl;
+
+    before(async () => {
+        fs.mkdirSync(path.join(workDir, "public", "uploads"), { recursive: true });
+        fs.writeFileSync(path.join(workDir, "public", "uploads", "clip.mp4"), Buffer.alloc(FILE_SIZE, 1));
+
+        const app = express();
+        app.set("env", "test");
+        app.use("/api/v1/videos", videoRouter);
+
+        server = app.listen(0, "127.0.0.1");
+        await new Promise((resolve) => server.once("listening", resolve));
+        streamUrl = `http://127.0.0.1:${server.address().port}/api/v1/videos/${VIDEO_ID}/stream`;
+    });
+
+    beforeEach(() => {
+        const video = new Video({
+            _id: VIDEO_ID,
+            owner: "66f0c0ffee0000000000aaaa",
+            title: "clip",
+            isPublished: true,
+            privacy: "public",
+            processingStatus: "completed",
+            videoFile: "https://cdn.example.com/uploads/clip.mp4",
+            videoFilePublicId: "uploads/clip.mp4"
+        });
+
+        mock.method(Video, "findById", async () => video);
+        mock.method(Video, "recordView", async () => video);
+    });
+
+    afterEach(() => mock.restoreAll());
+
+    after(() => new Promise((resolve) => server.close(resolve)));
+
+    it("counts a view for the first request of a playback", async () => {
+        const response = await fetch(streamUrl);
+
+        assert.equal(response.status, 200);
+        assert.equal((await response.arrayBuffer()).byteLength, FILE_SIZE);
+        assert.equal(Video.recordView.mock.callCount(), 1);
+    });
+
+    it("does not count the following range requests", async () => {
+        const response = await fetch(streamUrl, { headers: { Range: "bytes=500-" } });
+
+        assert.equal(response.status, 206);
+        assert.equal(response.headers.get("content-range"), `bytes 500-999/${FILE_SIZE}`);
+        assert.equal(Video.recordView.mock.callCount(), 0);
+    });
+
+    it("does not count HEAD requests", async () => {
+        for (const headers of [{}, { Range: "bytes=0-" }]) {
+            const response = await fetch(streamUrl, { method: "HEAD", headers });
+
+            assert.ok([200, 206].includes(response.status));
+            assert.equal(response.headers.get("accept-ranges"), "bytes");
+        }
+
+        assert.equal(Video.recordView.mock.callCount(), 0);
+    });
+});
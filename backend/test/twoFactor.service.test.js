@@ -0,0 +1,119 @@
+import assert from "node:assert/strict";
+import { afterEach, beforeEach, describe, it, mock } from "node:test";
+
+// Second login step with one user kept in memory. The stubbed queries apply
+// the update operators the service uses, one at a time like the database does.
+
+process.env.ACCESS_TOKEN_SECRET = "test-access-secret";
+process.env.TWO_FACTOR_ENCRYPTION_KEY = "test-two-factor-key";
+
+const { default: TwoFactorService } = await import("../src/services/twoFactor.service.js");
+const { User } = await import("../src/models/user.model.js");
+const { generateCode } = await import("../src/utils/totp.js");
+
+const USER_ID = "66f0c0ffee0000000000aaaa";
+const currentStep = () => Math.floor(Date.now() / 30000);
+
+let stored;
+
+const matches = (doc, filter) =>
+    Object.entries(filter).every(([key, condition]) => {
+        if (key === "_id") return true;
+        if (key === "$or") return condition.some((branch) => matches(doc, branch));
+
+        const value = doc[key];
+        if (condition && typeof condition === "object" && !Array.isArray(condition)) {
+            if ("$ne" in condition) return Array.isArray(value) ? !value.includes(condition.$ne) : value !== condition.$ne;
+            if ("$exists" in condition) return (value !== undefined) === condition.$exists;
+            if ("$lt" in condition) return value < condition.$lt;
+        }
+        return Array.isArray(value) ? value.includes(condition) : value === condition;
+    });
+
+const apply = (doc, update) => {
+    Object.assign(doc, update.$set);
+    for (const key of Object.keys(update.$unset || {})) delete doc[key];
+    for (const [key, amount] of Object.entries(update.$inc || {})) doc[key] = (doc[key] || 0) + amount;
+    for (const [key, { $each, $slice }] of Object.entries(update.$push || {})) doc[key] = [...(doc[key] || []), ...$each].slice($slice);
+    for (const [key, value] of Object.entries(update.$pull || {})) doc[key] = doc[key].filter((item) => item !== value);
+};
+
+const stubUser = () => {
+    stored = { _id: USER_ID, email: "ada@example.com", isActive: true, twoFactorEnabled: false };
+
+    mock.method(User, "findById", () => ({ select: async () => User.hydrate(structuredClone(stored)) }));
+
+    mock.method(User, "updateOne", async (filter, update) => {
+        if (!matches(stored, filter)) return { modifiedCount: 0 };
+        apply(stored, update);
+        return { modifiedCount: 1 };
+    });
+
+    mock.method(User, "findOneAndUpdate", (filter, update) => ({
+        select: async () => {
+            apply(stored, update);
+            return User.hydrate(structuredClone(stored));
+        }
+    }));
+};
+
+// Enrol the stored user, the code of the next step is left for the test
+const enrol = async () => {
+    const { secret } = await TwoFactorService.beginSetup(USER_ID);
+    const recoveryCodes = await TwoFactorService.activate(USER_ID, generateCode(secret));
+
+    return { secret, recoveryCodes };
+};
+
+describe("TwoFactorService", () => {
+    beforeEach(stubUser);
+    afterEach(() => mock.restoreAll());
+
+    it("locks the second step after parallel wrong codes", async () => {
+        await enrol();
+
+        const results = await Promise.allSettled(
+            Array.from({ length: 5 }, () => TwoFactorService.requireSecondFactor(USER_ID, { code: "000000" }))
+        );
+
+        assert.ok(results.every(({ status, reason }) => status === "rejected" && reason.statusCode === 401));
+        assert.ok(stored.twoFactorLockedUntil > new Date(), "every wrong code was counted");
+        assert.equal(stored.twoFactorFailedAttempts, 0);
+
+        await assert.rejects(TwoFactorService.requireSecondFactor(USER_ID, { code: "000000" }), { statusCode: 429 });
+    });
+
+    it("accepts a login challenge once", async () => {
+        const { secret, recoveryCodes } = await enrol();
+        const challengeToken = TwoFactorService.createLoginChallenge({ _id: USER_ID });
+
+        const user = await TwoFactorService.completeLogin(challengeToken, { code: generateCode(secret, currentStep() + 1) });
+        assert.equal(String(user._id), USER_ID);
+
+        await assert.rejects(TwoFactorService.completeLogin(challengeToken, { recoveryCode: recoveryCodes[0] }), {
+            statusCode: 401,
+            message: "login has expired, please log in again"
+        });
+        assert.equal(stored.twoFactorUsedChallenges.length, 1);
+    });
+
+    it("accepts separate challenges of the same user", async () => {
+        const { recoveryCodes } = await enrol();
+
+        for (const recoveryCode of recoveryCodes.slice(0, 2)) {
+            const challengeToken = TwoFactorService.createLoginChallenge({ _id: USER_ID });
+            await TwoFactorService.completeLogin(challengeToken, { recoveryCode });
+        }
+
+        assert.equal(stored.twoFactorUsedChallenges.length, 2);
+        assert.equal(stored.twoFactorRecoveryCodes.length, recoveryCodes.length - 2);
+    });
+
+    it("does not accept an app code twice", async () => {
+        const { secret } = await enrol();
+        const code = generateCode(secret, currentStep() + 1);
+
+        await TwoFactorService.requireSecondFactor(USER_ID, { code });
+        await assert.rejects(TwoFactorService.requireSecondFactor(USER_ID, { code }), { statusCode: 401 });
+    });
+});